@@ -11,6 +11,7 @@ using System.Linq;
 using System.Text;
 using System.Text.Json;
 using Text2Sql.Net.Domain.Interface;
+using Text2Sql.Net.Domain.Model;
 using Text2Sql.Net.Repositories.Text2Sql.DatabaseConnection;
 using Text2Sql.Net.Repositories.Text2Sql.ChatHistory;
 using Text2Sql.Net.Repositories.Text2Sql.DatabaseSchema;
@@ -376,6 +377,17 @@ namespace Text2Sql.Net.Web.Tools
                     {
                         result.AppendLine($"... 还有 {queryResult.Count - displayCount} 条记录未显示");
                     }
+
+                    // 建议的图表规格，可直接交给 echartsInterop.renderChartSpec 渲染
+                    var chartSpec = ChartSpec.Suggest(queryResult);
+                    if (chartSpec != null)
+                    {
+                        result.AppendLine();
+                        result.AppendLine("**📈 建议图表**:");
+                        result.AppendLine("```json");
+                        result.AppendLine(JsonSerializer.Serialize(chartSpec));
+                        result.AppendLine("```");
+                    }
                 }
                 else
                 {
@@ -0,0 +1,299 @@
+// Live stage timeline for the SQL generation pipeline, fed by Blazor (ChatService progress callback)
+// or by the SSE endpoint api/Chat/Stream
+// Exposes: push, complete, move, dispose, connect
+
+window.chatProgressInterop = (function () {
+  const timelines = new Map(); // hostId -> timeline state
+  const TICK_MS = 100;
+  const MAX_OUTPUT_LENGTH = 8000;
+
+  // 与 Text2Sql.Net.Domain.Model.ChatPipelineStage 保持一致；显示名称取 localeInterop 的 progress.stage.<key>
+  const STAGES = ['context', 'examples', 'schema_linking', 'prompt', 'generation', 'check_sql', 'optimization', 'execution'];
+
+  function t(key, params) {
+    return window.localeInterop.t(key, params);
+  }
+
+  // 未登记的阶段（后端新增）直接显示阶段标识
+  function stageLabel(key) {
+    const label = t(`progress.stage.${key}`);
+    return label === `progress.stage.${key}` ? key : label;
+  }
+
+  function createElement(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+  }
+
+  function formatSeconds(ms) {
+    return `${(Math.max(0, ms) / 1000).toFixed(1)}s`;
+  }
+
+  function createState() {
+    const stages = new Map();
+    STAGES.forEach(key => stages.set(key, {
+      key,
+      label: stageLabel(key),
+      status: 'pending',
+      startedAt: null,
+      elapsed: null,
+      message: '',
+      output: ''
+    }));
+    return { stages, startedAt: Date.now(), finished: false, success: null, els: null, timer: null };
+  }
+
+  function getState(hostId) {
+    let state = timelines.get(hostId);
+    if (!state) {
+      state = createState();
+      timelines.set(hostId, state);
+    }
+    return state;
+  }
+
+  // 未知阶段（后端新增）追加到末尾，而不是丢弃
+  function getStage(state, key) {
+    let stage = state.stages.get(key);
+    if (!stage) {
+      stage = { key, label: stageLabel(key), status: 'pending', startedAt: null, elapsed: null, message: '', output: '' };
+      state.stages.set(key, stage);
+      if (state.els) state.els.list.appendChild(buildStageItem(state, stage));
+    }
+    return stage;
+  }
+
+  function buildStageItem(state, stage) {
+    const item = createElement('li', 'cpt-stage');
+    item.dataset.stage = stage.key;
+    const row = createElement('div', 'cpt-stage-row');
+    row.append(
+      createElement('span', 'cpt-dot'),
+      createElement('span', 'cpt-label', stage.label),
+      createElement('span', 'cpt-status'),
+      createElement('span', 'cpt-time')
+    );
+    item.append(row, createElement('div', 'cpt-message'), createElement('pre', 'cpt-output'));
+    state.els.items.set(stage.key, item);
+    return item;
+  }
+
+  // 主机节点由 Blazor 渲染，可能晚于首批事件出现，因此每次更新前都尝试挂载
+  function mount(hostId, state) {
+    if (state.els && state.els.root.isConnected) return true;
+    const host = document.getElementById(hostId);
+    if (!host) return false;
+
+    const root = createElement('div', 'cpt');
+    const header = createElement('div', 'cpt-header');
+    const title = createElement('span', 'cpt-title');
+    const elapsed = createElement('span', 'cpt-elapsed');
+    header.append(title, elapsed);
+    const list = createElement('ol', 'cpt-stages');
+    root.append(header, list);
+
+    state.els = { root, title, elapsed, list, items: new Map() };
+    state.stages.forEach(stage => list.appendChild(buildStageItem(state, stage)));
+    host.replaceChildren(root);
+    return true;
+  }
+
+  function renderStage(state, stage) {
+    const item = state.els.items.get(stage.key);
+    if (!item) return;
+    item.dataset.status = stage.status;
+    item.querySelector('.cpt-status').textContent = stage.status === 'pending' ? '' : t(`progress.status.${stage.status}`);
+    const time = stage.status === 'running' && stage.startedAt != null
+      ? Date.now() - stage.startedAt
+      : stage.elapsed;
+    item.querySelector('.cpt-time').textContent = time == null ? '' : formatSeconds(time);
+    item.querySelector('.cpt-message').textContent = stage.message;
+    const output = item.querySelector('.cpt-output');
+    output.textContent = stage.output;
+    output.hidden = !stage.output;
+    if (stage.output && stage.status === 'running') output.scrollTop = output.scrollHeight;
+  }
+
+  function renderHeader(state) {
+    const { title, elapsed } = state.els;
+    if (!state.finished) {
+      const running = Array.from(state.stages.values()).find(s => s.status === 'running');
+      title.textContent = running ? t('progress.running', { stage: running.label }) : t('progress.processing');
+    } else {
+      title.textContent = t(state.success ? 'progress.succeeded' : 'progress.failed');
+    }
+    elapsed.textContent = formatSeconds((state.finishedAt || Date.now()) - state.startedAt);
+    state.els.root.dataset.finished = state.finished ? (state.success ? 'success' : 'failed') : '';
+  }
+
+  function renderAll(hostId, state) {
+    if (!mount(hostId, state)) return;
+    renderHeader(state);
+    state.stages.forEach(stage => renderStage(state, stage));
+  }
+
+  // 运行中的阶段耗时每 TICK_MS 刷新一次，结束后停止计时
+  function ensureTimer(hostId, state) {
+    if (state.timer || state.finished) return;
+    state.timer = setInterval(() => {
+      if (!timelines.has(hostId) || state.finished) {
+        clearInterval(state.timer);
+        state.timer = null;
+        return;
+      }
+      if (!mount(hostId, state)) return;
+      renderHeader(state);
+      state.stages.forEach(stage => {
+        if (stage.status === 'running') renderStage(state, stage);
+      });
+    }, TICK_MS);
+  }
+
+  // event: { stage, status: started|streaming|completed|failed, message, delta, elapsedMilliseconds }
+  function push(hostId, event) {
+    if (!hostId || !event || !event.stage) return;
+    const state = getState(hostId);
+    if (state.finished) {
+      // 同一条消息的后续流水线（如执行出错后的优化重试）继续沿用原时间线
+      state.finished = false;
+      state.finishedAt = null;
+    }
+    const stage = getStage(state, event.stage);
+    const now = Date.now();
+
+    switch (event.status) {
+      case 'started':
+        stage.status = 'running';
+        stage.startedAt = now;
+        stage.elapsed = null;
+        stage.message = event.message || '';
+        stage.output = '';
+        break;
+      case 'streaming':
+        if (stage.status !== 'running') {
+          stage.status = 'running';
+          stage.startedAt = stage.startedAt || now;
+        }
+        stage.output += event.delta || '';
+        if (stage.output.length > MAX_OUTPUT_LENGTH) stage.output = stage.output.slice(-MAX_OUTPUT_LENGTH);
+        break;
+      case 'completed':
+      case 'failed':
+        stage.status = event.status;
+        stage.elapsed = stage.startedAt != null ? now - stage.startedAt : null;
+        stage.message = event.message || '';
+        // 生成阶段完成时 message 即最终SQL，流式草稿不再需要
+        if (event.status === 'completed' && stage.output && event.message) stage.output = '';
+        break;
+      default:
+        return;
+    }
+
+    renderAll(hostId, state);
+    ensureTimer(hostId, state);
+  }
+
+  // 结束时间线：仍在进行的阶段按结果收尾，从未开始的阶段标记为已跳过
+  function complete(hostId, success) {
+    const state = timelines.get(hostId);
+    if (!state) return;
+    state.finished = true;
+    state.finishedAt = Date.now();
+    state.success = success !== false;
+    state.stages.forEach(stage => {
+      if (stage.status === 'running') {
+        stage.status = state.success ? 'completed' : 'failed';
+        stage.elapsed = state.finishedAt - stage.startedAt;
+      } else if (stage.status === 'pending') {
+        stage.status = 'skipped';
+      }
+    });
+    clearInterval(state.timer);
+    state.timer = null;
+    renderAll(hostId, state);
+  }
+
+  // 把时间线移到另一个主机节点（如流水线结束后从等待卡片移到AI回复卡片），保留各阶段的状态、耗时与输出
+  function move(fromHostId, toHostId) {
+    const state = timelines.get(fromHostId);
+    if (!state || !toHostId || fromHostId === toHostId) return;
+    dispose(toHostId);
+    timelines.delete(fromHostId);
+    timelines.set(toHostId, state);
+    // 计时器按原主机节点查找状态，需要重新启动
+    clearInterval(state.timer);
+    state.timer = null;
+    if (state.els) state.els.root.remove();
+    state.els = null;
+    renderAll(toHostId, state);
+    ensureTimer(toHostId, state);
+  }
+
+  function dispose(hostId) {
+    const state = timelines.get(hostId);
+    if (!state) return;
+    clearInterval(state.timer);
+    if (state.els) state.els.root.remove();
+    timelines.delete(hostId);
+  }
+
+  // 订阅 api/Chat/Stream：progress 事件写入时间线（传入 hostId 时），result 事件返回AI响应消息
+  // handlers: { hostId, onProgress(event), onResult(message), onError(error) }，返回 { close }
+  function connect(url, handlers) {
+    const h = handlers || {};
+    const source = new EventSource(url);
+    let done = false;
+
+    function finish() {
+      done = true;
+      source.close();
+    }
+
+    source.addEventListener('progress', e => {
+      let event;
+      try {
+        event = JSON.parse(e.data);
+      } catch (err) {
+        console.error('进度事件解析失败:', err);
+        return;
+      }
+      if (h.hostId) push(h.hostId, event);
+      if (h.onProgress) h.onProgress(event);
+    });
+
+    source.addEventListener('result', e => {
+      finish();
+      let message = null;
+      try {
+        message = JSON.parse(e.data);
+      } catch (err) {
+        console.error('结果解析失败:', err);
+      }
+      if (h.hostId) complete(h.hostId, !!message && !message.executionError);
+      if (h.onResult) h.onResult(message);
+    });
+
+    // EventSource 断线会自动重连，这里直接结束，避免同一个问题被重复提交
+    source.addEventListener('error', () => {
+      if (done) return;
+      finish();
+      if (h.hostId) complete(h.hostId, false);
+      if (h.onError) h.onError(new Error('进度连接已断开'));
+    });
+
+    return {
+      close: finish
+    };
+  }
+
+  // Public API
+  return {
+    push,
+    complete,
+    move,
+    dispose,
+    connect
+  };
+})();
@@ -0,0 +1,321 @@
+// Conversation report export: builds one self-contained HTML document (inline styles, charts as
+// PNG data URLs) from chat entries, downloadable as .html or printed to PDF by the browser
+// Exposes: buildHtml, downloadHtml, printPdf
+
+window.conversationReportInterop = (function () {
+  const INVALID_FILE_CHARS = /[\\/:*?"<>|\r\n\t]+/g;
+  const MAX_NAME_LENGTH = 40;
+  const DEFAULT_MAX_ROWS = 50;
+  const CHART_SIZE = { width: 900, height: 420 };
+  const PRINT_FRAME_ID = 'conversationReportPrintFrame';
+
+  // 打印友好的浅色样式；SQL 高亮沿用 sqlFormatter 的 token 类名
+  const STYLES = `
+*{box-sizing:border-box}
+body{margin:0;padding:32px;font-family:-apple-system,"Segoe UI","PingFang SC","Microsoft YaHei",sans-serif;font-size:14px;line-height:1.6;color:#1f2328;background:#fff}
+.cover{min-height:60vh;display:flex;flex-direction:column;justify-content:center;border-bottom:3px solid #1890ff;margin-bottom:32px;padding-bottom:24px}
+.cover h1{font-size:30px;margin:0 0 24px}
+.cover dl{display:grid;grid-template-columns:max-content 1fr;gap:6px 16px;margin:0 0 24px}
+.cover dt{color:#656d76}
+.cover dd{margin:0;font-weight:500}
+.toc h2{font-size:16px;margin:0 0 8px}
+.toc ol{margin:0;padding-left:24px}
+.toc a{color:#1f2328;text-decoration:none}
+.toc .toc-error{color:#cf222e;font-size:12px;margin-left:6px}
+.entry{margin:0 0 40px}
+.entry h2{font-size:18px;margin:0 0 4px;display:flex;gap:8px}
+.entry h2 .entry-no{color:#1890ff}
+.entry-meta{color:#656d76;font-size:12px;margin-bottom:12px}
+.entry h3{font-size:13px;color:#656d76;text-transform:uppercase;letter-spacing:.04em;margin:16px 0 6px}
+.answer{white-space:pre-wrap;margin:0}
+pre.sql{margin:0;padding:12px 14px;background:#f6f8fa;border:1px solid #d0d7de;border-radius:6px;font-family:Consolas,"Courier New",monospace;font-size:12.5px;white-space:pre-wrap;word-break:break-word}
+.sql-keyword{color:#cf222e;font-weight:600}
+.sql-string{color:#0a3069}
+.sql-number{color:#0550ae}
+.sql-operator{color:#953800}
+.sql-function{color:#8250df}
+.sql-parameter{color:#8250df}
+.sql-identifier{color:#1f2328}
+.sql-comment{color:#6e7781;font-style:italic}
+.error{padding:10px 14px;background:#fff1f0;border:1px solid #ffa39e;border-radius:6px;color:#a8071a;white-space:pre-wrap;word-break:break-word}
+.table-wrap{overflow-x:auto}
+table{border-collapse:collapse;width:100%;font-size:12.5px}
+th,td{border:1px solid #d0d7de;padding:4px 8px;text-align:left;vertical-align:top;word-break:break-word}
+th{background:#f6f8fa;font-weight:600}
+td.num{text-align:right;font-variant-numeric:tabular-nums}
+td.null{color:#8c959f;font-style:italic}
+.table-note{color:#656d76;font-size:12px;margin-top:4px}
+.empty{color:#656d76}
+figure{margin:0}
+figure img{max-width:100%;height:auto;border:1px solid #d0d7de;border-radius:6px}
+figcaption{color:#656d76;font-size:12px;margin-top:4px}
+@page{margin:15mm}
+@media print{
+  body{padding:0;font-size:12px}
+  .cover{min-height:auto;border-bottom:none;break-after:page;page-break-after:always}
+  .entry{break-before:page;page-break-before:always;margin:0}
+  .entry h2,.entry h3{break-after:avoid;page-break-after:avoid}
+  pre.sql,.error,figure,tr{break-inside:avoid;page-break-inside:avoid}
+  thead{display:table-header-group}
+  .table-wrap{overflow:visible}
+  a{color:inherit;text-decoration:none}
+}`;
+
+  function t(key, params) {
+    return window.localeInterop.t(key, params);
+  }
+
+  function isNullish(v) {
+    return v === null || v === undefined;
+  }
+
+  function pad2(n) {
+    return n < 10 ? '0' + n : String(n);
+  }
+
+  // 与 resultExportInterop 相同的命名规则：标题摘要_yyyyMMdd_HHmmss.ext
+  function buildFileName(title, extension) {
+    const d = new Date();
+    let name = String(title || '').replace(INVALID_FILE_CHARS, ' ').replace(/\s+/g, ' ').trim();
+    name = name.replace(/^\.+|\.+$/g, '');
+    if (name.length > MAX_NAME_LENGTH) name = name.slice(0, MAX_NAME_LENGTH).trim();
+    if (!name) name = t('report.defaultTitle');
+    const stamp = `${d.getFullYear()}${pad2(d.getMonth() + 1)}${pad2(d.getDate())}_${pad2(d.getHours())}${pad2(d.getMinutes())}${pad2(d.getSeconds())}`;
+    return `${name}_${stamp}.${extension}`;
+  }
+
+  function formatTime(value) {
+    return isNullish(value) || value === '' ? '' : window.localeInterop.formatDate(value, 'datetime');
+  }
+
+  function getColumnKeys(rows) {
+    const keys = [];
+    const seen = new Set();
+    (rows || []).forEach(row => {
+      Object.keys(row || {}).forEach(k => {
+        if (!seen.has(k)) {
+          seen.add(k);
+          keys.push(k);
+        }
+      });
+    });
+    return keys;
+  }
+
+  // 所有文本都经 textContent 写入，问题、SQL 与结果中的内容不会被当作 HTML 解析
+  function el(doc, tag, className, text) {
+    const node = doc.createElement(tag);
+    if (className) node.className = className;
+    if (!isNullish(text)) node.textContent = String(text);
+    return node;
+  }
+
+  function buildCover(doc, report, entries) {
+    const cover = el(doc, 'section', 'cover');
+    cover.appendChild(el(doc, 'h1', null, report.title || t('report.defaultTitle')));
+
+    const info = el(doc, 'dl');
+    [
+      ['report.connection', report.connectionName || '-'],
+      ['report.dbType', report.dbType || '-'],
+      ['report.generatedAt', formatTime(report.generatedAt || new Date())],
+      ['report.entryCount', String(entries.length)]
+    ].forEach(([key, value]) => {
+      info.append(el(doc, 'dt', null, t(key)), el(doc, 'dd', null, value));
+    });
+    cover.appendChild(info);
+
+    if (entries.length > 0) {
+      const toc = el(doc, 'nav', 'toc');
+      toc.appendChild(el(doc, 'h2', null, t('report.contents')));
+      const list = el(doc, 'ol');
+      entries.forEach((entry, i) => {
+        const item = el(doc, 'li');
+        const link = el(doc, 'a', null, entry.question || t('report.untitled'));
+        link.href = `#entry-${i + 1}`;
+        item.appendChild(link);
+        if (entry.error) item.appendChild(el(doc, 'span', 'toc-error', t('report.failed')));
+        list.appendChild(item);
+      });
+      toc.appendChild(list);
+      cover.appendChild(toc);
+    }
+    return cover;
+  }
+
+  function buildSql(doc, sql, dialect) {
+    const pre = el(doc, 'pre', 'sql');
+    const formatter = window.sqlFormatter;
+    if (!formatter) {
+      pre.textContent = sql;
+      return pre;
+    }
+    const formatted = formatter.format(sql, { dialect }) || sql;
+    formatter.renderTokens(pre, formatter.tokenize(formatted, dialect));
+    return pre;
+  }
+
+  function buildTable(doc, rows, rowCount) {
+    const fragment = doc.createDocumentFragment();
+    const keys = getColumnKeys(rows);
+    if (keys.length === 0) {
+      fragment.appendChild(el(doc, 'p', 'empty', t('report.noRows')));
+      return fragment;
+    }
+
+    const table = el(doc, 'table');
+    const headRow = el(doc, 'tr');
+    keys.forEach(k => headRow.appendChild(el(doc, 'th', null, k)));
+    table.appendChild(el(doc, 'thead')).appendChild(headRow);
+
+    const body = el(doc, 'tbody');
+    rows.forEach(row => {
+      const tr = el(doc, 'tr');
+      keys.forEach(k => {
+        const v = row ? row[k] : null;
+        if (isNullish(v)) {
+          tr.appendChild(el(doc, 'td', 'null', 'NULL'));
+        } else if (typeof v === 'object') {
+          tr.appendChild(el(doc, 'td', null, JSON.stringify(v)));
+        } else {
+          tr.appendChild(el(doc, 'td', typeof v === 'number' ? 'num' : null, v));
+        }
+      });
+      body.appendChild(tr);
+    });
+    table.appendChild(body);
+
+    const wrap = el(doc, 'div', 'table-wrap');
+    wrap.appendChild(table);
+    fragment.appendChild(wrap);
+
+    const total = Math.max(rowCount || 0, rows.length);
+    fragment.appendChild(el(doc, 'div', 'table-note', total > rows.length
+      ? t('report.truncated', { shown: rows.length, total })
+      : t('report.rowCount', { total })));
+    return fragment;
+  }
+
+  // 图表离屏渲染失败不影响报告其余部分
+  function buildChart(doc, entry) {
+    const rows = entry.chartRows || entry.rows;
+    if (!entry.includeChart || !window.echartsInterop || window.echartsInterop.rowCount(rows) === 0) return null;
+    let url = null;
+    try {
+      url = window.echartsInterop.renderImage(rows, entry.chartSpec, CHART_SIZE);
+    } catch (e) {
+      console.error('报告图表渲染失败:', e);
+    }
+    if (!url) return null;
+
+    const figure = el(doc, 'figure');
+    const img = el(doc, 'img');
+    img.src = url;
+    img.alt = (entry.chartSpec && entry.chartSpec.title) || entry.question || '';
+    figure.appendChild(img);
+    if (entry.chartSpec && entry.chartSpec.title) figure.appendChild(el(doc, 'figcaption', null, entry.chartSpec.title));
+    return figure;
+  }
+
+  function buildEntry(doc, entry, index, dialect, maxRows) {
+    const section = el(doc, 'section', 'entry');
+    section.id = `entry-${index + 1}`;
+
+    const heading = el(doc, 'h2');
+    heading.append(el(doc, 'span', 'entry-no', `${index + 1}.`), el(doc, 'span', null, entry.question || t('report.untitled')));
+    section.appendChild(heading);
+
+    const meta = [];
+    if (entry.questionTime) meta.push(t('report.askedAt', { time: formatTime(entry.questionTime) }));
+    if (entry.time) meta.push(t('report.answeredAt', { time: formatTime(entry.time) }));
+    if (meta.length) section.appendChild(el(doc, 'div', 'entry-meta', meta.join(' · ')));
+
+    if (entry.answer) section.appendChild(el(doc, 'p', 'answer', entry.answer));
+
+    if (entry.sql) {
+      section.appendChild(el(doc, 'h3', null, t('report.sql')));
+      section.appendChild(buildSql(doc, entry.sql, dialect));
+    }
+
+    if (entry.error) {
+      section.appendChild(el(doc, 'h3', null, t('report.error')));
+      section.appendChild(el(doc, 'div', 'error', entry.error));
+    } else if (entry.sql) {
+      section.appendChild(el(doc, 'h3', null, t('report.result')));
+      section.appendChild(buildTable(doc, (entry.rows || []).slice(0, maxRows), entry.rowCount));
+    }
+
+    const chart = buildChart(doc, entry);
+    if (chart) {
+      section.appendChild(el(doc, 'h3', null, t('report.chart')));
+      section.appendChild(chart);
+    }
+    return section;
+  }
+
+  /**
+   * 生成完整的 HTML 文档字符串
+   * report: { title, connectionName, dbType, generatedAt, maxRows,
+   *           entries: [{ question, questionTime, answer, sql, error, time, rows, rowCount, includeChart, chartRows, chartSpec }] }
+   * rows 为表格展示的行（超出 maxRows 的部分会再次截断），chartRows 为绘图用的完整结果（列式或行数组），省略时使用 rows
+   */
+  function buildHtml(report) {
+    const r = report || {};
+    const entries = Array.isArray(r.entries) ? r.entries : [];
+    const maxRows = r.maxRows > 0 ? r.maxRows : DEFAULT_MAX_ROWS;
+    const dialect = window.sqlFormatter ? window.sqlFormatter.resolveDialect(r.dbType) : undefined;
+
+    const doc = document.implementation.createHTMLDocument(r.title || t('report.defaultTitle'));
+    doc.documentElement.lang = window.localeInterop.getLocale();
+    const charset = doc.createElement('meta');
+    charset.setAttribute('charset', 'utf-8');
+    doc.head.prepend(charset);
+    doc.head.appendChild(el(doc, 'style', null, STYLES));
+
+    doc.body.appendChild(buildCover(doc, r, entries));
+    entries.forEach((entry, i) => doc.body.appendChild(buildEntry(doc, entry || {}, i, dialect, maxRows)));
+
+    return '<!DOCTYPE html>\n' + doc.documentElement.outerHTML;
+  }
+
+  function downloadHtml(report) {
+    const html = buildHtml(report);
+    const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = buildFileName(report && report.title, 'html');
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // 在隐藏 iframe 中打开报告并调用浏览器打印（可另存为 PDF），不会被弹窗拦截
+  function printPdf(report) {
+    const html = buildHtml(report);
+    const previous = document.getElementById(PRINT_FRAME_ID);
+    if (previous) previous.remove();
+
+    const frame = document.createElement('iframe');
+    frame.id = PRINT_FRAME_ID;
+    frame.setAttribute('aria-hidden', 'true');
+    frame.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0;visibility:hidden;';
+    frame.addEventListener('load', () => {
+      const win = frame.contentWindow;
+      if (!win) return;
+      win.addEventListener('afterprint', () => setTimeout(() => frame.remove(), 0));
+      win.focus();
+      win.print();
+    }, { once: true });
+    frame.srcdoc = html;
+    document.body.appendChild(frame);
+  }
+
+  // Public API
+  return {
+    buildHtml,
+    downloadHtml,
+    printPdf
+  };
+})();
@@ -1,9 +1,170 @@
 // Enhanced ECharts interop for Blazor with column control and chart type switching
-// Exposes: renderAutoChart, renderCustomChart, dispose, exportPng, getAvailableColumns, getChartTypes
+// Exposes: renderAutoChart, renderCustomChart, renderChartSpec, renderOption, getChartSpec, dispose, exportPng,
+//          loadData, rowCount, getAvailableColumns, profileColumns, getChartTypes, getColorPalettes,
+//          getTheme, setTheme, getThemes, getThemeColors, setDrillHandler, clearDrillHandler, renderImage,
+//          toTimestamp, isIdentifierName
 
 window.echartsInterop = (function () {
   const instances = new Map();
-  const chartData = new Map(); // Store original data for column switching
+  const chartData = new Map(); // containerId -> 数据表（见 toTable），切换列/类型及主题重建时复用
+  const chartSpecs = new Map(); // Store the spec of the chart currently rendered in each container
+  const optionRenders = new Map(); // containerId -> renderOption 的参数，主题/语言切换后重放
+  const resizeHooks = new Map(); // containerId -> { el, handler, observer, timer }
+  const drillHandlers = new Map(); // containerId -> { dotNetRef, method }，实例重建后仍然有效
+  const drillStates = new Map(); // containerId -> 当前图表的下钻信息，见 prepareDrill
+
+  // 文案与数字/日期格式来自 localeInterop（需先于本模块加载）
+  function t(key, params) {
+    return window.localeInterop.t(key, params);
+  }
+
+  function formatNumber(value, options) {
+    return window.localeInterop.formatNumber(value, options);
+  }
+
+  // 数值轴刻度使用紧凑写法，避免长数字挤占绘图区
+  function valueAxisLabel() {
+    return { formatter: value => formatNumber(value, { compact: true }) };
+  }
+
+  // ---- 图表主题 ----
+
+  const THEME_STORAGE_KEY = 'text2sql.chartTheme';
+  const THEME_KEYS = ['auto', 'light', 'dark', 'colorblind'];
+  const DARK_AXIS = {
+    axisLine: { lineStyle: { color: '#595959' } },
+    axisTick: { lineStyle: { color: '#595959' } },
+    axisLabel: { color: '#a6a6a6' },
+    splitLine: { lineStyle: { color: '#303030' } },
+    splitArea: { areaStyle: { color: ['rgba(255,255,255,0.02)', 'rgba(255,255,255,0.05)'] } }
+  };
+  // background/text/secondaryText/border 供导出图片使用；kpi 为指标卡文字颜色（graphic 元素不受主题影响）
+  const THEMES = {
+    light: {
+      background: '#ffffff',
+      text: 'rgba(0, 0, 0, 0.85)',
+      secondaryText: '#8c8c8c',
+      border: '#e8e8e8',
+      kpi: { value: '#1890ff', caption: '#8c8c8c' },
+      echarts: {
+        color: ['#5470c6', '#91cc75', '#fac858', '#ee6666', '#73c0de', '#3ba272', '#fc8452', '#9a60b4', '#ea7ccc'],
+        backgroundColor: '#ffffff'
+      }
+    },
+    dark: {
+      background: '#141414',
+      text: 'rgba(255, 255, 255, 0.85)',
+      secondaryText: '#a6a6a6',
+      border: '#303030',
+      kpi: { value: '#4fa8ff', caption: '#a6a6a6' },
+      echarts: {
+        darkMode: true,
+        color: ['#4992ff', '#7cffb2', '#fddd60', '#ff6e76', '#58d9f9', '#05c091', '#ff8a45', '#8d48e3', '#dd79ff'],
+        backgroundColor: '#141414',
+        textStyle: { color: 'rgba(255, 255, 255, 0.85)' },
+        title: { textStyle: { color: 'rgba(255, 255, 255, 0.85)' } },
+        legend: { textStyle: { color: 'rgba(255, 255, 255, 0.75)' }, pageTextStyle: { color: '#a6a6a6' } },
+        tooltip: { backgroundColor: '#1f1f1f', borderColor: '#434343', textStyle: { color: 'rgba(255, 255, 255, 0.85)' } },
+        categoryAxis: DARK_AXIS,
+        valueAxis: DARK_AXIS,
+        timeAxis: DARK_AXIS,
+        logAxis: DARK_AXIS,
+        dataZoom: { textStyle: { color: '#a6a6a6' }, borderColor: '#434343', fillerColor: 'rgba(73, 146, 255, 0.2)' },
+        visualMap: { textStyle: { color: '#a6a6a6' } }
+      }
+    },
+    // Okabe-Ito 配色与 viridis 色阶，在常见色觉障碍下仍可区分
+    colorblind: {
+      background: '#ffffff',
+      text: 'rgba(0, 0, 0, 0.85)',
+      secondaryText: '#595959',
+      border: '#d9d9d9',
+      kpi: { value: '#0072b2', caption: '#595959' },
+      echarts: {
+        color: ['#0072b2', '#e69f00', '#009e73', '#cc79a7', '#56b4e9', '#d55e00', '#f0e442', '#000000'],
+        backgroundColor: '#ffffff',
+        visualMap: { inRange: { color: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'] } }
+      }
+    }
+  };
+  let themeSetting = loadThemeSetting();
+  let renderedTheme = null; // 当前实例所用的主题（auto 已解析）
+
+  function loadThemeSetting() {
+    try {
+      const saved = localStorage.getItem(THEME_STORAGE_KEY);
+      if (THEME_KEYS.indexOf(saved) >= 0) return saved;
+    } catch (_) { }
+    return 'auto';
+  }
+
+  function registerThemes() {
+    Object.keys(THEMES).forEach(key => echarts.registerTheme(`text2sql-${key}`, THEMES[key].echarts));
+  }
+
+  // auto 跟随应用主题：根节点 data-theme 优先，其次是系统的深色模式偏好
+  function resolveTheme() {
+    if (themeSetting !== 'auto') return themeSetting;
+    const appTheme = document.documentElement.dataset.theme;
+    if (appTheme && THEMES[appTheme]) return appTheme;
+    return window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+  }
+
+  function getTheme() {
+    return themeSetting;
+  }
+
+  function getThemes() {
+    return THEME_KEYS.map(key => ({ key, label: t(`theme.${key}`) }));
+  }
+
+  function setTheme(theme) {
+    if (THEME_KEYS.indexOf(theme) < 0 || theme === themeSetting) return themeSetting;
+    themeSetting = theme;
+    try {
+      localStorage.setItem(THEME_STORAGE_KEY, theme);
+    } catch (_) { }
+    applyTheme();
+    return themeSetting;
+  }
+
+  // 解析结果变化（切换设置、应用主题或系统配色变化）时重建图表
+  function applyTheme() {
+    const resolved = resolveTheme();
+    if (resolved === renderedTheme) return;
+    renderedTheme = resolved;
+    rebuildAll();
+  }
+
+  function getThemeColors() {
+    const theme = THEMES[resolveTheme()];
+    return { theme: resolveTheme(), background: theme.background, text: theme.text, secondaryText: theme.secondaryText, border: theme.border };
+  }
+
+  function getEchartsLocale() {
+    return window.localeInterop.getLocale().startsWith('zh') ? 'ZH' : 'EN';
+  }
+
+  // 主题与语言在实例初始化时确定，切换后销毁实例并重放各容器最近一次的渲染
+  function rebuildAll() {
+    Array.from(instances.keys()).forEach(containerId => {
+      try { instances.get(containerId).dispose(); } catch (_) { }
+      instances.delete(containerId);
+      if (!document.getElementById(containerId)) {
+        dispose(containerId);
+        return;
+      }
+      try {
+        if (optionRenders.has(containerId)) {
+          renderOption.apply(null, optionRenders.get(containerId));
+        } else if (chartData.has(containerId)) {
+          renderChartSpec(containerId, chartData.get(containerId), chartSpecs.get(containerId));
+        }
+      } catch (e) {
+        console.error('图表重建失败:', containerId, e);
+      }
+    });
+  }
 
   function getContainer(containerId) {
     const el = document.getElementById(containerId);
@@ -15,159 +176,970 @@ window.echartsInterop = (function () {
     const el = getContainer(containerId);
     let chart = instances.get(containerId);
     if (!chart) {
-      chart = echarts.init(el, undefined, { 
+      renderedTheme = resolveTheme();
+      chart = echarts.init(el, `text2sql-${renderedTheme}`, { 
         renderer: 'canvas',
         width: 'auto',
-        height: 'auto'
+        height: 'auto',
+        locale: getEchartsLocale()
       });
       instances.set(containerId, chart);
-      
-      // 窗口大小变化时调整图表
-      const resizeHandler = () => {
-        try { 
-          setTimeout(() => chart.resize(), 100);
-        } catch (_) { }
+      watchResize(containerId, el);
+    }
+    return chart;
+  }
+
+  // 监听按容器登记一次；实例重建后处理函数按 id 取到新实例
+  function watchResize(containerId, el) {
+    const existing = resizeHooks.get(containerId);
+    if (existing && existing.el === el) return;
+    unwatchResize(containerId);
+
+    // 窗口或容器（ResizeObserver）大小变化时调整图表
+    const handler = () => scheduleResize(containerId, 100);
+    window.addEventListener('resize', handler);
+
+    let observer = null;
+    if (window.ResizeObserver) {
+      observer = new ResizeObserver(handler);
+      observer.observe(el);
+    }
+    resizeHooks.set(containerId, { el, handler, observer, timer: null });
+  }
+
+  function unwatchResize(containerId) {
+    const hook = resizeHooks.get(containerId);
+    if (!hook) return;
+    clearTimeout(hook.timer);
+    window.removeEventListener('resize', hook.handler);
+    if (hook.observer) hook.observer.disconnect();
+    resizeHooks.delete(containerId);
+  }
+
+  // 同一容器短时间内的多次调整合并为一次；容器已从页面移除（未调用 dispose 就离开页面）时释放实例与监听
+  function scheduleResize(containerId, delay) {
+    const hook = resizeHooks.get(containerId);
+    if (!hook) return;
+    clearTimeout(hook.timer);
+    hook.timer = setTimeout(() => {
+      hook.timer = null;
+      if (!hook.el.isConnected) {
+        dispose(containerId);
+        return;
+      }
+      const chart = instances.get(containerId);
+      try {
+        if (chart) chart.resize();
+      } catch (_) { }
+    }, delay);
+  }
+
+  // ISO 8601 / 常见日期字符串（.NET 序列化 DateTime 为 ISO 字符串）
+  const DATE_PATTERN = /^\d{4}[-/]\d{1,2}[-/]\d{1,2}([T ]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+  const IDENTIFIER_NAME_PATTERN = /(^id$|_id$|^uuid$|^guid$|编号$)/i;
+  // 驼峰命名（userId）需区分大小写，否则 paid、valid 等普通单词也会被当作标识列
+  const CAMEL_IDENTIFIER_NAME_PATTERN = /[a-z0-9]Id$/;
+  const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  const LOW_CARDINALITY_LIMIT = 30;
+  // 允许少量脏数据（如 'N/A'）而不影响整列的类型判断
+  const TYPE_MATCH_RATIO = 0.95;
+
+  function isNullish(value) {
+    return value === null || value === undefined || value === '';
+  }
+
+  function toNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+    if (typeof value === 'string' && value.trim() !== '') return Number(value);
+    return NaN;
+  }
+
+  function toTimestamp(value) {
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === 'string' && DATE_PATTERN.test(value.trim())) {
+      const text = value.trim().replace(/\//g, '-').replace(' ', 'T');
+      const [y, m, d] = text.split('T')[0].split('-').map(Number);
+      // 纯日期字符串按本地时间解析（Date.parse 会按 UTC 处理，导致跨日偏移）
+      if (text.indexOf('T') < 0) return new Date(y, m - 1, d).getTime();
+      return Date.parse(`${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}T${text.split('T')[1]}`);
+    }
+    return NaN;
+  }
+
+  // 列名是否像标识列（id、xxx_id、编号等），这类数值列不按千分位显示、不作为数值指标
+  function isIdentifierName(key) {
+    const name = String(key);
+    return IDENTIFIER_NAME_PATTERN.test(name) || CAMEL_IDENTIFIER_NAME_PATTERN.test(name);
+  }
+
+  function isBooleanLike(value) {
+    if (typeof value === 'boolean') return true;
+    return typeof value === 'string' && /^(true|false)$/i.test(value.trim());
+  }
+
+  // ---- 数据表 ----
+  // 图表内部按列存放数据：{ keys, cols: { [key]: any[] }, length }。
+  // 调用方可以传行数组（Array<Dictionary>），也可以传列式结果 { columns: string[], values: any[][] }
+  // （.NET 端的 ColumnarResult，列名只序列化一次，大结果经 Blazor 线路传输时体积小得多）
+
+  function isColumnar(data) {
+    return !!data && !Array.isArray(data) && Array.isArray(data.columns) && Array.isArray(data.values);
+  }
+
+  function isTable(data) {
+    return !!data && !Array.isArray(data) && Array.isArray(data.keys) && !!data.cols;
+  }
+
+  function getColumnKeys(dataRows) {
+    const keys = [];
+    const seen = new Set();
+    dataRows.forEach(row => {
+      Object.keys(row || {}).forEach(k => {
+        if (!seen.has(k)) { seen.add(k); keys.push(k); }
+      });
+    });
+    return keys;
+  }
+
+  function toTable(data) {
+    if (isTable(data)) return data;
+    const cols = Object.create(null);
+    if (isColumnar(data)) {
+      data.columns.forEach((key, i) => { cols[key] = data.values[i] || []; });
+      const length = typeof data.rowCount === 'number'
+        ? data.rowCount
+        : data.values.reduce((max, values) => Math.max(max, (values || []).length), 0);
+      return { keys: data.columns.slice(), cols, length };
+    }
+    const rows = Array.isArray(data) ? data : [];
+    const keys = getColumnKeys(rows);
+    keys.forEach(key => { cols[key] = rows.map(row => (row ? row[key] : undefined)); });
+    return { keys, cols, length: rows.length };
+  }
+
+  // 按行号取出子表（排序、按系列拆分时使用）
+  function selectRows(table, indices) {
+    const cols = Object.create(null);
+    table.keys.forEach(key => {
+      const source = table.cols[key];
+      cols[key] = indices.map(i => source[i]);
+    });
+    return { keys: table.keys, cols, length: indices.length };
+  }
+
+  function rowIndices(table) {
+    const indices = new Array(table.length);
+    for (let i = 0; i < table.length; i++) indices[i] = i;
+    return indices;
+  }
+
+  function rowCount(data) {
+    if (isTable(data)) return data.length;
+    if (isColumnar(data)) return toTable(data).length;
+    return Array.isArray(data) ? data.length : 0;
+  }
+
+  // 列画像需要遍历全部行，同一份数据只计算一次
+  function getProfile(table) {
+    if (!table.profile) table.profile = profileTable(table);
+    return table.profile;
+  }
+
+  // 为每一列给出类型画像（data 为行数组或列式结果）：
+  // kind: numeric | temporal | boolean | identifier | categorical
+  // role: value | category（供图表列选择器使用）
+  function profileColumns(data) {
+    return getProfile(toTable(data));
+  }
+
+  function profileTable(table) {
+    if (!table.length) return [];
+
+    return table.keys.map(key => {
+      let nonNull = 0, numeric = 0, integer = 0, temporal = 0, bool = 0, guid = 0;
+      const values = table.cols[key];
+
+      // 先统计各取值出现的次数，再按取值判断类型：重复值很多的分类列只需判断一次
+      const distinct = new Map(); // 取值 -> { value, count }
+      for (let i = 0; i < table.length; i++) {
+        const value = values[i];
+        if (isNullish(value)) continue;
+        nonNull++;
+        const distinctKey = value instanceof Date ? value.getTime() : value;
+        const entry = distinct.get(distinctKey);
+        if (entry) entry.count++;
+        else distinct.set(distinctKey, { value, count: 1 });
+      }
+
+      distinct.forEach(({ value, count }) => {
+        if (isBooleanLike(value)) { bool += count; return; }
+        const n = toNumber(value);
+        if (!isNaN(n)) {
+          numeric += count;
+          if (Number.isInteger(n)) integer += count;
+          return;
+        }
+        if (!isNaN(toTimestamp(value))) { temporal += count; return; }
+        if (typeof value === 'string' && GUID_PATTERN.test(value)) guid += count;
+      });
+
+      const total = table.length;
+      const distinctCount = distinct.size;
+      const matches = count => nonNull > 0 && count / nonNull >= TYPE_MATCH_RATIO;
+      const isUnique = nonNull > 1 && distinctCount === nonNull;
+
+      let kind = 'categorical';
+      if (nonNull === 0) {
+        kind = 'categorical';
+      } else if (matches(bool)) {
+        kind = 'boolean';
+      } else if (matches(guid) || (isUnique && isIdentifierName(key) && matches(integer + guid))) {
+        kind = 'identifier';
+      } else if (matches(numeric)) {
+        kind = 'numeric';
+      } else if (matches(temporal)) {
+        kind = 'temporal';
+      }
+
+      const profile = {
+        key,
+        label: key,
+        kind,
+        role: kind === 'numeric' ? 'value' : 'category',
+        nullRatio: total ? (total - nonNull) / total : 0,
+        distinctCount
+      };
+      if (kind === 'categorical') {
+        profile.cardinality = distinctCount <= LOW_CARDINALITY_LIMIT ? 'low' : 'high';
+      }
+      return profile;
+    });
+  }
+
+  // 分类轴优先级：时间 > 低基数分类 > 布尔 > 高基数分类 > 标识列
+  const CATEGORY_PRIORITY = {
+    temporal: 0,
+    'categorical:low': 1,
+    boolean: 2,
+    'categorical:high': 3,
+    identifier: 4
+  };
+
+  function pickCategoryColumn(profile) {
+    const candidates = profile
+      .filter(p => p.role === 'category')
+      .map(p => ({ p, rank: CATEGORY_PRIORITY[p.cardinality ? `${p.kind}:${p.cardinality}` : p.kind] ?? 5 }))
+      .sort((a, b) => a.rank - b.rank);
+    return candidates.length ? candidates[0].p : null;
+  }
+
+  function getAvailableColumns(data) {
+    const table = toTable(data);
+    if (!table.length) {
+      return { categoryColumns: [], valueColumns: [], allColumns: [], profile: [] };
+    }
+
+    const profile = getProfile(table);
+    const toOptionItem = p => ({ key: p.key, label: p.label, type: p.role, kind: p.kind });
+
+    return {
+      categoryColumns: profile.filter(p => p.role === 'category').map(toOptionItem),
+      valueColumns: profile.filter(p => p.role === 'value').map(toOptionItem),
+      allColumns: profile.map(p => p.key),
+      profile
+    };
+  }
+
+  // ---- 聚合与时间分桶 ----
+
+  const AGGREGATES = {
+    sum: values => values.reduce((a, b) => a + b, 0),
+    avg: values => values.length ? values.reduce((a, b) => a + b, 0) / values.length : null,
+    count: values => values.length,
+    min: values => values.length ? values.reduce((a, b) => (b < a ? b : a)) : null,
+    max: values => values.length ? values.reduce((a, b) => (b > a ? b : a)) : null
+  };
+
+  function aggregateValues(values, fn) {
+    const aggregate = AGGREGATES[fn] || AGGREGATES.sum;
+    // count 统计行数，其余函数只统计可转为数值的值
+    const numbers = fn === 'count' ? values.filter(v => !isNullish(v)) : values.map(toNumber).filter(v => !isNaN(v));
+    if (fn !== 'count' && numbers.length === 0) return null;
+    return aggregate(numbers);
+  }
+
+  // 与 aggregateValues 结果相同，但直接按行号读取列值，不为每个分组创建中间数组（大结果的分组数可达数十万）
+  function aggregateAt(values, indices, fn) {
+    if (fn === 'count') {
+      let count = 0;
+      for (let k = 0; k < indices.length; k++) {
+        if (!isNullish(values[indices[k]])) count++;
+      }
+      return count;
+    }
+    let count = 0, sum = 0, min = Infinity, max = -Infinity;
+    for (let k = 0; k < indices.length; k++) {
+      const n = toNumber(values[indices[k]]);
+      if (isNaN(n)) continue;
+      count++;
+      sum += n;
+      if (n < min) min = n;
+      if (n > max) max = n;
+    }
+    if (count === 0) return null;
+    switch (fn) {
+      case 'avg': return sum / count;
+      case 'min': return min;
+      case 'max': return max;
+      default: return sum;
+    }
+  }
+
+  // 各粒度的周期起点（本地时间）与下一个周期
+  const BUCKETS = {
+    day: {
+      start: d => new Date(d.getFullYear(), d.getMonth(), d.getDate()),
+      next: d => new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1)
+    },
+    week: {
+      // ISO 周：周一为一周的开始
+      start: d => new Date(d.getFullYear(), d.getMonth(), d.getDate() - ((d.getDay() + 6) % 7)),
+      next: d => new Date(d.getFullYear(), d.getMonth(), d.getDate() + 7)
+    },
+    month: {
+      start: d => new Date(d.getFullYear(), d.getMonth(), 1),
+      next: d => new Date(d.getFullYear(), d.getMonth() + 1, 1)
+    },
+    quarter: {
+      start: d => new Date(d.getFullYear(), d.getMonth() - (d.getMonth() % 3), 1),
+      next: d => new Date(d.getFullYear(), d.getMonth() + 3, 1)
+    },
+    year: {
+      start: d => new Date(d.getFullYear(), 0, 1),
+      next: d => new Date(d.getFullYear() + 1, 0, 1)
+    }
+  };
+  const BUCKET_ORDER = ['day', 'week', 'month', 'quarter', 'year'];
+  const MAX_TIME_POINTS = 1000;
+
+  // 周期标签按当前语言格式化；不分桶时按是否含时分秒决定是否显示时间
+  function formatTimeLabel(ts, bucket) {
+    return window.localeInterop.formatDate(ts, BUCKETS[bucket] ? bucket : 'auto');
+  }
+
+  // 自动粒度：原始时间点不超过上限且无需补齐缺失周期时不分桶，否则选择能把周期数压到上限以内的最细粒度
+  // sortedTimestamps: 已按升序排列；fillGaps: 是否补齐缺失周期
+  function chooseBucket(sortedTimestamps, fillGaps) {
+    const distinct = new Set(sortedTimestamps);
+    if (distinct.size <= MAX_TIME_POINTS && !fillGaps) return 'none';
+    const spanDays = (sortedTimestamps[sortedTimestamps.length - 1] - sortedTimestamps[0]) / 86400000;
+    const periodsPerDay = { day: 1, week: 1 / 7, month: 1 / 30, quarter: 1 / 91, year: 1 / 365 };
+    const fitting = BUCKET_ORDER.find(b => spanDays * periodsPerDay[b] <= MAX_TIME_POINTS) || 'year';
+    if (distinct.size > MAX_TIME_POINTS) return fitting;
+
+    // 补齐缺失周期需要固定的周期：取数据自身的粒度（如月初日期 → month），并保证周期数不超过上限
+    const natural = naturalBucket(distinct);
+    return BUCKET_ORDER[Math.max(BUCKET_ORDER.indexOf(natural), BUCKET_ORDER.indexOf(fitting))];
+  }
+
+  // 数据自身的时间粒度：所有时间点都是某种周期的开始时取最粗的那种，否则（含一天内的时刻）为 day
+  function naturalBucket(timestamps) {
+    const list = Array.from(timestamps);
+    for (let i = BUCKET_ORDER.length - 1; i > 0; i--) {
+      const def = BUCKETS[BUCKET_ORDER[i]];
+      if (list.every(ts => def.start(new Date(ts)).getTime() === ts)) return BUCKET_ORDER[i];
+    }
+    return 'day';
+  }
+
+  // 按时间列排序、分桶、聚合并补齐缺失周期，返回每个数值列的 [时间戳, 值] 序列
+  // indices（可选）：只统计这些行（按系列拆分时使用）
+  function buildTimeSeries(table, timeKey, valueKeys, options, indices) {
+    const opts = options || {};
+    const aggregate = opts.aggregate || 'sum';
+    const times = table.cols[timeKey] || [];
+    const points = (indices || rowIndices(table))
+      .map(i => ({ ts: toTimestamp(times[i]), i }))
+      .filter(p => !isNaN(p.ts))
+      .sort((a, b) => a.ts - b.ts);
+
+    if (points.length === 0) return { bucket: 'none', series: valueKeys.map(k => ({ key: k, data: [] })) };
+
+    let bucket = opts.bucket || 'auto';
+    if (bucket === 'auto') bucket = chooseBucket(points.map(p => p.ts), opts.fillGaps);
+    const def = BUCKETS[bucket];
+
+    // 分组：不分桶时按原始时间点分组（同一时间点的重复行也需要聚合）
+    const groups = new Map();
+    points.forEach(p => {
+      const key = def ? def.start(new Date(p.ts)).getTime() : p.ts;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(p.i);
+    });
+
+    // points 已排序，groups 的键按升序插入
+    let periods = Array.from(groups.keys());
+    if (def && opts.fillGaps) {
+      const first = periods[0];
+      const last = periods[periods.length - 1];
+      periods = [];
+      for (let d = new Date(first); d.getTime() <= last; d = def.next(d)) {
+        periods.push(d.getTime());
+      }
+    }
+
+    // sum/count 的缺失周期补 0，其余补 null（折线断开）
+    const gapValue = aggregate === 'sum' || aggregate === 'count' ? 0 : null;
+    const series = valueKeys.map(k => {
+      const values = table.cols[k] || [];
+      return {
+        key: k,
+        data: periods.map(ts => {
+          const rows = groups.get(ts);
+          return [ts, rows ? aggregateAt(values, rows, aggregate) : gapValue];
+        })
       };
-      
-      window.addEventListener('resize', resizeHandler);
-      
-      // 也监听容器大小变化（如果支持ResizeObserver）
-      if (window.ResizeObserver) {
-        const resizeObserver = new ResizeObserver(resizeHandler);
-        resizeObserver.observe(el);
+    });
+
+    return { bucket, aggregate, series };
+  }
+
+  // 按分类列（及可选的系列列）分组聚合，重复的分类合并为一个点
+  // options.limit：分类数超过上限时只保留合计最大的 limit - 1 个，其余合并为“其他”
+  // 返回 { categories: string[], series: [{ name, valueKey, seriesValue, data: number[] }], othersLabel }
+  function groupRows(table, categoryKey, valueKeys, options) {
+    const opts = options || {};
+    const aggregate = opts.aggregate || 'sum';
+    const seriesKey = opts.seriesKey;
+    const categoryValues = table.cols[categoryKey] || [];
+    const seriesColumn = seriesKey ? (table.cols[seriesKey] || []) : null;
+
+    const categories = [];
+    const categoryIndex = new Map();
+    const seriesValues = [];
+    const seriesIndex = new Map();
+    const cells = []; // cells[分类下标][系列下标] -> 行号
+
+    for (let i = 0; i < table.length; i++) {
+      const category = String(categoryValues[i] ?? '');
+      let ci = categoryIndex.get(category);
+      if (ci === undefined) {
+        ci = categories.length;
+        categoryIndex.set(category, ci);
+        categories.push(category);
+        cells.push([]);
+      }
+      const seriesValue = seriesColumn ? String(seriesColumn[i] ?? '') : '';
+      let si = seriesIndex.get(seriesValue);
+      if (si === undefined) {
+        si = seriesValues.length;
+        seriesIndex.set(seriesValue, si);
+        seriesValues.push(seriesValue);
       }
+      (cells[ci][si] || (cells[ci][si] = [])).push(i);
     }
-    return chart;
+
+    const series = [];
+    valueKeys.forEach(valueKey => {
+      const values = table.cols[valueKey] || [];
+      seriesValues.forEach((seriesValue, si) => {
+        let name = valueKey;
+        if (seriesKey) name = valueKeys.length > 1 ? `${seriesValue} · ${valueKey}` : seriesValue;
+        series.push({
+          name,
+          valueKey,
+          seriesValue,
+          data: categories.map((_, ci) => {
+            const rows = cells[ci][si];
+            return rows ? aggregateAt(values, rows, aggregate) : null;
+          })
+        });
+      });
+    });
+
+    const grouped = sortGrouped({ categories, series, othersLabel: null }, opts.sort);
+    if (!(opts.limit > 1) || categories.length <= opts.limit) return grouped;
+
+    // 合并长尾分类：按原始行重新聚合，avg/min/max 的结果与直接在这些行上计算一致
+    const keep = topCategories(grouped, opts.limit - 1);
+    const tail = grouped.categories.filter(c => !keep.has(c)).map(c => categoryIndex.get(c));
+    const othersLabel = t('chart.others', { count: tail.length });
+    return {
+      categories: grouped.categories.filter(c => keep.has(c)).concat(othersLabel),
+      series: grouped.series.map(s => {
+        const values = table.cols[s.valueKey] || [];
+        const si = seriesIndex.get(s.seriesValue);
+        const tailRows = [];
+        tail.forEach(ci => (cells[ci][si] || []).forEach(i => tailRows.push(i)));
+        const kept = s.data.filter((_, i) => keep.has(grouped.categories[i]));
+        return Object.assign({}, s, { data: kept.concat(tailRows.length ? aggregateAt(values, tailRows, aggregate) : null) });
+      }),
+      othersLabel
+    };
+  }
+
+  // 各系列绝对值之和最大的 count 个分类
+  function topCategories(grouped, count) {
+    const totals = grouped.categories.map((_, i) => grouped.series.reduce((sum, s) => sum + (Math.abs(s.data[i]) || 0), 0));
+    const ranked = grouped.categories.map((_, i) => i).sort((a, b) => totals[b] - totals[a]);
+    return new Set(ranked.slice(0, count).map(i => grouped.categories[i]));
+  }
+
+  // sort: { by: 'category'|'value', order: 'asc'|'desc' }；按数值排序时使用各系列之和
+  function sortGrouped(grouped, sort) {
+    if (!sort || !sort.by || sort.by === 'none') return grouped;
+    const direction = sort.order === 'desc' ? -1 : 1;
+    const collator = new Intl.Collator(undefined, { numeric: true });
+    const totals = grouped.categories.map((_, i) => grouped.series.reduce((sum, s) => sum + (s.data[i] || 0), 0));
+    const order = grouped.categories.map((_, i) => i).sort((a, b) => direction * (sort.by === 'value'
+      ? totals[a] - totals[b]
+      : collator.compare(grouped.categories[a], grouped.categories[b])));
+
+    return {
+      categories: order.map(i => grouped.categories[i]),
+      series: grouped.series.map(s => Object.assign({}, s, { data: order.map(i => s.data[i]) })),
+      othersLabel: grouped.othersLabel
+    };
+  }
+
+  // ---- 大数据量 ----
+  // 折线/面积/散点降采样、饼图与柱状图合并长尾分类、大数据量渲染模式；meta.sampling 为 'none' 时不降采样也不合并
+
+  const MAX_LINE_POINTS = 2000; // 每个系列最多绘制的点数，约为常见图表宽度的两倍像素
+  const MAX_SCATTER_POINTS = 5000;
+  const SCATTER_GRID = [300, 200]; // 散点降采样网格（列 × 行）
+  const TOP_N = { pie: 10, funnel: 10, bar: 200 }; // 柱状图只在分类确实很多时才合并长尾
+  const LARGE_THRESHOLD = 2000; // 超过该数据量时启用 ECharts large 模式
+  const PROGRESSIVE_CHUNK = 5000; // 渐进渲染时每帧绘制的图形数
+  const PROGRESSIVE_THRESHOLD = 10000;
+
+  function samplingEnabled(meta) {
+    return meta.sampling !== 'none';
+  }
+
+  function categoryLimit(meta, kind) {
+    return samplingEnabled(meta) ? TOP_N[kind] : undefined;
   }
 
-  function getAvailableColumns(dataRows) {
-    if (!Array.isArray(dataRows) || dataRows.length === 0) {
-      return { categoryColumns: [], valueColumns: [] };
+  // 分类轴是否有固有顺序（时间、数值或按分类排序）：这类轴按数值排名合并长尾会在轴上留下空缺，只能按位置降采样
+  function isOrderedCategory(meta, table) {
+    if (meta.sort && meta.sort.by === 'category') return true;
+    const profile = (meta.profile || getProfile(table)).find(p => p.key === meta.categoryKey);
+    return !!profile && (profile.kind === 'temporal' || profile.kind === 'numeric');
+  }
+
+  // 分类轴按最小/最大值降采样（原地修改 grouped），返回降采样前的分类数
+  function downsampleCategories(grouped, meta) {
+    const total = grouped.categories.length;
+    if (!samplingEnabled(meta)) return total;
+    const indices = minMaxIndices(grouped.series.map(s => s.data), total, MAX_LINE_POINTS);
+    if (indices) {
+      grouped.categories = indices.map(i => grouped.categories[i]);
+      grouped.series.forEach(s => { s.data = indices.map(i => s.data[i]); });
     }
-    
-    const row = dataRows[0];
-    const keys = Object.keys(row);
-    const categoryColumns = [];
-    const valueColumns = [];
-    
-    keys.forEach(key => {
-      const value = row[key];
-      if (typeof value === 'string' || value instanceof Date) {
-        categoryColumns.push({ key, label: key, type: 'category' });
-      } else if (typeof value === 'number' || (!isNaN(Number(value)) && value !== null && value !== '')) {
-        valueColumns.push({ key, label: key, type: 'value' });
-      } else {
-        categoryColumns.push({ key, label: key, type: 'category' });
+    return total;
+  }
+
+  // Largest-Triangle-Three-Buckets：points 为按 x 升序的 [x, y]，保留 threshold 个最能体现折线形状的点
+  function lttb(points, threshold) {
+    const n = points.length;
+    if (threshold >= n || threshold < 3) return points;
+
+    const sampled = [points[0]];
+    const every = (n - 2) / (threshold - 2);
+    let a = 0;
+    for (let i = 0; i < threshold - 2; i++) {
+      // 下一个桶的平均点
+      const avgStart = Math.floor((i + 1) * every) + 1;
+      const avgEnd = Math.min(Math.floor((i + 2) * every) + 1, n);
+      let avgX = 0, avgY = 0;
+      for (let j = avgStart; j < avgEnd; j++) {
+        avgX += points[j][0];
+        avgY += points[j][1];
       }
+      avgX /= avgEnd - avgStart;
+      avgY /= avgEnd - avgStart;
+
+      // 当前桶中与上一个选中点、下一个桶平均点构成三角形面积最大的点
+      const [ax, ay] = points[a];
+      const rangeEnd = Math.floor((i + 1) * every) + 1;
+      let maxArea = -1;
+      let next = Math.floor(i * every) + 1;
+      for (let j = next; j < rangeEnd; j++) {
+        const area = Math.abs((ax - avgX) * (points[j][1] - ay) - (ax - points[j][0]) * (avgY - ay));
+        if (area > maxArea) {
+          maxArea = area;
+          next = j;
+        }
+      }
+      sampled.push(points[next]);
+      a = next;
+    }
+    sampled.push(points[n - 1]);
+    return sampled;
+  }
+
+  // 多个系列共享同一组 X（分类轴、堆叠）时的降采样：按位置分桶，保留每个系列在桶内最小值与最大值所在的位置（取并集），
+  // 峰谷不会被抹平，各系列仍然对齐。返回保留的下标（升序）
+  function minMaxIndices(seriesData, length, threshold) {
+    if (length <= threshold) return null;
+    const bucketCount = Math.max(1, Math.floor(threshold / 2));
+    const bucketSize = length / bucketCount;
+    const keep = new Uint8Array(length);
+    keep[0] = 1;
+    keep[length - 1] = 1;
+    for (let b = 0; b < bucketCount; b++) {
+      const start = Math.floor(b * bucketSize);
+      const end = Math.min(length, Math.floor((b + 1) * bucketSize));
+      seriesData.forEach(data => {
+        let minIndex = -1, maxIndex = -1;
+        for (let i = start; i < end; i++) {
+          const value = data[i];
+          if (value === null || value === undefined) continue;
+          if (minIndex < 0 || value < data[minIndex]) minIndex = i;
+          if (maxIndex < 0 || value > data[maxIndex]) maxIndex = i;
+        }
+        if (minIndex >= 0) keep[minIndex] = 1;
+        if (maxIndex >= 0) keep[maxIndex] = 1;
+      });
+    }
+    const indices = [];
+    for (let i = 0; i < length; i++) {
+      if (keep[i]) indices.push(i);
+    }
+    return indices;
+  }
+
+  // 散点降采样：绘图区划分为网格，每个网格只保留第一个点；离群点通常独占一个网格，因而会被保留
+  function thinScatter(points, limit) {
+    if (points.length <= limit) return points;
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    points.forEach(([x, y]) => {
+      if (!Number.isFinite(x) || !Number.isFinite(y)) return;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
     });
-    
-    return { categoryColumns, valueColumns, allColumns: keys };
+    const [columns, rows] = SCATTER_GRID;
+    const scaleX = maxX > minX ? (columns - 1) / (maxX - minX) : 0;
+    const scaleY = maxY > minY ? (rows - 1) / (maxY - minY) : 0;
+    const occupied = new Uint8Array(columns * rows);
+    const result = [];
+    points.forEach(point => {
+      const [x, y] = point;
+      if (!Number.isFinite(x) || !Number.isFinite(y)) return;
+      const cell = Math.floor((y - minY) * scaleY) * columns + Math.floor((x - minX) * scaleX);
+      if (occupied[cell]) return;
+      occupied[cell] = 1;
+      result.push(point);
+    });
+    return result;
   }
 
-  function getChartTypes() {
-    return [
-      { key: 'bar', label: '柱状图', icon: 'bar-chart' },
-      { key: 'line', label: '折线图', icon: 'line-chart' },
-      { key: 'pie', label: '饼图', icon: 'pie-chart' },
-      { key: 'scatter', label: '散点图', icon: 'dot-chart' },
-      { key: 'area', label: '面积图', icon: 'area-chart' }
-    ];
-  }
-
-  function inferMeta(dataRows) {
-    // dataRows: Array<Dictionary<string, object>> from .NET → becomes array of objects
-    if (!Array.isArray(dataRows) || dataRows.length === 0) {
+  // 降采样后在图表右下角注明，避免把抽样结果误认为完整数据
+  function addSamplingNote(option, shown, total) {
+    if (shown >= total) return;
+    const note = {
+      type: 'text',
+      right: 10,
+      bottom: 2,
+      silent: true,
+      style: {
+        text: t('chart.sampled', { shown: formatNumber(shown), total: formatNumber(total) }),
+        fontSize: 11,
+        fill: THEMES[resolveTheme()].secondaryText
+      }
+    };
+    option.graphic = (option.graphic || []).concat(note);
+  }
+
+  function inferMeta(table) {
+    if (!table.length) {
       return { type: 'empty' };
     }
-    const row = dataRows[0];
-    const keys = Object.keys(row);
-    // Choose first non-numeric column as category; the rest numeric as metrics
-    let categoryKey = keys.find(k => typeof row[k] === 'string');
-    if (!categoryKey) categoryKey = keys[0];
-    const numberKeys = keys.filter(k => typeof row[k] === 'number' || (!isNaN(Number(row[k])) && row[k] !== null && row[k] !== ''));
-    const numericMetrics = numberKeys.filter(k => k !== categoryKey);
+    const profile = getProfile(table);
+    const keys = profile.map(p => p.key);
+    const numericKeys = profile.filter(p => p.kind === 'numeric').map(p => p.key);
+    const category = pickCategoryColumn(profile);
+
+    // 单行单值（如 SELECT COUNT(*)）→ 指标卡
+    if (table.length === 1 && numericKeys.length >= 1 && keys.length <= 2) {
+      return { type: 'kpi', categoryKey: category ? category.key : undefined, valueKeys: [numericKeys[0]], profile };
+    }
 
-    // If only one numeric metric → bar; if many rows>30 → line; if two columns only and both numeric → scatter
-    if (keys.length === 2 && numberKeys.length === 2) {
-      return { type: 'scatter', xKey: keys[0], yKey: keys[1] };
+    // 两个数值列且没有分类列 → 散点图
+    if (!category && numericKeys.length === 2) {
+      return { type: 'scatter', xKey: numericKeys[0], yKey: numericKeys[1], profile };
     }
-    if (numericMetrics.length === 0) {
-      // try to parse a numeric column anyway
+
+    const categoryKey = category ? category.key : keys[0];
+    const valueKeys = numericKeys.filter(k => k !== categoryKey);
+    if (valueKeys.length === 0) {
       const fallback = keys.find(k => k !== categoryKey);
-      if (fallback) numericMetrics.push(fallback);
+      valueKeys.push(fallback || keys[0]);
+    }
+
+    // 时间列 → 时间序列
+    if (category && category.kind === 'temporal') {
+      return { type: 'timeseries', categoryKey, valueKeys, bucket: 'auto', aggregate: 'sum', fillGaps: false, profile };
     }
-    const manyRows = dataRows.length > 30;
-    const chartType = manyRows ? 'line' : 'bar';
-    return { type: chartType, categoryKey, valueKeys: numericMetrics.length ? numericMetrics : [keys[1] || keys[0]] };
+
+    // 两个低基数分类列 + 数值列 → 维度都较多时用热力图，否则按第二个分类拆分为堆叠柱状图
+    const secondCategory = profile.find(p => p.key !== categoryKey && p.kind === 'categorical' && p.cardinality === 'low');
+    if (category && category.kind === 'categorical' && secondCategory && valueKeys.length >= 1) {
+      const type = category.distinctCount > 6 && secondCategory.distinctCount > 6 ? 'heatmap' : 'stackedBar';
+      return { type, categoryKey, seriesKey: secondCategory.key, valueKeys: [valueKeys[0]], aggregate: 'sum', profile };
+    }
+
+    // 两个量级相差悬殊的指标 → 双轴图
+    if (valueKeys.length === 2) {
+      const magnitude = k => table.cols[k].reduce((m, v) => Math.max(m, Math.abs(toNumber(v)) || 0), 0);
+      const a = magnitude(valueKeys[0]);
+      const b = magnitude(valueKeys[1]);
+      if (a > 0 && b > 0 && Math.max(a, b) / Math.min(a, b) >= 100) {
+        return { type: 'dualAxis', categoryKey, valueKeys, profile };
+      }
+    }
+
+    // 分类标签较长时横向展示
+    if (table.length <= 30) {
+      const labels = table.cols[categoryKey].map(v => String(v ?? ''));
+      const avgLength = labels.reduce((sum, l) => sum + l.length, 0) / labels.length;
+      if (avgLength > 12) {
+        return { type: 'horizontalBar', categoryKey, valueKeys, profile };
+      }
+    }
+
+    // 行数较多 → 折线图；否则柱状图
+    const chartType = table.length > 30 ? 'line' : 'bar';
+    return { type: chartType, categoryKey, valueKeys, profile };
   }
 
-  function toOption(meta, dataRows) {
-    if (meta.type === 'empty') {
-      return { title: { text: '无数据' } };
+  function toTimeSeriesOption(meta, table) {
+    let result = buildTimeSeries(table, meta.categoryKey, meta.valueKeys || [], meta);
+    if (meta.seriesKey) {
+      // 按系列列拆分后分别分桶，保证各系列使用同一粒度
+      const parts = new Map();
+      const seriesColumn = table.cols[meta.seriesKey] || [];
+      for (let i = 0; i < table.length; i++) {
+        const key = String(seriesColumn[i] ?? '');
+        if (!parts.has(key)) parts.set(key, []);
+        parts.get(key).push(i);
+      }
+      const series = [];
+      const partOptions = Object.assign({}, meta, { bucket: result.bucket });
+      parts.forEach((rows, seriesValue) => {
+        buildTimeSeries(table, meta.categoryKey, meta.valueKeys || [], partOptions, rows).series.forEach(s => {
+          series.push({ key: (meta.valueKeys || []).length > 1 ? `${seriesValue} · ${s.key}` : seriesValue, valueKey: s.key, seriesValue, data: s.data });
+        });
+      });
+      result = Object.assign({}, result, { series });
     }
-    
-    if (meta.type === 'scatter') {
-      return {
-        tooltip: { 
-          trigger: 'item',
-          formatter: function(params) {
-            return `${meta.xKey}: ${params.data[0]}<br/>${meta.yKey}: ${params.data[1]}`;
-          }
-        },
-        xAxis: { type: 'value', name: meta.xKey },
-        yAxis: { type: 'value', name: meta.yKey },
-        series: [{
-          type: 'scatter',
-          data: dataRows.map(r => [Number(r[meta.xKey]), Number(r[meta.yKey])]),
-          symbolSize: 8
-        }]
-      };
+    const bucket = result.bucket;
+    const def = BUCKETS[bucket];
+    const useBar = meta.seriesType === 'bar';
+
+    // 降采样：独立的折线各自用 LTTB；柱状或堆叠时各系列需要对齐（周期相同时），改用共享下标的最小/最大值采样
+    const totalPoints = result.series.reduce((sum, s) => sum + s.data.length, 0);
+    if (samplingEnabled(meta)) {
+      if (useBar || meta.stack) {
+        const aligned = new Set(result.series.map(s => s.data.length)).size === 1;
+        (aligned ? [result.series] : result.series.map(s => [s])).forEach(group => {
+          const indices = minMaxIndices(group.map(s => s.data.map(p => p[1])), group[0].data.length, MAX_LINE_POINTS);
+          if (indices) group.forEach(s => { s.data = indices.map(i => s.data[i]); });
+        });
+      } else {
+        result.series.forEach(s => {
+          if (s.data.length > MAX_LINE_POINTS) s.data = lttb(s.data.filter(p => p[1] !== null), MAX_LINE_POINTS);
+        });
+      }
     }
+    const pointCount = result.series.reduce((max, s) => Math.max(max, s.data.length), 0);
+
+    const axisFormatter = def ? (value => formatTimeLabel(value, bucket)) : undefined;
+
+    const option = {
+      tooltip: {
+        trigger: 'axis',
+        axisPointer: { type: 'cross' },
+        formatter: function (params) {
+          const list = Array.isArray(params) ? params : [params];
+          if (!list.length) return '';
+          const header = formatTimeLabel(list[0].value[0], bucket);
+          const lines = list.map(p => `${p.marker}${p.seriesName}: ${formatNumber(p.value[1])}`);
+          return [header].concat(lines).join('<br/>');
+        }
+      },
+      legend: {
+        type: 'scroll',
+        top: 10
+      },
+      grid: {
+        left: 50,
+        right: 30,
+        top: 50,
+        bottom: pointCount > 50 ? 80 : 50,
+        containLabel: true
+      },
+      xAxis: {
+        type: 'time',
+        name: meta.categoryKey,
+        axisLabel: axisFormatter ? { formatter: axisFormatter, hideOverlap: true } : { hideOverlap: true }
+      },
+      yAxis: { type: 'value', axisLabel: valueAxisLabel() },
+      dataZoom: pointCount > 50
+        ? [{ type: 'inside' }, { type: 'slider', bottom: 20 }]
+        : undefined,
+      series: result.series.map(s => ({
+        name: result.aggregate && bucket !== 'none' && !meta.seriesKey ? `${s.key} (${t(`chart.aggregate.${result.aggregate}`)})` : s.key,
+        type: useBar ? 'bar' : 'line',
+        stack: meta.stack ? 'total' : undefined,
+        data: s.data,
+        showSymbol: pointCount <= 100,
+        connectNulls: false,
+        sampling: 'lttb',
+        large: useBar && !meta.stack && pointCount > LARGE_THRESHOLD,
+        largeThreshold: LARGE_THRESHOLD,
+        drill: { valueKey: s.valueKey || s.key, seriesValue: meta.seriesKey ? s.seriesValue : null, bucket }
+      }))
+    };
+    addSamplingNote(option, result.series.reduce((sum, s) => sum + s.data.length, 0), totalPoints);
+    return option;
+  }
+
+  function sortByTime(table, key) {
+    const values = table.cols[key] || [];
+    const order = rowIndices(table)
+      .map(i => ({ ts: toTimestamp(values[i]), i }))
+      .sort((a, b) => (isNaN(a.ts) ? Infinity : a.ts) - (isNaN(b.ts) ? Infinity : b.ts))
+      .map(p => p.i);
+    return selectRows(table, order);
+  }
+
+  function emptyOption() {
+    return { title: { text: t('chart.noData') } };
+  }
+
+  function toScatterOption(meta, table) {
+    const xKey = meta.xKey || meta.valueKeys?.[0];
+    const yKey = meta.yKey || meta.valueKeys?.[1];
+    const xs = table.cols[xKey] || [];
+    const ys = table.cols[yKey] || [];
+    const points = rowIndices(table).map(i => [Number(xs[i]), Number(ys[i])]);
+    const data = samplingEnabled(meta) ? thinScatter(points, MAX_SCATTER_POINTS) : points;
+    const option = {
+      tooltip: { 
+        trigger: 'item',
+        formatter: function(params) {
+          return `${xKey}: ${formatNumber(params.data[0])}<br/>${yKey}: ${formatNumber(params.data[1])}`;
+        }
+      },
+      xAxis: { type: 'value', name: xKey, axisLabel: valueAxisLabel() },
+      yAxis: { type: 'value', name: yKey, axisLabel: valueAxisLabel() },
+      series: [{
+        type: 'scatter',
+        data,
+        symbolSize: data.length > LARGE_THRESHOLD ? 4 : 8,
+        large: true,
+        largeThreshold: LARGE_THRESHOLD,
+        progressive: PROGRESSIVE_CHUNK,
+        progressiveThreshold: PROGRESSIVE_THRESHOLD
+      }]
+    };
+    addSamplingNote(option, data.length, points.length);
+    return option;
+  }
+
+  function toPieOption(meta, table) {
+    const categoryKey = meta.categoryKey || table.keys[0];
+    const valueKey = meta.valueKeys?.[0] || table.keys[1];
+    // 饼图展示按分类聚合后的合计，忽略系列列；分类过多时合并长尾
+    const totals = groupRows(table, categoryKey, [valueKey], { aggregate: meta.aggregate, sort: meta.sort, limit: categoryLimit(meta, 'pie') });
     
-    if (meta.type === 'pie') {
-      const categoryKey = meta.categoryKey || Object.keys(dataRows[0])[0];
-      const valueKey = meta.valueKeys?.[0] || Object.keys(dataRows[0])[1];
-      
-      return {
-        tooltip: { 
-          trigger: 'item',
-          formatter: '{a} <br/>{b}: {c} ({d}%)'
-        },
-        legend: {
-          type: 'scroll',
-          orient: 'vertical',
-          right: 10,
-          top: 20,
-          bottom: 20
-        },
-        series: [{
-          name: valueKey,
-          type: 'pie',
-          radius: ['40%', '70%'],
-          avoidLabelOverlap: false,
-          data: dataRows.map(r => ({
-            name: String(r[categoryKey] ?? ''),
-            value: Number(r[valueKey])
-          }))
-        }]
-      };
+    return {
+      tooltip: { 
+        trigger: 'item',
+        formatter: params => `${params.seriesName} <br/>${params.name}: ${formatNumber(params.value)} (${params.percent}%)`
+      },
+      legend: {
+        type: 'scroll',
+        orient: 'vertical',
+        right: 10,
+        top: 20,
+        bottom: 20
+      },
+      series: [{
+        name: valueKey,
+        type: 'pie',
+        radius: ['40%', '70%'],
+        avoidLabelOverlap: false,
+        drill: { valueKey, othersLabel: totals.othersLabel },
+        data: totals.categories.map((name, i) => ({
+          name,
+          value: totals.series[0].data[i]
+        }))
+      }]
+    };
+  }
+
+  // 柱状图 / 折线图 / 面积图及其堆叠、百分比堆叠、横向变体
+  // variant: { seriesType: 'bar'|'line', area, stack, percent, horizontal }
+  function toCartesianOption(meta, table, variant) {
+    const v = variant || {};
+    const seriesType = v.seriesType || 'bar';
+    const stacked = v.stack || v.percent || meta.stack;
+    // 无序分类的柱状图分类过多时合并长尾；折线/面积图及时间、数值等有序分类轴保留全部分类，按最小/最大值降采样
+    const mergeTail = seriesType === 'bar' && !isOrderedCategory(meta, table);
+    const limit = mergeTail ? categoryLimit(meta, 'bar') : undefined;
+    const grouped = groupRows(table, meta.categoryKey, meta.valueKeys || [], Object.assign({}, meta, { limit }));
+    const totalCategories = mergeTail ? grouped.categories.length : downsampleCategories(grouped, meta);
+    const categories = grouped.categories;
+    const large = seriesType === 'bar' && !stacked && categories.length > LARGE_THRESHOLD;
+
+    // 百分比堆叠：每个分类下各系列占合计的比例
+    let totals = null;
+    if (v.percent) {
+      totals = categories.map((_, i) => grouped.series.reduce((sum, s) => sum + (Math.abs(s.data[i]) || 0), 0));
     }
 
-    const categories = dataRows.map(r => String(r[meta.categoryKey] ?? ''));
-    const series = (meta.valueKeys || []).map(k => ({
-      name: k,
-      type: meta.type === 'area' ? 'line' : meta.type,
-      data: dataRows.map(r => Number(r[k])),
-      areaStyle: meta.type === 'area' ? {} : undefined,
-      smooth: meta.type === 'line' || meta.type === 'area'
+    const series = grouped.series.map(s => ({
+      name: s.name,
+      type: seriesType,
+      data: totals
+        ? s.data.map((value, i) => (value === null || !totals[i] ? null : +(Math.abs(value) / totals[i] * 100).toFixed(2)))
+        : s.data,
+      stack: stacked ? (meta.seriesKey ? s.valueKey : 'total') : undefined,
+      areaStyle: v.area ? {} : undefined,
+      smooth: seriesType === 'line' && categories.length <= MAX_LINE_POINTS / 4,
+      showSymbol: seriesType === 'line' ? categories.length <= 100 : undefined,
+      sampling: seriesType === 'line' ? 'lttb' : undefined,
+      large,
+      largeThreshold: LARGE_THRESHOLD,
+      drill: { valueKey: s.valueKey, seriesValue: meta.seriesKey ? s.seriesValue : null, values: s.data, othersLabel: grouped.othersLabel }
     }));
 
-    return {
+    const categoryAxis = { 
+      type: 'category', 
+      data: categories, 
+      axisLabel: { 
+        interval: 'auto',
+        rotate: !v.horizontal && categories.length > 10 ? 45 : 0
+      }
+    };
+    const valueAxis = totals
+      ? { type: 'value', max: 100, axisLabel: { formatter: '{value}%' } }
+      : { type: 'value', axisLabel: valueAxisLabel() };
+
+    const option = {
       tooltip: { 
         trigger: 'axis',
         axisPointer: {
-          type: meta.type === 'line' || meta.type === 'area' ? 'cross' : 'shadow'
-        }
+          type: seriesType === 'line' ? 'cross' : 'shadow'
+        },
+        valueFormatter: totals
+          ? (value => (value === null || value === undefined ? '-' : `${formatNumber(value)}%`))
+          : (value => formatNumber(value))
       },
       legend: { 
         type: 'scroll',
@@ -180,69 +1152,537 @@ window.echartsInterop = (function () {
         bottom: 50,
         containLabel: true
       },
-      xAxis: { 
-        type: 'category', 
-        data: categories, 
-        axisLabel: { 
-          interval: 'auto',
-          rotate: categories.length > 10 ? 45 : 0
+      xAxis: v.horizontal ? valueAxis : categoryAxis,
+      yAxis: v.horizontal ? Object.assign({}, categoryAxis, { inverse: true }) : valueAxis,
+      series
+    };
+    addSamplingNote(option, categories.length, totalCategories);
+    return option;
+  }
+
+  // 热力图：分类列为 X 轴，系列列为 Y 轴，第一个数值列为颜色
+  function toHeatmapOption(meta, table) {
+    const yKey = meta.seriesKey || ((meta.profile || []).find(p => p.role === 'category' && p.key !== meta.categoryKey) || {}).key;
+    if (!yKey) return emptyOption();
+    const valueKey = meta.valueKeys?.[0];
+    const grouped = groupRows(table, meta.categoryKey, [valueKey], Object.assign({}, meta, { seriesKey: yKey }));
+
+    const yCategories = grouped.series.map(s => s.seriesValue);
+    const data = [];
+    let min = Infinity, max = -Infinity;
+    grouped.series.forEach((s, yi) => {
+      s.data.forEach((value, xi) => {
+        if (value === null) return;
+        data.push([xi, yi, value]);
+        if (value < min) min = value;
+        if (value > max) max = value;
+      });
+    });
+
+    return {
+      tooltip: {
+        position: 'top',
+        formatter: function (params) {
+          const [xi, yi, value] = params.data;
+          return `${meta.categoryKey}: ${grouped.categories[xi]}<br/>${yKey}: ${yCategories[yi]}<br/>${valueKey}: ${formatNumber(value)}`;
         }
       },
-      yAxis: { type: 'value' },
-      series
+      grid: { left: 50, right: 30, top: 30, bottom: 80, containLabel: true },
+      xAxis: { type: 'category', name: meta.categoryKey, data: grouped.categories, splitArea: { show: true } },
+      yAxis: { type: 'category', name: yKey, data: yCategories, splitArea: { show: true } },
+      visualMap: {
+        min: data.length ? min : 0,
+        max: data.length ? max : 0,
+        calculable: true,
+        formatter: value => formatNumber(value, { compact: true }),
+        orient: 'horizontal',
+        left: 'center',
+        bottom: 10
+      },
+      series: [{
+        name: valueKey,
+        type: 'heatmap',
+        drill: { valueKey, seriesKey: yKey },
+        data,
+        progressive: PROGRESSIVE_CHUNK,
+        progressiveThreshold: PROGRESSIVE_THRESHOLD,
+        label: { show: data.length <= 200 },
+        emphasis: { itemStyle: { shadowBlur: 10, shadowColor: 'rgba(0, 0, 0, 0.5)' } }
+      }]
+    };
+  }
+
+  function toFunnelOption(meta, table) {
+    const valueKey = meta.valueKeys?.[0];
+    const totals = groupRows(table, meta.categoryKey, [valueKey], { aggregate: meta.aggregate, limit: categoryLimit(meta, 'funnel') });
+    const data = totals.categories
+      .map((name, i) => ({ name, value: totals.series[0].data[i] }))
+      .filter(d => d.value !== null)
+      .sort((a, b) => b.value - a.value);
+
+    return {
+      tooltip: { trigger: 'item', formatter: params => `${params.seriesName} <br/>${params.name}: ${formatNumber(params.value)}` },
+      legend: { type: 'scroll', top: 10 },
+      series: [{
+        name: valueKey,
+        type: 'funnel',
+        top: 50,
+        bottom: 20,
+        left: '10%',
+        width: '80%',
+        sort: 'descending',
+        label: { show: true, position: 'inside' },
+        drill: { valueKey, othersLabel: totals.othersLabel },
+        data
+      }]
+    };
+  }
+
+  // 矩形树图：分类列为第一层，系列列（可选）为第二层
+  function toTreemapOption(meta, table) {
+    const valueKey = meta.valueKeys?.[0];
+    const grouped = groupRows(table, meta.categoryKey, [valueKey], meta);
+    const data = grouped.categories.map((name, ci) => {
+      if (!meta.seriesKey) {
+        return { name, value: grouped.series[0].data[ci] };
+      }
+      const children = grouped.series
+        .map(s => ({ name: s.seriesValue, value: s.data[ci] }))
+        .filter(c => c.value !== null);
+      return { name, value: children.reduce((sum, c) => sum + c.value, 0), children };
+    }).filter(d => d.value !== null && d.value > 0);
+
+    return {
+      tooltip: { formatter: params => `${params.name}: ${formatNumber(params.value)}` },
+      series: [{
+        name: valueKey,
+        type: 'treemap',
+        roam: false,
+        drill: { valueKey },
+        leafDepth: meta.seriesKey ? 1 : undefined,
+        breadcrumb: { show: !!meta.seriesKey },
+        label: { show: true, formatter: '{b}' },
+        upperLabel: meta.seriesKey ? { show: true, height: 24 } : undefined,
+        data
+      }]
+    };
+  }
+
+  // 指标卡：单值结果以大号数字展示
+  function toKpiOption(meta, table) {
+    const valueKey = meta.valueKeys?.[0] || table.keys[0];
+    const value = aggregateValues(table.cols[valueKey] || [], table.length > 1 ? (meta.aggregate || 'sum') : 'sum');
+    const caption = meta.categoryKey && table.length === 1
+      ? `${String((table.cols[meta.categoryKey] || [])[0] ?? '')} · ${valueKey}`
+      : valueKey;
+    const text = value === null ? '-' : formatNumber(value);
+    const colors = THEMES[resolveTheme()].kpi;
+
+    return {
+      graphic: [
+        {
+          type: 'text',
+          left: 'center',
+          top: '38%',
+          style: { text, fontSize: 72, fontWeight: 'bold', fill: colors.value, textAlign: 'center' }
+        },
+        {
+          type: 'text',
+          left: 'center',
+          top: '58%',
+          style: { text: caption, fontSize: 18, fill: colors.caption, textAlign: 'center' }
+        }
+      ]
+    };
+  }
+
+  // 双轴组合图：第一个数值列为左轴柱状，其余数值列为右轴折线
+  function toDualAxisOption(meta, table) {
+    const valueKeys = meta.valueKeys || [];
+    const ordered = isOrderedCategory(meta, table);
+    const limit = ordered ? undefined : categoryLimit(meta, 'bar');
+    const grouped = groupRows(table, meta.categoryKey, valueKeys, Object.assign({}, meta, { seriesKey: undefined, limit }));
+    const totalCategories = ordered ? downsampleCategories(grouped, meta) : grouped.categories.length;
+    const [primary, ...secondary] = valueKeys;
+
+    const option = {
+      tooltip: { trigger: 'axis', axisPointer: { type: 'cross' }, valueFormatter: value => formatNumber(value) },
+      legend: { type: 'scroll', top: 10 },
+      grid: { left: 50, right: 50, top: 50, bottom: 50, containLabel: true },
+      xAxis: {
+        type: 'category',
+        data: grouped.categories,
+        axisLabel: { interval: 'auto', rotate: grouped.categories.length > 10 ? 45 : 0 }
+      },
+      yAxis: [
+        { type: 'value', name: primary, position: 'left', axisLabel: valueAxisLabel() },
+        { type: 'value', name: secondary.join(' / '), position: 'right', splitLine: { show: false }, axisLabel: valueAxisLabel() }
+      ],
+      series: grouped.series.map(s => ({
+        name: s.name,
+        type: s.valueKey === primary ? 'bar' : 'line',
+        yAxisIndex: s.valueKey === primary ? 0 : 1,
+        smooth: s.valueKey !== primary,
+        data: s.data,
+        drill: { valueKey: s.valueKey, values: s.data, othersLabel: grouped.othersLabel }
+      }))
+    };
+    addSamplingNote(option, grouped.categories.length, totalCategories);
+    return option;
+  }
+
+  // 图表类型注册表：key / 图标 / 选项构建函数；显示名称取 localeInterop 的 chart.type.<key>
+  const CHART_TYPES = [
+    { key: 'bar', icon: 'bar-chart', build: (m, d) => toCartesianOption(m, d, { seriesType: 'bar' }) },
+    { key: 'stackedBar', icon: 'bar-chart', build: (m, d) => toCartesianOption(m, d, { seriesType: 'bar', stack: true }) },
+    { key: 'percentBar', icon: 'percentage', build: (m, d) => toCartesianOption(m, d, { seriesType: 'bar', percent: true }) },
+    { key: 'horizontalBar', icon: 'align-left', build: (m, d) => toCartesianOption(m, d, { seriesType: 'bar', horizontal: true }) },
+    { key: 'line', icon: 'line-chart', build: (m, d) => toCartesianOption(m, d, { seriesType: 'line' }) },
+    { key: 'area', icon: 'area-chart', build: (m, d) => toCartesianOption(m, d, { seriesType: 'line', area: true }) },
+    { key: 'stackedArea', icon: 'area-chart', build: (m, d) => toCartesianOption(m, d, { seriesType: 'line', area: true, stack: true }) },
+    { key: 'percentArea', icon: 'percentage', build: (m, d) => toCartesianOption(m, d, { seriesType: 'line', area: true, percent: true }) },
+    { key: 'pie', icon: 'pie-chart', build: toPieOption },
+    { key: 'scatter', icon: 'dot-chart', build: toScatterOption },
+    { key: 'timeseries', icon: 'field-time', build: toTimeSeriesOption },
+    { key: 'dualAxis', icon: 'fund', build: toDualAxisOption },
+    { key: 'heatmap', icon: 'heat-map', build: toHeatmapOption },
+    { key: 'funnel', icon: 'funnel-plot', build: toFunnelOption },
+    { key: 'treemap', icon: 'appstore', build: toTreemapOption },
+    { key: 'kpi', icon: 'field-number', build: toKpiOption }
+  ];
+
+  function getChartTypes() {
+    return CHART_TYPES.map(type => ({ key: type.key, label: t(`chart.type.${type.key}`), icon: type.icon }));
+  }
+
+  function toOption(meta, table) {
+    if (meta.type === 'empty' || !table.length) {
+      return emptyOption();
+    }
+
+    // 时间类分类列按时间先后排序，避免乱序绘制
+    const categoryProfile = (meta.profile || []).find(p => p.key === meta.categoryKey);
+    if (meta.type !== 'timeseries' && categoryProfile && categoryProfile.kind === 'temporal') {
+      table = sortByTime(table, meta.categoryKey);
+    }
+
+    const chartType = CHART_TYPES.find(t => t.key === meta.type) || CHART_TYPES[0];
+    const option = chartType.build(meta, table);
+
+    if (Array.isArray(meta.colors) && meta.colors.length) {
+      option.color = meta.colors;
+    }
+    if (meta.title) {
+      option.title = { text: meta.title, left: 'center', top: 0 };
+      if (option.legend && !option.legend.orient) option.legend.top = 30;
+      if (option.grid) option.grid.top = Math.max(option.grid.top || 0, 70);
+    }
+    return option;
+  }
+
+  // ---- 图表下钻（点击图形回调 .NET） ----
+
+  const DRILL_TYPES_WITHOUT_CATEGORY = ['scatter', 'kpi'];
+
+  function pad2(n) {
+    return String(n).padStart(2, '0');
+  }
+
+  // 本地时间的 yyyy-MM-dd（含时分秒时追加 HH:mm:ss），与查询结果中的日期写法一致，便于直接写进过滤条件
+  function toLocalDateString(ts) {
+    const d = new Date(ts);
+    const date = `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+    if (d.getHours() === 0 && d.getMinutes() === 0 && d.getSeconds() === 0) return date;
+    return `${date} ${pad2(d.getHours())}:${pad2(d.getMinutes())}:${pad2(d.getSeconds())}`;
+  }
+
+  // 选项构建函数在系列上附带 drill 信息（valueKey、seriesValue 等），
+  // setOption 之前取出保存并从选项中移除，点击时按 seriesIndex 查找
+  function takeDrillInfo(option) {
+    const series = Array.isArray(option.series) ? option.series : [];
+    return series.map(s => {
+      const info = s.drill || {};
+      delete s.drill;
+      return info;
+    });
+  }
+
+  function prepareDrill(containerId, meta, option) {
+    const state = { meta, series: takeDrillInfo(option) };
+    if (meta.type === 'heatmap') {
+      state.xCategories = option.xAxis.data;
+      state.yCategories = option.yAxis.data;
+    }
+    if (DRILL_TYPES_WITHOUT_CATEGORY.indexOf(meta.type) >= 0 || !meta.categoryKey) {
+      drillStates.delete(containerId);
+    } else {
+      drillStates.set(containerId, state);
+    }
+  }
+
+  // 把 ECharts 点击事件换算为下钻点：
+  // { chartType, categoryKey, categoryValue, categoryLabel, seriesKey, seriesValue, valueKey, value, bucket, rangeStart, rangeEnd }
+  function resolveDrillPoint(state, params) {
+    const meta = state.meta;
+    const info = state.series[params.seriesIndex] || {};
+    const point = {
+      chartType: meta.type,
+      categoryKey: meta.categoryKey,
+      categoryValue: null,
+      categoryLabel: null,
+      seriesKey: meta.seriesKey || null,
+      seriesValue: info.seriesValue ?? null,
+      valueKey: info.valueKey || (meta.valueKeys || [])[0] || null,
+      value: null,
+      bucket: null,
+      rangeStart: null,
+      rangeEnd: null
+    };
+
+    if (meta.type === 'heatmap') {
+      const [xi, yi, value] = params.data || [];
+      point.categoryValue = state.xCategories[xi];
+      point.seriesKey = info.seriesKey || null;
+      point.seriesValue = state.yCategories[yi] ?? null;
+      point.value = value ?? null;
+    } else if (meta.type === 'timeseries') {
+      const [ts, value] = params.value || [];
+      const def = BUCKETS[info.bucket];
+      point.value = value ?? null;
+      point.categoryLabel = formatTimeLabel(ts, info.bucket);
+      point.categoryValue = toLocalDateString(ts);
+      if (def) {
+        point.bucket = info.bucket;
+        point.rangeStart = point.categoryValue;
+        point.rangeEnd = toLocalDateString(def.next(new Date(ts)).getTime());
+      }
+    } else if (meta.type === 'treemap') {
+      // treePathInfo: [根, 分类, 系列（有系列列时）]
+      const path = params.treePathInfo || [];
+      if (path.length < 2) return null;
+      point.categoryValue = path[1].name;
+      point.seriesValue = meta.seriesKey && path[2] ? path[2].name : null;
+      point.value = params.value ?? null;
+    } else {
+      // 合并的长尾分类（“其他”）不对应单个取值，不能下钻
+      if (info.othersLabel && params.name === info.othersLabel) return null;
+      point.categoryValue = String(params.name ?? '');
+      point.value = Array.isArray(info.values) && params.dataIndex >= 0
+        ? info.values[params.dataIndex] ?? null
+        : (typeof params.value === 'number' ? params.value : null);
+    }
+
+    if (point.categoryValue === null || point.categoryValue === undefined) return null;
+    if (point.categoryLabel === null) point.categoryLabel = point.categoryValue;
+    return point;
+  }
+
+  function bindDrillClick(containerId, chart) {
+    chart.off('click');
+    const handler = drillHandlers.get(containerId);
+    if (!handler || !drillStates.has(containerId)) return;
+    chart.on('click', params => {
+      const state = drillStates.get(containerId);
+      const point = state ? resolveDrillPoint(state, params) : null;
+      if (!point) return;
+      handler.dotNetRef.invokeMethodAsync(handler.method, containerId, point)
+        .catch(err => console.warn('图表下钻回调失败', err));
+    });
+  }
+
+  // 登记下钻回调：点击柱、饼图扇区、数据点等图形时回调 method(containerId, point)
+  // 可在渲染前后调用；散点图与指标卡没有分类维度，不会回调
+  function setDrillHandler(containerId, dotNetRef, method) {
+    drillHandlers.set(containerId, { dotNetRef, method });
+    const chart = instances.get(containerId);
+    if (chart) bindDrillClick(containerId, chart);
+  }
+
+  function clearDrillHandler(containerId) {
+    drillHandlers.delete(containerId);
+    const chart = instances.get(containerId);
+    if (chart && drillStates.has(containerId)) chart.off('click');
+  }
+
+  // ---- 图表规格（可序列化，随聊天消息持久化） ----
+
+  const CHART_SPEC_VERSION = 1;
+
+  // 显示名称取 localeInterop 的 chart.palette.<key>；default 使用当前主题的配色
+  const COLOR_PALETTES = [
+    { key: 'default', colors: [] },
+    { key: 'business', colors: ['#1f4e79', '#2e75b6', '#5b9bd5', '#9dc3e6', '#bdd7ee', '#7f7f7f', '#a5a5a5'] },
+    { key: 'fresh', colors: ['#5ab1ef', '#2ec7c9', '#b6a2de', '#ffb980', '#d87a80', '#8d98b3', '#e5cf0d'] },
+    { key: 'warm', colors: ['#c23531', '#e98f6f', '#f5b041', '#f7dc6f', '#d35400', '#a04000', '#784212'] }
+  ];
+
+  function getColorPalettes() {
+    return COLOR_PALETTES.map(p => ({ key: p.key, label: t(`chart.palette.${p.key}`), colors: p.colors.slice() }));
+  }
+
+  function toSpec(meta) {
+    return {
+      version: CHART_SPEC_VERSION,
+      type: meta.type,
+      categoryKey: meta.categoryKey || meta.xKey || null,
+      valueKeys: meta.valueKeys || [meta.xKey, meta.yKey].filter(Boolean),
+      seriesKey: meta.seriesKey || null,
+      aggregate: meta.aggregate || 'sum',
+      stack: !!meta.stack,
+      bucket: meta.bucket || 'auto',
+      fillGaps: !!meta.fillGaps,
+      sort: meta.sort && meta.sort.by && meta.sort.by !== 'none' ? { by: meta.sort.by, order: meta.sort.order || 'asc' } : null,
+      colors: Array.isArray(meta.colors) && meta.colors.length ? meta.colors.slice() : null,
+      title: meta.title || null
     };
   }
 
-  function renderAutoChart(containerId, dataRows) {
+  function getChartSpec(containerId) {
+    const spec = chartSpecs.get(containerId);
+    return spec ? JSON.parse(JSON.stringify(spec)) : null;
+  }
+
+  // data 省略（null）时复用该容器已加载的数据，避免同一结果反复经 Blazor 线路传输
+  function resolveTable(containerId, data) {
+    if (data === null || data === undefined) return chartData.get(containerId) || toTable([]);
+    return toTable(data);
+  }
+
+  // 预先加载图表数据（列式或行数组）并返回列画像；之后的渲染调用可以不再传数据
+  function loadData(containerId, data) {
+    const table = toTable(data);
+    chartData.set(containerId, table);
+    return getProfile(table);
+  }
+
+  function renderAutoChart(containerId, data) {
     const chart = ensureInstance(containerId);
-    const meta = inferMeta(dataRows);
-    const option = toOption(meta, dataRows);
+    const table = resolveTable(containerId, data);
+    const meta = inferMeta(table);
+    const option = toOption(meta, table);
+    prepareDrill(containerId, meta, option);
     chart.setOption(option, true);
-    
+    bindDrillClick(containerId, chart);
+    chartSpecs.set(containerId, toSpec(meta));
+    optionRenders.delete(containerId);
+
     // 强制调整图表尺寸
-    setTimeout(() => {
-      try {
-        chart.resize();
-      } catch (_) { }
-    }, 200);
+    scheduleResize(containerId, 200);
     
     // Store data for future customization
-    chartData.set(containerId, dataRows);
+    chartData.set(containerId, table);
+
+    // 返回推断结果（图表规格），便于 Blazor 端同步图表控制面板
+    return getChartSpec(containerId);
   }
 
-  function renderCustomChart(containerId, dataRows, chartType, categoryColumn, valueColumns) {
-    const chart = ensureInstance(containerId);
-    
-    // Store data for future use
-    chartData.set(containerId, dataRows);
-    
-    if (!Array.isArray(dataRows) || dataRows.length === 0) {
-      const option = { title: { text: '无数据' } };
-      chart.setOption(option, true);
-      return;
-    }
-    
-    const meta = {
+  // options（可选）：
+  //   seriesKey: 系列列，按其取值拆分为多个系列
+  //   aggregate: 'sum'|'avg'|'count'|'min'|'max'，重复分类/时间周期的聚合方式
+  //   stack: 是否堆叠
+  //   bucket: 'auto'|'none'|'day'|'week'|'month'|'quarter'|'year'，fillGaps: 是否补齐缺失周期（时间序列）
+  //   sort: { by: 'category'|'value', order: 'asc'|'desc' }，colors: 配色数组，title: 图表标题
+  //   sampling: 'auto'|'none'，数据量大时是否降采样、合并长尾分类（默认 auto）
+  function buildCustomMeta(table, chartType, categoryColumn, valueColumns, options) {
+    const meta = Object.assign({}, options || {}, {
       type: chartType,
       categoryKey: categoryColumn,
-      valueKeys: Array.isArray(valueColumns) ? valueColumns : [valueColumns]
-    };
+      valueKeys: Array.isArray(valueColumns) ? valueColumns : [valueColumns],
+      profile: getProfile(table)
+    });
     
     // For scatter plot, use first two value columns as x and y
     if (chartType === 'scatter' && meta.valueKeys.length >= 2) {
       meta.xKey = meta.valueKeys[0];
       meta.yKey = meta.valueKeys[1];
     }
+    return meta;
+  }
+
+  function renderCustomChart(containerId, data, chartType, categoryColumn, valueColumns, options) {
+    const chart = ensureInstance(containerId);
+    const table = resolveTable(containerId, data);
     
-    const option = toOption(meta, dataRows);
-    chart.setOption(option, true);
+    // Store data for future use
+    chartData.set(containerId, table);
+    optionRenders.delete(containerId);
     
+    if (!table.length) {
+      chart.setOption(emptyOption(), true);
+      chartSpecs.delete(containerId);
+      drillStates.delete(containerId);
+      chart.off('click');
+      return;
+    }
+    
+    const meta = buildCustomMeta(table, chartType, categoryColumn, valueColumns, options);
+    const option = toOption(meta, table);
+    prepareDrill(containerId, meta, option);
+    chart.setOption(option, true);
+    bindDrillClick(containerId, chart);
+    chartSpecs.set(containerId, toSpec(meta));
+
     // 强制调整图表尺寸
-    setTimeout(() => {
-      try {
-        chart.resize();
-      } catch (_) { }
-    }, 200);
+    scheduleResize(containerId, 200);
+  }
+
+  // 按保存的图表规格渲染；规格中引用的列在数据中不存在时退回自动图表
+  function specFits(table, spec) {
+    if (!spec || !spec.type) return false;
+    const keys = table.length ? table.keys : [];
+    const referenced = [spec.categoryKey, spec.seriesKey].concat(spec.valueKeys || []).filter(Boolean);
+    return referenced.every(k => keys.indexOf(k) >= 0);
+  }
+
+  function specOptions(spec) {
+    return {
+      seriesKey: spec.seriesKey || undefined,
+      aggregate: spec.aggregate,
+      stack: spec.stack,
+      bucket: spec.bucket,
+      fillGaps: spec.fillGaps,
+      sort: spec.sort || undefined,
+      colors: spec.colors || undefined,
+      title: spec.title || undefined
+    };
+  }
+
+  function renderChartSpec(containerId, data, spec) {
+    const table = resolveTable(containerId, data);
+    if (!specFits(table, spec)) {
+      return renderAutoChart(containerId, table);
+    }
+
+    renderCustomChart(containerId, table, spec.type, spec.categoryKey, spec.valueKeys || [], specOptions(spec));
+    return getChartSpec(containerId);
+  }
+
+  // 离屏渲染为 PNG data URL（用于报告导出），不登记实例；spec 为空或不适用时自动推断
+  // options: { width, height, theme }，theme 默认 light，便于打印
+  function renderImage(data, spec, options) {
+    const table = toTable(data);
+    if (!window.echarts || !table.length) return null;
+    const opts = options || {};
+    const theme = THEMES[opts.theme] ? opts.theme : 'light';
+    const meta = specFits(table, spec)
+      ? buildCustomMeta(table, spec.type, spec.categoryKey, spec.valueKeys || [], specOptions(spec))
+      : inferMeta(table);
+    const option = toOption(meta, table);
+    takeDrillInfo(option);
+    option.animation = false;
+
+    const el = document.createElement('div');
+    el.style.cssText = `position:absolute;left:-10000px;top:0;width:${opts.width || 900}px;height:${opts.height || 420}px;`;
+    document.body.appendChild(el);
+    let chart = null;
+    try {
+      chart = echarts.init(el, `text2sql-${theme}`, { renderer: 'canvas', locale: getEchartsLocale() });
+      chart.setOption(option, true);
+      return chart.getDataURL({ type: 'png', pixelRatio: 2, backgroundColor: THEMES[theme].background });
+    } finally {
+      if (chart) chart.dispose();
+      el.remove();
+    }
   }
 
   function updateChartType(containerId, chartType) {
@@ -256,7 +1696,10 @@ window.echartsInterop = (function () {
     meta.type = chartType;
     
     const option = toOption(meta, data);
+    prepareDrill(containerId, meta, option);
     chart.setOption(option, true);
+    bindDrillClick(containerId, chart);
+    chartSpecs.set(containerId, toSpec(meta));
   }
 
   function updateChartColumns(containerId, categoryColumn, valueColumns) {
@@ -273,7 +1716,32 @@ window.echartsInterop = (function () {
     };
     
     const option = toOption(meta, data);
+    prepareDrill(containerId, meta, option);
     chart.setOption(option, true);
+    bindDrillClick(containerId, chart);
+    chartSpecs.set(containerId, toSpec(meta));
+  }
+
+  // 直接渲染调用方构建好的 ECharts option（如监控面板）；
+  // 传入 dotNetRef 时点击图形会回调 clickMethod(containerId, dataIndex, seriesName, name)
+  function renderOption(containerId, option, dotNetRef, clickMethod) {
+    const chart = ensureInstance(containerId);
+    chart.setOption(option || emptyOption(), true);
+    chartData.delete(containerId);
+    chartSpecs.delete(containerId);
+    drillStates.delete(containerId);
+    optionRenders.set(containerId, [containerId, option, dotNetRef, clickMethod]);
+
+    chart.off('click');
+    if (dotNetRef && clickMethod) {
+      chart.on('click', params => {
+        const dataIndex = typeof params.dataIndex === 'number' ? params.dataIndex : -1;
+        dotNetRef.invokeMethodAsync(clickMethod, containerId, dataIndex, params.seriesName || '', String(params.name ?? ''))
+          .catch(err => console.warn('图表点击回调失败', err));
+      });
+    }
+
+    scheduleResize(containerId, 200);
   }
 
   function dispose(containerId) {
@@ -282,13 +1750,18 @@ window.echartsInterop = (function () {
       try { chart.dispose(); } catch (_) { }
       instances.delete(containerId);
     }
+    unwatchResize(containerId);
     chartData.delete(containerId);
+    chartSpecs.delete(containerId);
+    optionRenders.delete(containerId);
+    drillStates.delete(containerId);
+    drillHandlers.delete(containerId);
   }
 
   function exportPng(containerId) {
     const chart = instances.get(containerId);
     if (!chart) return;
-    const url = chart.getDataURL({ type: 'png', pixelRatio: 2, backgroundColor: '#fff' });
+    const url = chart.getDataURL({ type: 'png', pixelRatio: 2, backgroundColor: getThemeColors().background });
     const a = document.createElement('a');
     a.href = url;
     a.download = 'chart.png';
@@ -297,14 +1770,42 @@ window.echartsInterop = (function () {
     document.body.removeChild(a);
   }
 
+  if (window.echarts) registerThemes();
+  window.localeInterop.onChange(rebuildAll);
+
+  // auto 模式下跟随应用主题（根节点 data-theme）与系统配色变化
+  if (window.matchMedia) {
+    const media = window.matchMedia('(prefers-color-scheme: dark)');
+    if (media.addEventListener) media.addEventListener('change', applyTheme);
+  }
+  if (window.MutationObserver) {
+    new MutationObserver(applyTheme).observe(document.documentElement, { attributes: true, attributeFilter: ['data-theme'] });
+  }
+
   // Public API
   return {
     renderAutoChart,
     renderCustomChart,
+    renderChartSpec,
+    renderOption,
+    getChartSpec,
     updateChartType,
     updateChartColumns,
+    loadData,
+    rowCount,
     getAvailableColumns,
+    profileColumns,
     getChartTypes,
+    getColorPalettes,
+    getTheme,
+    setTheme,
+    getThemes,
+    getThemeColors,
+    setDrillHandler,
+    clearDrillHandler,
+    renderImage,
+    toTimestamp,
+    isIdentifierName,
     dispose,
     exportPng
   };
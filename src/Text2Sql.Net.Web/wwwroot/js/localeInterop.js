@@ -0,0 +1,539 @@
+// Locale layer shared by the JS interop modules and Blazor pages: message lookup plus
+// locale-aware number/date formatting (Intl)
+// Exposes: t, getLocale, setLocale, getLocales, getMessages, formatNumber, formatDate, onChange
+
+window.localeInterop = (function () {
+  const STORAGE_KEY = 'text2sql.locale';
+  const DEFAULT_LOCALE = 'zh-CN';
+
+  const LOCALES = [
+    { key: 'zh-CN', label: '简体中文' },
+    { key: 'en-US', label: 'English' }
+  ];
+
+  // 键按模块前缀分组：chart.* 图表模块，theme.* 图表主题，main.* 聊天页脚本，progress.* 进度时间线，diff.* 结果对比，report.* 会话报告，chat.* 聊天页面
+  const MESSAGES = {
+    'zh-CN': {
+      'chart.noData': '无数据',
+      'chart.type.bar': '柱状图',
+      'chart.type.stackedBar': '堆叠柱状图',
+      'chart.type.percentBar': '百分比堆叠柱状图',
+      'chart.type.horizontalBar': '条形图',
+      'chart.type.line': '折线图',
+      'chart.type.area': '面积图',
+      'chart.type.stackedArea': '堆叠面积图',
+      'chart.type.percentArea': '百分比堆叠面积图',
+      'chart.type.pie': '饼图',
+      'chart.type.scatter': '散点图',
+      'chart.type.timeseries': '时间序列',
+      'chart.type.dualAxis': '双轴组合图',
+      'chart.type.heatmap': '热力图',
+      'chart.type.funnel': '漏斗图',
+      'chart.type.treemap': '矩形树图',
+      'chart.type.kpi': '指标卡',
+      'chart.palette.default': '默认',
+      'chart.palette.business': '商务蓝',
+      'chart.palette.fresh': '清新',
+      'chart.palette.warm': '暖色',
+      'chart.aggregate.sum': '求和',
+      'chart.aggregate.avg': '平均值',
+      'chart.aggregate.count': '计数',
+      'chart.aggregate.min': '最小值',
+      'chart.aggregate.max': '最大值',
+      'chart.quarter': '{year}年第{quarter}季度',
+      'chart.others': '其他（{count} 项）',
+      'chart.sampled': '数据量较大，已抽样显示 {shown} / {total} 个点',
+      'theme.auto': '跟随应用',
+      'theme.light': '浅色',
+      'theme.dark': '深色',
+      'theme.colorblind': '色盲友好',
+      'main.scrollFailed': '滚动失败:',
+      'main.newContent': '↓ 有新内容',
+      'main.nothingToCopy': '无文本可复制',
+      'main.copyFailed': '复制失败:',
+      'main.fallbackCopyFailed': '回退复制失败:',
+      'main.highlightFailed': 'SQL语法高亮失败:',
+      'main.highlightAllFailed': '批量SQL语法高亮失败:',
+      'main.focusFailed': '定位消息失败:',
+      'main.loaded': '数据库聊天功能已加载',
+      'main.notLoaded': '警告：数据库聊天功能未正确加载，请检查main.js文件',
+      'main.scrollUnavailable': '滚动功能未加载',
+      'main.copyUnavailable': '复制功能未加载',
+      'progress.stage.context': '解析对话上下文',
+      'progress.stage.examples': '检索问答示例',
+      'progress.stage.schema_linking': '匹配相关表结构',
+      'progress.stage.prompt': '构建提示词',
+      'progress.stage.generation': '生成SQL',
+      'progress.stage.check_sql': 'SQL安全检查',
+      'progress.stage.optimization': '执行反馈优化',
+      'progress.stage.execution': '执行查询',
+      'progress.status.pending': '等待中',
+      'progress.status.running': '进行中',
+      'progress.status.completed': '已完成',
+      'progress.status.failed': '失败',
+      'progress.status.skipped': '已跳过',
+      'progress.running': '正在{stage}...',
+      'progress.processing': '正在处理...',
+      'progress.succeeded': '处理完成',
+      'progress.failed': '处理失败',
+      'diff.sqlTitle': 'SQL 差异',
+      'diff.sqlStat': '新增 {added} 个 token，删除 {removed} 个 token',
+      'diff.sqlSame': 'SQL 相同（忽略排版与关键字大小写）',
+      'diff.resultTitle': '结果差异',
+      'diff.status.added': '新增',
+      'diff.status.removed': '删除',
+      'diff.status.changed': '修改',
+      'diff.status.unchanged': '相同',
+      'diff.statusColumn': '状态',
+      'diff.rowCounts': '{left} {leftCount} 行 / {right} {rightCount} 行',
+      'diff.noKey': '未选择对比键，按整行匹配，修改会显示为删除 + 新增',
+      'diff.duplicateKeys': '有 {count} 行的对比键重复，已按出现顺序配对',
+      'diff.onlyLeft': '仅存在于{label}',
+      'diff.onlyRight': '仅存在于{label}',
+      'diff.noDifferences': '两次结果没有差异',
+      'diff.noRows': '两次结果均为空',
+      'diff.truncated': '仅显示前 {shown} 行，共 {total} 行',
+      'report.defaultTitle': '会话报告',
+      'report.connection': '数据库连接',
+      'report.dbType': '数据库类型',
+      'report.generatedAt': '生成时间',
+      'report.entryCount': '问题数',
+      'report.contents': '目录',
+      'report.untitled': '（无问题文本）',
+      'report.failed': '执行失败',
+      'report.askedAt': '提问于 {time}',
+      'report.answeredAt': '回答于 {time}',
+      'report.sql': 'SQL',
+      'report.error': '执行错误',
+      'report.result': '查询结果',
+      'report.chart': '图表',
+      'report.noRows': '查询结果为空',
+      'report.truncated': '显示前 {shown} 行，共 {total} 行',
+      'report.rowCount': '共 {total} 行',
+      'chat.chart.preview': '图表预览',
+      'chat.chart.save': '保存图表',
+      'chat.chart.close': '关闭',
+      'chat.chart.type': '图表类型',
+      'chat.chart.category': '分类字段',
+      'chat.chart.value': '数值字段',
+      'chat.chart.series': '系列字段',
+      'chat.chart.noSeries': '不拆分系列',
+      'chat.chart.aggregate': '聚合方式',
+      'chat.chart.aggregate.sum': '求和',
+      'chat.chart.aggregate.avg': '平均值',
+      'chat.chart.aggregate.count': '计数',
+      'chat.chart.aggregate.min': '最小值',
+      'chat.chart.aggregate.max': '最大值',
+      'chat.chart.stack': '堆叠显示',
+      'chat.chart.title': '图表标题',
+      'chat.chart.optional': '可选',
+      'chat.chart.sort': '排序',
+      'chat.chart.sort.none': '原始顺序',
+      'chat.chart.sort.categoryAsc': '分类升序',
+      'chat.chart.sort.categoryDesc': '分类降序',
+      'chat.chart.sort.valueAsc': '数值升序',
+      'chat.chart.sort.valueDesc': '数值降序',
+      'chat.chart.palette': '配色',
+      'chat.chart.customPalette': '自定义',
+      'chat.chart.bucket': '时间粒度',
+      'chat.chart.bucket.auto': '自动',
+      'chat.chart.bucket.none': '不分桶',
+      'chat.chart.bucket.day': '按天',
+      'chat.chart.bucket.week': '按周',
+      'chat.chart.bucket.month': '按月',
+      'chat.chart.bucket.quarter': '按季度',
+      'chat.chart.bucket.year': '按年',
+      'chat.chart.fillGaps': '补齐缺失周期',
+      'chat.chart.tips': '提示：饼图仅支持单个数值字段，散点图需要至少两个数值字段，时间序列需要选择时间类型的分类字段，热力图需要选择系列字段作为第二个维度；重复的分类会按聚合方式合并',
+      'chat.chart.reset': '重置为自动',
+      'chat.chart.pin': '钉到看板',
+      'chat.chart.exportPng': '导出 PNG',
+      'chat.chart.language': '语言',
+      'chat.chart.theme': '图表主题',
+      'chat.kind.numeric': '数值',
+      'chat.kind.temporal': '时间',
+      'chat.kind.boolean': '布尔',
+      'chat.kind.identifier': '标识',
+      'chat.kind.categorical': '分类',
+      'chat.kind.categoricalHigh': '分类(高基数)',
+      'chat.kind.unknown': '未知',
+      'chat.kind.nullRatio': '空值{ratio}',
+      'chat.diff.compare': '对比',
+      'chat.diff.compareOriginal': '对比原始结果',
+      'chat.diff.title': '结果对比',
+      'chat.diff.keyColumns': '对比键',
+      'chat.diff.keyPlaceholder': '不选择时按整行匹配',
+      'chat.diff.diffOnly': '仅显示差异',
+      'chat.diff.overlay': '叠加图表',
+      'chat.diff.category': '分类字段',
+      'chat.diff.value': '数值字段',
+      'chat.diff.previousRun': '上次执行 {time}',
+      'chat.diff.currentRun': '本次执行 {time}',
+      'chat.diff.originalSql': '原始SQL',
+      'chat.diff.correctedSql': '修正SQL',
+      'chat.diff.correctedError': '修正SQL执行错误: {error}',
+      'chat.diff.originalError': '原始SQL执行失败，按空结果对比: {error}',
+      'chat.diff.rerunFailed': '对比执行结果失败: {error}',
+      'chat.diff.correctionFailed': '对比修正结果失败: {error}',
+      'chat.diff.renderFailed': '渲染结果对比失败',
+      'chat.diff.chartFailed': '渲染对比图表失败',
+      'chat.drill.hint': '点击图表中的柱、扇区或数据点可以下钻',
+      'chat.drill.selected': '已选中',
+      'chat.drill.cancel': '取消选择',
+      'chat.drill.breakdownBy': '细分字段',
+      'chat.drill.breakdown': '细分',
+      'chat.drill.rows': '查看明细',
+      'chat.drill.expand': '{bucket}展开',
+      'chat.drill.customPlaceholder': '基于所选数据继续提问，例如：各产品的占比',
+      'chat.drill.ask': '提问',
+      'chat.drill.question.breakdown': '按{column}细分{filter}',
+      'chat.drill.question.rows': '显示{filter}的明细记录',
+      'chat.drill.question.expand': '将{filter}{bucket}展开',
+      'chat.drill.question.custom': '{question}（{filter}）',
+      'chat.drill.levelMissing': '该层级的消息已不存在',
+      'chat.report.button': '导出报告',
+      'chat.report.title': '导出会话报告',
+      'chat.report.defaultTitle': '{name} 会话报告',
+      'chat.report.errorTag': '执行失败',
+      'chat.report.name': '报告标题',
+      'chat.report.entries': '包含的问题',
+      'chat.report.selectAll': '全选',
+      'chat.report.selectNone': '全不选',
+      'chat.report.maxRows': '每个结果最多显示行数',
+      'chat.report.charts': '图表',
+      'chat.report.charts.saved': '仅已保存的图表',
+      'chat.report.charts.auto': '所有结果（未保存的自动生成）',
+      'chat.report.charts.none': '不包含图表',
+      'chat.report.downloadHtml': '下载 HTML',
+      'chat.report.print': '打印 / 另存为 PDF',
+      'chat.report.noEntries': '当前会话没有可导出的回答',
+      'chat.report.noneSelected': '请至少选择一个问题',
+      'chat.report.failed': '导出报告失败',
+      'chat.report.hint': 'PDF 通过浏览器打印对话框生成，请选择“另存为 PDF”'
+    },
+    'en-US': {
+      'chart.noData': 'No data',
+      'chart.type.bar': 'Bar',
+      'chart.type.stackedBar': 'Stacked bar',
+      'chart.type.percentBar': '100% stacked bar',
+      'chart.type.horizontalBar': 'Horizontal bar',
+      'chart.type.line': 'Line',
+      'chart.type.area': 'Area',
+      'chart.type.stackedArea': 'Stacked area',
+      'chart.type.percentArea': '100% stacked area',
+      'chart.type.pie': 'Pie',
+      'chart.type.scatter': 'Scatter',
+      'chart.type.timeseries': 'Time series',
+      'chart.type.dualAxis': 'Dual axis',
+      'chart.type.heatmap': 'Heatmap',
+      'chart.type.funnel': 'Funnel',
+      'chart.type.treemap': 'Treemap',
+      'chart.type.kpi': 'KPI',
+      'chart.palette.default': 'Default',
+      'chart.palette.business': 'Business blue',
+      'chart.palette.fresh': 'Fresh',
+      'chart.palette.warm': 'Warm',
+      'chart.aggregate.sum': 'sum',
+      'chart.aggregate.avg': 'avg',
+      'chart.aggregate.count': 'count',
+      'chart.aggregate.min': 'min',
+      'chart.aggregate.max': 'max',
+      'chart.quarter': 'Q{quarter} {year}',
+      'chart.others': 'Others ({count})',
+      'chart.sampled': 'Large dataset: showing {shown} of {total} points',
+      'theme.auto': 'Follow app',
+      'theme.light': 'Light',
+      'theme.dark': 'Dark',
+      'theme.colorblind': 'Color-blind safe',
+      'main.scrollFailed': 'Scroll failed:',
+      'main.newContent': '↓ New content',
+      'main.nothingToCopy': 'Nothing to copy',
+      'main.copyFailed': 'Copy failed:',
+      'main.fallbackCopyFailed': 'Fallback copy failed:',
+      'main.highlightFailed': 'SQL highlighting failed:',
+      'main.highlightAllFailed': 'Batch SQL highlighting failed:',
+      'main.focusFailed': 'Failed to locate message:',
+      'main.loaded': 'Database chat functions loaded',
+      'main.notLoaded': 'Warning: database chat functions failed to load, check main.js',
+      'main.scrollUnavailable': 'Scrolling is not available',
+      'main.copyUnavailable': 'Copying is not available',
+      'progress.stage.context': 'Resolve conversation context',
+      'progress.stage.examples': 'Retrieve Q&A examples',
+      'progress.stage.schema_linking': 'Match relevant tables',
+      'progress.stage.prompt': 'Build prompt',
+      'progress.stage.generation': 'Generate SQL',
+      'progress.stage.check_sql': 'SQL safety check',
+      'progress.stage.optimization': 'Optimize from execution feedback',
+      'progress.stage.execution': 'Run query',
+      'progress.status.pending': 'Pending',
+      'progress.status.running': 'Running',
+      'progress.status.completed': 'Done',
+      'progress.status.failed': 'Failed',
+      'progress.status.skipped': 'Skipped',
+      'progress.running': '{stage}...',
+      'progress.processing': 'Processing...',
+      'progress.succeeded': 'Completed',
+      'progress.failed': 'Failed',
+      'diff.sqlTitle': 'SQL diff',
+      'diff.sqlStat': '{added} tokens added, {removed} tokens removed',
+      'diff.sqlSame': 'SQL is identical (ignoring layout and keyword case)',
+      'diff.resultTitle': 'Result diff',
+      'diff.status.added': 'Added',
+      'diff.status.removed': 'Removed',
+      'diff.status.changed': 'Changed',
+      'diff.status.unchanged': 'Same',
+      'diff.statusColumn': 'Status',
+      'diff.rowCounts': '{left} {leftCount} rows / {right} {rightCount} rows',
+      'diff.noKey': 'No key columns selected: rows are matched as a whole, so changes show as removed + added',
+      'diff.duplicateKeys': '{count} rows have duplicate keys and were paired in order',
+      'diff.onlyLeft': 'Only in {label}',
+      'diff.onlyRight': 'Only in {label}',
+      'diff.noDifferences': 'No differences between the two results',
+      'diff.noRows': 'Both results are empty',
+      'diff.truncated': 'Showing the first {shown} of {total} rows',
+      'report.defaultTitle': 'Conversation report',
+      'report.connection': 'Connection',
+      'report.dbType': 'Database type',
+      'report.generatedAt': 'Generated at',
+      'report.entryCount': 'Questions',
+      'report.contents': 'Contents',
+      'report.untitled': '(no question text)',
+      'report.failed': 'Failed',
+      'report.askedAt': 'Asked {time}',
+      'report.answeredAt': 'Answered {time}',
+      'report.sql': 'SQL',
+      'report.error': 'Execution error',
+      'report.result': 'Result',
+      'report.chart': 'Chart',
+      'report.noRows': 'The query returned no rows',
+      'report.truncated': 'Showing the first {shown} of {total} rows',
+      'report.rowCount': '{total} rows',
+      'chat.chart.preview': 'Chart preview',
+      'chat.chart.save': 'Save chart',
+      'chat.chart.close': 'Close',
+      'chat.chart.type': 'Chart type',
+      'chat.chart.category': 'Category field',
+      'chat.chart.value': 'Value fields',
+      'chat.chart.series': 'Series field',
+      'chat.chart.noSeries': 'No series split',
+      'chat.chart.aggregate': 'Aggregation',
+      'chat.chart.aggregate.sum': 'Sum',
+      'chat.chart.aggregate.avg': 'Average',
+      'chat.chart.aggregate.count': 'Count',
+      'chat.chart.aggregate.min': 'Min',
+      'chat.chart.aggregate.max': 'Max',
+      'chat.chart.stack': 'Stacked',
+      'chat.chart.title': 'Chart title',
+      'chat.chart.optional': 'Optional',
+      'chat.chart.sort': 'Sort',
+      'chat.chart.sort.none': 'Original order',
+      'chat.chart.sort.categoryAsc': 'Category ascending',
+      'chat.chart.sort.categoryDesc': 'Category descending',
+      'chat.chart.sort.valueAsc': 'Value ascending',
+      'chat.chart.sort.valueDesc': 'Value descending',
+      'chat.chart.palette': 'Colors',
+      'chat.chart.customPalette': 'Custom',
+      'chat.chart.bucket': 'Time granularity',
+      'chat.chart.bucket.auto': 'Auto',
+      'chat.chart.bucket.none': 'No bucketing',
+      'chat.chart.bucket.day': 'Daily',
+      'chat.chart.bucket.week': 'Weekly',
+      'chat.chart.bucket.month': 'Monthly',
+      'chat.chart.bucket.quarter': 'Quarterly',
+      'chat.chart.bucket.year': 'Yearly',
+      'chat.chart.fillGaps': 'Fill missing periods',
+      'chat.chart.tips': 'Tip: pie charts use a single value field, scatter plots need at least two value fields, time series need a temporal category field and heatmaps need a series field as the second dimension; duplicate categories are merged using the aggregation',
+      'chat.chart.reset': 'Reset to auto',
+      'chat.chart.pin': 'Pin to board',
+      'chat.chart.exportPng': 'Export PNG',
+      'chat.chart.language': 'Language',
+      'chat.chart.theme': 'Chart theme',
+      'chat.kind.numeric': 'Number',
+      'chat.kind.temporal': 'Time',
+      'chat.kind.boolean': 'Boolean',
+      'chat.kind.identifier': 'ID',
+      'chat.kind.categorical': 'Category',
+      'chat.kind.categoricalHigh': 'Category (high cardinality)',
+      'chat.kind.unknown': 'Unknown',
+      'chat.kind.nullRatio': '{ratio} null',
+      'chat.diff.compare': 'Compare',
+      'chat.diff.compareOriginal': 'Compare with original',
+      'chat.diff.title': 'Result comparison',
+      'chat.diff.keyColumns': 'Key columns',
+      'chat.diff.keyPlaceholder': 'Leave empty to match whole rows',
+      'chat.diff.diffOnly': 'Differences only',
+      'chat.diff.overlay': 'Overlay chart',
+      'chat.diff.category': 'Category field',
+      'chat.diff.value': 'Value fields',
+      'chat.diff.previousRun': 'Previous run {time}',
+      'chat.diff.currentRun': 'This run {time}',
+      'chat.diff.originalSql': 'Original SQL',
+      'chat.diff.correctedSql': 'Corrected SQL',
+      'chat.diff.correctedError': 'Corrected SQL failed: {error}',
+      'chat.diff.originalError': 'Original SQL failed, compared as an empty result: {error}',
+      'chat.diff.rerunFailed': 'Failed to compare the results: {error}',
+      'chat.diff.correctionFailed': 'Failed to compare the correction: {error}',
+      'chat.diff.renderFailed': 'Failed to render the comparison',
+      'chat.diff.chartFailed': 'Failed to render the comparison chart',
+      'chat.drill.hint': 'Click a bar, slice or point in the chart to drill down',
+      'chat.drill.selected': 'Selected',
+      'chat.drill.cancel': 'Clear selection',
+      'chat.drill.breakdownBy': 'Break down by',
+      'chat.drill.breakdown': 'Break down',
+      'chat.drill.rows': 'Show rows',
+      'chat.drill.expand': 'Expand: {bucket}',
+      'chat.drill.customPlaceholder': 'Ask a follow-up about the selection, e.g. share of each product',
+      'chat.drill.ask': 'Ask',
+      'chat.drill.question.breakdown': 'Break down {filter} by {column}',
+      'chat.drill.question.rows': 'Show rows for {filter}',
+      'chat.drill.question.expand': '{bucket} view of {filter}',
+      'chat.drill.question.custom': '{question} ({filter})',
+      'chat.drill.levelMissing': 'The message for this level no longer exists',
+      'chat.report.button': 'Export report',
+      'chat.report.title': 'Export conversation report',
+      'chat.report.defaultTitle': '{name} conversation report',
+      'chat.report.errorTag': 'Failed',
+      'chat.report.name': 'Report title',
+      'chat.report.entries': 'Questions to include',
+      'chat.report.selectAll': 'Select all',
+      'chat.report.selectNone': 'Select none',
+      'chat.report.maxRows': 'Max rows per result',
+      'chat.report.charts': 'Charts',
+      'chat.report.charts.saved': 'Saved charts only',
+      'chat.report.charts.auto': 'All results (auto-generate unsaved)',
+      'chat.report.charts.none': 'No charts',
+      'chat.report.downloadHtml': 'Download HTML',
+      'chat.report.print': 'Print / Save as PDF',
+      'chat.report.noEntries': 'This conversation has no answers to export',
+      'chat.report.noneSelected': 'Select at least one question',
+      'chat.report.failed': 'Failed to export the report',
+      'chat.report.hint': 'The PDF is produced by the browser print dialog: choose "Save as PDF"'
+    }
+  };
+
+  const DATE_FORMATS = {
+    year: { year: 'numeric' },
+    month: { year: 'numeric', month: 'short' },
+    day: { year: 'numeric', month: '2-digit', day: '2-digit' },
+    datetime: { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false }
+  };
+
+  const listeners = new Set();
+  const numberFormats = new Map(); // `${locale}|${options}` -> Intl.NumberFormat
+  let current = loadLocale();
+
+  // 未保存过选择时使用中文，与页面其余部分保持一致
+  function loadLocale() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      if (saved && MESSAGES[saved]) return saved;
+    } catch (_) { }
+    return DEFAULT_LOCALE;
+  }
+
+  function getLocale() {
+    return current;
+  }
+
+  function getLocales() {
+    return LOCALES.map(l => ({ key: l.key, label: l.label }));
+  }
+
+  // 切换语言并通知订阅方（图表模块据此重绘）；不支持的语言忽略
+  function setLocale(locale) {
+    if (!MESSAGES[locale] || locale === current) return current;
+    current = locale;
+    try {
+      localStorage.setItem(STORAGE_KEY, locale);
+    } catch (_) { }
+    document.documentElement.lang = locale;
+    listeners.forEach(listener => {
+      try {
+        listener(locale);
+      } catch (e) {
+        console.error('语言切换监听执行失败:', e);
+      }
+    });
+    return current;
+  }
+
+  function onChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  // 缺失的键依次回退到默认语言、键本身；params 替换 {name} 占位符
+  function t(key, params) {
+    const dict = MESSAGES[current] || {};
+    let text = dict[key];
+    if (text === undefined) text = MESSAGES[DEFAULT_LOCALE][key];
+    if (text === undefined) return key;
+    if (!params) return text;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+  }
+
+  // 返回指定前缀的全部文案（键去掉前缀），供 Blazor 页面一次性取回
+  function getMessages(prefix) {
+    const dict = Object.assign({}, MESSAGES[DEFAULT_LOCALE], MESSAGES[current]);
+    const result = {};
+    Object.keys(dict).forEach(key => {
+      if (!prefix || key.startsWith(prefix)) result[prefix ? key.substring(prefix.length) : key] = dict[key];
+    });
+    return result;
+  }
+
+  function getNumberFormat(options) {
+    const cacheKey = `${current}|${JSON.stringify(options || {})}`;
+    let format = numberFormats.get(cacheKey);
+    if (!format) {
+      format = new Intl.NumberFormat(current, options);
+      numberFormats.set(cacheKey, format);
+    }
+    return format;
+  }
+
+  // options: Intl.NumberFormat 选项；compact 为 true 时使用紧凑写法（1.2万 / 12K），用于坐标轴
+  function formatNumber(value, options) {
+    if (value === null || value === undefined || value === '') return '-';
+    const number = typeof value === 'number' ? value : Number(value);
+    if (!Number.isFinite(number)) return String(value);
+    const opts = Object.assign({ maximumFractionDigits: 2 }, options || {});
+    if (opts.compact) {
+      delete opts.compact;
+      if (Math.abs(number) >= 10000) {
+        opts.notation = 'compact';
+        opts.maximumFractionDigits = 1;
+      }
+    }
+    return getNumberFormat(opts).format(number);
+  }
+
+  // granularity: year | quarter | month | day | datetime；省略时按是否含时分秒自动选择
+  function formatDate(value, granularity) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) return value === null || value === undefined ? '-' : String(value);
+    let g = granularity;
+    if (!g || g === 'auto' || g === 'none') {
+      g = date.getHours() || date.getMinutes() || date.getSeconds() ? 'datetime' : 'day';
+    }
+    if (g === 'week') g = 'day';
+    if (g === 'quarter') {
+      return t('chart.quarter', { year: date.getFullYear(), quarter: Math.floor(date.getMonth() / 3) + 1 });
+    }
+    return date.toLocaleString(current, DATE_FORMATS[g] || DATE_FORMATS.datetime);
+  }
+
+  document.documentElement.lang = current;
+
+  // Public API
+  return {
+    t,
+    getLocale,
+    setLocale,
+    getLocales,
+    getMessages,
+    formatNumber,
+    formatDate,
+    onChange
+  };
+})();
@@ -1,31 +1,84 @@
 ﻿// 数据库聊天页面相关功能
 window.databaseChatFunctions = {
+    // 距底部小于该距离（像素）时视为停留在底部，新内容到达时自动跟随
+    followThreshold: 80,
+
+    // 文案取自 localeInterop 的 main.* 键
+    text: function (key) {
+        return window.localeInterop ? window.localeInterop.t('main.' + key) : key;
+    },
+
     // 滚动聊天容器到底部
-    scrollChatToBottom: function (element) {
+    // 用户向上翻阅时不打断阅读，改为显示“有新内容”按钮（按钮放在容器 data-new-content-host 指定的节点中）；
+    // force 为 true 时总是滚动，用于切换连接、发送消息
+    scrollChatToBottom: function (element, force) {
         if (!element) return;
         
         try {
-            if (typeof element.scrollTo === 'function') {
-                element.scrollTo({
-                    top: element.scrollHeight,
-                    behavior: 'smooth'
-                });
-            } else {
-                element.scrollTop = element.scrollHeight;
+            const functions = window.databaseChatFunctions;
+            const state = functions.getScrollState(element);
+            if (force || state.following) {
+                functions.scrollToEnd(element);
+            } else if (element.scrollHeight > state.lastHeight) {
+                functions.toggleNewContentButton(element, true);
             }
+            state.lastHeight = element.scrollHeight;
         } catch (e) {
-            console.error('滚动失败:', e);
+            console.error(window.databaseChatFunctions.text('scrollFailed'), e);
+        }
+    },
+
+    // 首次调用时挂载滚动监听，记录用户是否停留在底部
+    getScrollState: function (element) {
+        if (element._chatScrollState) return element._chatScrollState;
+        
+        const functions = window.databaseChatFunctions;
+        const state = { following: true, lastHeight: element.scrollHeight };
+        element.addEventListener('scroll', function () {
+            const distance = element.scrollHeight - element.scrollTop - element.clientHeight;
+            state.following = distance <= functions.followThreshold;
+            if (state.following) functions.toggleNewContentButton(element, false);
+        }, { passive: true });
+        element._chatScrollState = state;
+        return state;
+    },
+
+    // 直接跳到底部：平滑滚动途中触发的 scroll 事件会被误判为用户上翻
+    scrollToEnd: function (element) {
+        const functions = window.databaseChatFunctions;
+        element.scrollTop = element.scrollHeight;
+        functions.getScrollState(element).following = true;
+        functions.toggleNewContentButton(element, false);
+    },
+
+    toggleNewContentButton: function (element, visible) {
+        const host = element.dataset.newContentHost && document.getElementById(element.dataset.newContentHost);
+        if (!host) return;
+        
+        let button = host.querySelector('.chat-new-content-button');
+        if (!button) {
+            if (!visible) return;
+            button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'chat-new-content-button';
+            button.textContent = window.databaseChatFunctions.text('newContent');
+            button.addEventListener('click', function () {
+                window.databaseChatFunctions.scrollToEnd(element);
+            });
+            host.appendChild(button);
         }
+        button.hidden = !visible;
     },
     
     // 复制文本到剪贴板
     copyToClipboard: function (text) {
-        if (!text) return Promise.reject('无文本可复制');
+        const functions = window.databaseChatFunctions;
+        if (!text) return Promise.reject(functions.text('nothingToCopy'));
         
         return navigator.clipboard.writeText(text)
             .then(() => true)
             .catch(err => {
-                console.error('复制失败:', err);
+                console.error(functions.text('copyFailed'), err);
                 // 回退方案
                 try {
                     const textArea = document.createElement('textarea');
@@ -37,142 +90,46 @@ window.databaseChatFunctions = {
                     document.body.removeChild(textArea);
                     return successful;
                 } catch (e) {
-                    console.error('回退复制失败:', e);
+                    console.error(functions.text('fallbackCopyFailed'), e);
                     return false;
                 }
             });
     },
     
-    // SQL语法高亮功能
-    highlightSql: function(element) {
+    // SQL格式化与语法高亮（仅处理 pre.language-sql，方言取 data-dialect）
+    highlightSql: function(element, dialect) {
         if (!element) return;
         
         try {
-            // 确保Prism.js已加载
-            if (typeof Prism !== 'undefined') {
-                // 为元素添加SQL语法高亮类
-                element.classList.add('language-sql');
-                
-                // 应用语法高亮
-                Prism.highlightElement(element);
-                
-                // 增强关键词高亮
-                this.enhanceKeywordHighlight(element);
-            } else {
-                console.warn('Prism.js未加载，无法进行语法高亮');
-            }
-        } catch (e) {
-            console.error('SQL语法高亮失败:', e);
-        }
-    },
-
-    // 增强关键词高亮
-    enhanceKeywordHighlight: function(element) {
-        try {
-            const primaryKeywords = ['select', 'from', 'where', 'insert', 'update', 'delete', 
-                                   'create', 'alter', 'drop', 'join', 'inner', 'left', 'right', 'full'];
-            
-            const keywordTokens = element.querySelectorAll('.token.keyword');
-            keywordTokens.forEach(token => {
-                const text = token.textContent.toLowerCase().trim();
-                if (primaryKeywords.includes(text)) {
-                    token.classList.add('sql-primary');
-                }
-            });
+            window.sqlFormatter.highlight(element, { dialect: dialect });
         } catch (e) {
-            console.error('增强关键词高亮失败:', e);
+            console.error(window.databaseChatFunctions.text('highlightFailed'), e);
         }
     },
     
     // 高亮所有SQL代码块
     highlightAllSql: function() {
-        console.log('开始高亮所有SQL代码块...');
         try {
-            if (typeof Prism !== 'undefined') {
-                console.log('Prism.js已加载');
-                
-                // 查找所有SQL相关的pre元素
-                const allPreElements = document.querySelectorAll('pre');
-                console.log(`找到 ${allPreElements.length} 个pre元素`);
-                
-                allPreElements.forEach((element, index) => {
-                    const content = element.textContent.toLowerCase();
-                    console.log(`处理第 ${index + 1} 个pre元素，内容: ${content.substring(0, 50)}...`);
-                    
-                    // 强制添加language-sql类
-                    if (this.isSqlContent(content) || element.classList.contains('language-sql')) {
-                        element.classList.add('language-sql');
-                        console.log(`为元素 ${index + 1} 添加language-sql类`);
-                        
-                        // 先清理之前的高亮
-                        element.innerHTML = element.textContent;
-                        
-                        // 尝试应用Prism高亮
-                        try {
-                            Prism.highlightElement(element);
-                            console.log(`为元素 ${index + 1} 应用Prism高亮`);
-                            
-                            // 延迟应用增强高亮
-                            setTimeout(() => {
-                                this.enhanceKeywordHighlight(element);
-                                console.log(`为元素 ${index + 1} 应用增强高亮`);
-                            }, 100);
-                        } catch (e) {
-                            console.log(`Prism高亮失败，使用后备方案: ${e.message}`);
-                            this.fallbackHighlight(element);
-                        }
-                    }
-                });
-                
-                console.log('SQL高亮处理完成');
-            } else {
-                console.error('Prism.js未加载，使用后备高亮方案');
-                // 如果Prism.js未加载，使用后备方案
-                const allPreElements = document.querySelectorAll('pre');
-                allPreElements.forEach((element, index) => {
-                    const content = element.textContent.toLowerCase();
-                    if (this.isSqlContent(content) || element.classList.contains('language-sql')) {
-                        element.classList.add('language-sql');
-                        this.fallbackHighlight(element);
-                        console.log(`为元素 ${index + 1} 应用后备高亮`);
-                    }
-                });
-            }
+            window.sqlFormatter.highlightAll(document);
         } catch (e) {
-            console.error('批量SQL语法高亮失败:', e);
+            console.error(window.databaseChatFunctions.text('highlightAllFailed'), e);
         }
     },
-    
-    // 判断内容是否为SQL
-    isSqlContent: function(content) {
-        const sqlKeywords = ['select', 'from', 'where', 'insert', 'update', 'delete', 
-                           'create', 'alter', 'drop', 'join', 'group by', 'order by',
-                           'having', 'union', 'distinct', 'count', 'sum', 'avg', 'max', 'min'];
+
+    // 滚动到指定消息并短暂高亮（监控面板下钻跳转时使用）
+    scrollToMessage: function(elementId) {
+        const element = document.getElementById(elementId);
+        if (!element) return false;
         
-        return sqlKeywords.some(keyword => content.includes(keyword));
-    },
-    
-    // 简单的后备高亮方案（不依赖Prism.js）
-    fallbackHighlight: function(element) {
         try {
-            const content = element.textContent;
-            const keywords = ['SELECT', 'FROM', 'WHERE', 'INSERT', 'UPDATE', 'DELETE', 
-                            'CREATE', 'ALTER', 'DROP', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL',
-                            'GROUP BY', 'ORDER BY', 'HAVING', 'UNION', 'DISTINCT'];
-            
-            let highlightedContent = content;
-            
-            // 将内容转换为大写进行匹配，但保持原始大小写用于显示
-            keywords.forEach(keyword => {
-                const regex = new RegExp(`\\b${keyword}\\b`, 'gi');
-                highlightedContent = highlightedContent.replace(regex, 
-                    `<span class="sql-keyword-fallback">${keyword}</span>`);
-            });
-            
-            element.innerHTML = highlightedContent;
-            console.log('应用后备高亮方案');
+            const card = element.closest('.ant-card') || element;
+            card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            card.classList.add('message-focused');
+            setTimeout(() => card.classList.remove('message-focused'), 3000);
+            return true;
         } catch (e) {
-            console.error('后备高亮失败:', e);
+            console.error(window.databaseChatFunctions.text('focusFailed'), e);
+            return false;
         }
     },
 
@@ -183,17 +140,21 @@ window.databaseChatFunctions = {
 };
 
 // 确保函数已准备就绪
-console.log("数据库聊天功能已加载");
+console.log(window.databaseChatFunctions.text('loaded'));
 
 // 在Blazor启动后执行
 document.addEventListener('DOMContentLoaded', function() {
     // 防止功能未加载情况下的错误
     if (!window.databaseChatFunctions) {
-        console.error("警告：数据库聊天功能未正确加载，请检查main.js文件");
+        const text = function (key) {
+            return window.localeInterop ? window.localeInterop.t('main.' + key) : key;
+        };
+        console.error(text('notLoaded'));
         // 提供基本功能以防止页面崩溃
         window.databaseChatFunctions = {
-            scrollChatToBottom: function() { console.warn("滚动功能未加载"); },
-            copyToClipboard: function() { console.warn("复制功能未加载"); return Promise.resolve(false); },
+            text: text,
+            scrollChatToBottom: function() { console.warn(text('scrollUnavailable')); },
+            copyToClipboard: function() { console.warn(text('copyUnavailable')); return Promise.resolve(false); },
             isLoaded: function() { return false; }
         };
     }
@@ -0,0 +1,193 @@
+// Monitoring dashboard charts built on echartsInterop
+// Exposes: render, dispose
+
+window.monitoringDashboardInterop = (function () {
+  const CHART_IDS = {
+    volume: 'monitorVolumeChart',
+    latency: 'monitorLatencyChart',
+    tables: 'monitorTablesChart',
+    connections: 'monitorConnectionsChart',
+    queryTypes: 'monitorQueryTypesChart'
+  };
+  const COLORS = {
+    success: '#52c41a',
+    failed: '#ff4d4f',
+    rate: '#faad14',
+    p50: '#1890ff',
+    p95: '#722ed1'
+  };
+  const CLICK_METHOD = 'OnDashboardChartClick';
+
+  function pad(n) {
+    return String(n).padStart(2, '0');
+  }
+
+  // 按分桶大小选择时间标签：按天只显示日期，6小时显示日期和时刻，更细的分桶在跨天时带上日期
+  function formatBucket(point, bucketMs) {
+    const d = new Date(point.startTime);
+    if (isNaN(d.getTime())) return String(point.startTime);
+    const date = `${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+    const time = `${pad(d.getHours())}:${pad(d.getMinutes())}`;
+    if (bucketMs >= 24 * 3600 * 1000) return date;
+    if (bucketMs >= 6 * 3600 * 1000) return `${date} ${time}`;
+    return d.getHours() === 0 && d.getMinutes() === 0 ? `${date} ${time}` : time;
+  }
+
+  function bucketSize(points) {
+    if (points.length < 2) return 3600 * 1000;
+    return new Date(points[1].startTime) - new Date(points[0].startTime);
+  }
+
+  function hasData(list) {
+    return Array.isArray(list) && list.length > 0;
+  }
+
+  function emptyOption(text) {
+    return {
+      title: { text: text || '暂无数据', left: 'center', top: 'middle', textStyle: { color: '#bfbfbf', fontSize: 14, fontWeight: 'normal' } }
+    };
+  }
+
+  function formatMs(value) {
+    if (value == null || isNaN(value)) return '-';
+    return value >= 1000 ? `${(value / 1000).toFixed(2)} s` : `${Math.round(value)} ms`;
+  }
+
+  function toVolumeOption(points) {
+    if (!hasData(points) || !points.some(p => p.totalQueries > 0)) return emptyOption();
+    const size = bucketSize(points);
+    const labels = points.map(p => formatBucket(p, size));
+    return {
+      tooltip: { trigger: 'axis', axisPointer: { type: 'shadow' } },
+      legend: { data: ['成功', '执行失败', '错误率'], top: 0 },
+      grid: { left: 48, right: 56, top: 40, bottom: 32 },
+      xAxis: { type: 'category', data: labels },
+      yAxis: [
+        { type: 'value', name: '查询数', minInterval: 1 },
+        { type: 'value', name: '错误率', min: 0, max: 100, axisLabel: { formatter: '{value}%' }, splitLine: { show: false } }
+      ],
+      series: [
+        { name: '成功', type: 'bar', stack: 'total', itemStyle: { color: COLORS.success }, data: points.map(p => p.successfulQueries) },
+        { name: '执行失败', type: 'bar', stack: 'total', itemStyle: { color: COLORS.failed }, data: points.map(p => p.failedQueries) },
+        {
+          name: '错误率',
+          type: 'line',
+          yAxisIndex: 1,
+          smooth: true,
+          connectNulls: true,
+          itemStyle: { color: COLORS.rate },
+          tooltip: { valueFormatter: v => (v == null ? '-' : `${v}%`) },
+          data: points.map(p => (p.totalQueries > 0 ? Math.round(p.failedQueries / p.totalQueries * 1000) / 10 : null))
+        }
+      ]
+    };
+  }
+
+  function toLatencyOption(points, latency) {
+    if (!hasData(points) || !points.some(p => p.totalQueries > 0)) return emptyOption();
+    const size = bucketSize(points);
+    const summary = latency
+      ? `P50 ${formatMs(latency.p50)}  P90 ${formatMs(latency.p90)}  P95 ${formatMs(latency.p95)}  P99 ${formatMs(latency.p99)}`
+      : '';
+    // 没有查询的时间段不画点，避免 0ms 把曲线拉低
+    const valueOf = (p, key) => (p.totalQueries > 0 ? Math.round(p[key]) : null);
+    return {
+      title: { text: summary, left: 'center', bottom: 0, textStyle: { fontSize: 12, fontWeight: 'normal', color: '#8c8c8c' } },
+      tooltip: { trigger: 'axis', valueFormatter: formatMs },
+      legend: { data: ['P50', 'P95'], top: 0 },
+      grid: { left: 56, right: 24, top: 40, bottom: 48 },
+      xAxis: { type: 'category', data: points.map(p => formatBucket(p, size)) },
+      yAxis: { type: 'value', name: '响应时间', axisLabel: { formatter: formatMs } },
+      series: [
+        { name: 'P50', type: 'line', connectNulls: true, itemStyle: { color: COLORS.p50 }, data: points.map(p => valueOf(p, 'p50ResponseTime')) },
+        { name: 'P95', type: 'line', connectNulls: true, itemStyle: { color: COLORS.p95 }, data: points.map(p => valueOf(p, 'p95ResponseTime')) }
+      ]
+    };
+  }
+
+  function toTablesOption(tables) {
+    if (!hasData(tables)) return emptyOption();
+    // 横向条形图自下而上绘制，倒序后查询最多的表排在最上面
+    const rows = tables.slice().reverse();
+    return {
+      tooltip: { trigger: 'axis', axisPointer: { type: 'shadow' } },
+      legend: { data: ['成功', '执行失败'], top: 0 },
+      grid: { left: 8, right: 24, top: 32, bottom: 8, containLabel: true },
+      xAxis: { type: 'value', minInterval: 1 },
+      yAxis: { type: 'category', data: rows.map(t => t.tableName) },
+      series: [
+        { name: '成功', type: 'bar', stack: 'total', itemStyle: { color: COLORS.success }, data: rows.map(t => t.queryCount - t.failedCount) },
+        { name: '执行失败', type: 'bar', stack: 'total', itemStyle: { color: COLORS.failed }, data: rows.map(t => t.failedCount) }
+      ]
+    };
+  }
+
+  function toConnectionsOption(connections) {
+    if (!hasData(connections)) return emptyOption();
+    return {
+      tooltip: { trigger: 'axis', axisPointer: { type: 'shadow' } },
+      legend: { data: ['成功', '执行失败', 'P95响应时间'], top: 0 },
+      grid: { left: 48, right: 64, top: 40, bottom: 8, containLabel: true },
+      xAxis: { type: 'category', data: connections.map(c => c.name), axisLabel: { interval: 0, rotate: connections.length > 4 ? 30 : 0 } },
+      yAxis: [
+        { type: 'value', name: '查询数', minInterval: 1 },
+        { type: 'value', name: 'P95', axisLabel: { formatter: formatMs }, splitLine: { show: false } }
+      ],
+      series: [
+        { name: '成功', type: 'bar', stack: 'total', itemStyle: { color: COLORS.success }, data: connections.map(c => c.totalQueries - c.failedQueries) },
+        { name: '执行失败', type: 'bar', stack: 'total', itemStyle: { color: COLORS.failed }, data: connections.map(c => c.failedQueries) },
+        {
+          name: 'P95响应时间',
+          type: 'line',
+          yAxisIndex: 1,
+          itemStyle: { color: COLORS.p95 },
+          tooltip: { valueFormatter: formatMs },
+          data: connections.map(c => Math.round(c.p95ResponseTime))
+        }
+      ]
+    };
+  }
+
+  function toQueryTypesOption(queryTypes) {
+    const entries = Object.entries(queryTypes || {});
+    if (entries.length === 0) return emptyOption();
+    return {
+      tooltip: { trigger: 'item', formatter: '{b}: {c} ({d}%)' },
+      legend: { bottom: 0, type: 'scroll' },
+      series: [{
+        type: 'pie',
+        radius: ['40%', '68%'],
+        center: ['50%', '45%'],
+        label: { formatter: '{b}\n{d}%' },
+        data: entries.map(([name, value]) => ({ name, value }))
+      }]
+    };
+  }
+
+  // data: { volumeTrend, latency, topTables, connections, queryTypes }
+  // 点击趋势、表和连接图会回调 .NET 的 OnDashboardChartClick 用于下钻，查询类型分布不支持下钻
+  function render(data, dotNetRef) {
+    const d = data || {};
+    const charts = [
+      [CHART_IDS.volume, toVolumeOption(d.volumeTrend), true],
+      [CHART_IDS.latency, toLatencyOption(d.volumeTrend, d.latency), true],
+      [CHART_IDS.tables, toTablesOption(d.topTables), true],
+      [CHART_IDS.connections, toConnectionsOption(d.connections), true],
+      [CHART_IDS.queryTypes, toQueryTypesOption(d.queryTypes), false]
+    ];
+    charts.forEach(([id, option, drillable]) => {
+      if (!document.getElementById(id)) return;
+      window.echartsInterop.renderOption(id, option, drillable ? dotNetRef : null, CLICK_METHOD);
+    });
+  }
+
+  function dispose() {
+    Object.values(CHART_IDS).forEach(id => window.echartsInterop.dispose(id));
+  }
+
+  // Public API
+  return {
+    render,
+    dispose
+  };
+})();
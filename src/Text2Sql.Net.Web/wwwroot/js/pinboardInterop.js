@@ -0,0 +1,458 @@
+// Pinboard: draggable / resizable 12-column grid of echartsInterop charts
+// Exposes: render, updateTile, setRefreshing, exportImage, dispose
+
+window.pinboardInterop = (function () {
+  const boards = new Map(); // containerId -> board state
+  const COLUMNS = 12; // 与 Text2Sql.Net.Domain.Model.PinboardTileLayout.Columns 一致
+  const ROW_HEIGHT = 80;
+  const GAP = 12;
+  const MIN_W = 2;
+  const MIN_H = 2;
+  const LAYOUT_METHOD = 'OnPinboardLayoutChanged';
+  const ACTION_METHOD = 'OnPinboardTileAction';
+
+  function createElement(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+  }
+
+  function pad(n) {
+    return String(n).padStart(2, '0');
+  }
+
+  function formatTime(value) {
+    if (!value) return '';
+    const d = new Date(value);
+    if (isNaN(d.getTime())) return String(value);
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+  }
+
+  function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+  }
+
+  function normalize(tile) {
+    const w = clamp(Math.round(tile.w) || 6, MIN_W, COLUMNS);
+    return {
+      id: String(tile.id),
+      x: clamp(Math.round(tile.x) || 0, 0, COLUMNS - w),
+      y: Math.max(0, Math.round(tile.y) || 0),
+      w,
+      h: Math.max(MIN_H, Math.round(tile.h) || 4)
+    };
+  }
+
+  function overlaps(a, b) {
+    return a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+  }
+
+  // 固定 pinned 的位置，其余卡片按原有顺序依次向上压紧，放到不与已放置卡片重叠的最高处
+  function compact(layout, pinned) {
+    const placed = pinned ? [pinned] : [];
+    layout
+      .filter(item => !pinned || item.id !== pinned.id)
+      .sort((a, b) => a.y - b.y || a.x - b.x)
+      .forEach(item => {
+        const next = Object.assign({}, item, { y: 0 });
+        while (placed.some(p => overlaps(p, next))) next.y++;
+        placed.push(next);
+      });
+    return placed;
+  }
+
+  function sameLayout(a, b) {
+    if (a.length !== b.length) return false;
+    const byId = new Map(b.map(item => [item.id, item]));
+    return a.every(item => {
+      const other = byId.get(item.id);
+      return other && other.x === item.x && other.y === item.y && other.w === item.w && other.h === item.h;
+    });
+  }
+
+  function columnWidth(board) {
+    const width = board.els.grid.clientWidth || board.container.clientWidth || 1200;
+    return (width - GAP * (COLUMNS - 1)) / COLUMNS;
+  }
+
+  function toPixels(board, item) {
+    const col = columnWidth(board);
+    return {
+      left: item.x * (col + GAP),
+      top: item.y * (ROW_HEIGHT + GAP),
+      width: item.w * col + (item.w - 1) * GAP,
+      height: item.h * ROW_HEIGHT + (item.h - 1) * GAP
+    };
+  }
+
+  function applyPosition(board, el, item) {
+    const px = toPixels(board, item);
+    el.style.left = `${px.left}px`;
+    el.style.top = `${px.top}px`;
+    el.style.width = `${px.width}px`;
+    el.style.height = `${px.height}px`;
+  }
+
+  function layoutAll(board, skipId) {
+    let rows = 0;
+    board.layout.forEach(item => {
+      rows = Math.max(rows, item.y + item.h);
+      const tile = board.tiles.get(item.id);
+      if (tile && item.id !== skipId) applyPosition(board, tile.el, item);
+    });
+    board.els.grid.style.height = `${Math.max(rows, 1) * (ROW_HEIGHT + GAP)}px`;
+  }
+
+  function chartId(board, tileId) {
+    return `${board.containerId}_tile_${tileId}`;
+  }
+
+  function invoke(board, method, ...args) {
+    if (!board.dotNetRef) return;
+    board.dotNetRef.invokeMethodAsync(method, ...args)
+      .catch(err => console.warn('看板回调失败', err));
+  }
+
+  function buildTile(board, data) {
+    const el = createElement('div', 'pb-tile');
+    el.dataset.tileId = data.id;
+
+    const header = createElement('div', 'pb-tile-header');
+    const titleWrap = createElement('div', 'pb-tile-heading');
+    const title = createElement('div', 'pb-tile-title');
+    title.title = '双击修改标题';
+    const meta = createElement('div', 'pb-tile-meta');
+    titleWrap.append(title, meta);
+
+    const actions = createElement('div', 'pb-tile-actions');
+    [
+      ['refresh', '⟳', '重新执行SQL'],
+      ['source', '↗', '打开来源对话'],
+      ['remove', '✕', '从看板移除']
+    ].forEach(([action, icon, tip]) => {
+      const button = createElement('button', `pb-tile-action pb-action-${action}`, icon);
+      button.type = 'button';
+      button.title = tip;
+      button.dataset.action = action;
+      actions.appendChild(button);
+    });
+    header.append(titleWrap, actions);
+
+    const error = createElement('div', 'pb-tile-error');
+    const body = createElement('div', 'pb-tile-body');
+    const chart = createElement('div', 'pb-tile-chart');
+    chart.id = chartId(board, data.id);
+    const empty = createElement('div', 'pb-tile-empty', '暂无数据，点击 ⟳ 重新执行');
+    body.append(chart, empty);
+    const resize = createElement('div', 'pb-tile-resize');
+    resize.title = '拖动调整大小';
+
+    el.append(header, error, body, resize);
+    board.els.grid.appendChild(el);
+
+    const tile = { el, title, meta, error, chart, empty, data: null };
+    board.tiles.set(data.id, tile);
+    return tile;
+  }
+
+  function fillTile(board, tile, data) {
+    tile.data = data;
+    tile.title.textContent = data.title || '未命名图表';
+    tile.meta.textContent = data.lastRefreshTime ? `刷新于 ${formatTime(data.lastRefreshTime)}` : '尚未刷新';
+    tile.error.textContent = data.lastError ? `刷新失败：${data.lastError}` : '';
+    tile.error.hidden = !data.lastError;
+    tile.el.classList.toggle('pb-has-error', !!data.lastError);
+    tile.el.classList.toggle('pb-refreshing', !!data.refreshing);
+
+    // rows 为列式结果（ColumnarResult），也兼容行数组
+    const rowCount = window.echartsInterop.rowCount(data.rows);
+    tile.empty.hidden = rowCount > 0;
+    tile.chart.hidden = rowCount === 0;
+    if (rowCount === 0) {
+      window.echartsInterop.dispose(tile.chart.id);
+      return;
+    }
+    // 等卡片定位完成后再初始化图表，避免按 0 宽度渲染
+    requestAnimationFrame(() => {
+      if (!tile.chart.isConnected) return;
+      try {
+        window.echartsInterop.renderChartSpec(tile.chart.id, data.rows, data.chartSpec || null);
+      } catch (e) {
+        console.error('看板图表渲染失败:', e);
+      }
+    });
+  }
+
+  function startPointer(board, e, tileId, mode) {
+    if (e.button !== 0) return;
+    const tile = board.tiles.get(tileId);
+    const item = board.layout.find(l => l.id === tileId);
+    if (!tile || !item) return;
+    e.preventDefault();
+
+    const origin = Object.assign({}, item);
+    const startX = e.clientX;
+    const startY = e.clientY;
+    const startPx = toPixels(board, origin);
+    const col = columnWidth(board);
+    const baseLayout = board.layout.map(l => Object.assign({}, l));
+    let target = origin;
+
+    tile.el.classList.add(mode === 'move' ? 'pb-dragging' : 'pb-resizing');
+    board.els.placeholder.hidden = false;
+    applyPosition(board, board.els.placeholder, origin);
+
+    function onMove(ev) {
+      const dx = ev.clientX - startX;
+      const dy = ev.clientY - startY;
+      if (mode === 'move') {
+        tile.el.style.left = `${startPx.left + dx}px`;
+        tile.el.style.top = `${Math.max(0, startPx.top + dy)}px`;
+        target = Object.assign({}, origin, {
+          x: clamp(Math.round((startPx.left + dx) / (col + GAP)), 0, COLUMNS - origin.w),
+          y: Math.max(0, Math.round((startPx.top + dy) / (ROW_HEIGHT + GAP)))
+        });
+      } else {
+        tile.el.style.width = `${Math.max(startPx.width + dx, col)}px`;
+        tile.el.style.height = `${Math.max(startPx.height + dy, ROW_HEIGHT)}px`;
+        target = Object.assign({}, origin, {
+          w: clamp(Math.round((startPx.width + dx + GAP) / (col + GAP)), MIN_W, COLUMNS - origin.x),
+          h: Math.max(MIN_H, Math.round((startPx.height + dy + GAP) / (ROW_HEIGHT + GAP)))
+        });
+      }
+      board.layout = compact(baseLayout, target);
+      applyPosition(board, board.els.placeholder, board.layout.find(l => l.id === tileId));
+      layoutAll(board, tileId);
+    }
+
+    function onUp() {
+      document.removeEventListener('pointermove', onMove);
+      document.removeEventListener('pointerup', onUp);
+      document.removeEventListener('pointercancel', onUp);
+      tile.el.classList.remove('pb-dragging', 'pb-resizing');
+      board.els.placeholder.hidden = true;
+      board.layout = compact(board.layout);
+      layoutAll(board);
+      board.dragging = null;
+      if (!sameLayout(board.layout, baseLayout)) {
+        invoke(board, LAYOUT_METHOD, board.layout.map(l => Object.assign({}, l)));
+      }
+    }
+
+    board.dragging = onUp;
+    document.addEventListener('pointermove', onMove);
+    document.addEventListener('pointerup', onUp);
+    document.addEventListener('pointercancel', onUp);
+  }
+
+  function bindEvents(board) {
+    const grid = board.els.grid;
+    const listeners = [];
+    function listen(target, type, handler) {
+      target.addEventListener(type, handler);
+      listeners.push(() => target.removeEventListener(type, handler));
+    }
+
+    listen(grid, 'pointerdown', e => {
+      const tileEl = e.target.closest('.pb-tile');
+      if (!tileEl || board.dragging) return;
+      if (e.target.closest('.pb-tile-resize')) {
+        startPointer(board, e, tileEl.dataset.tileId, 'resize');
+      } else if (e.target.closest('.pb-tile-header') && !e.target.closest('button')) {
+        startPointer(board, e, tileEl.dataset.tileId, 'move');
+      }
+    });
+    listen(grid, 'click', e => {
+      const button = e.target.closest('.pb-tile-action');
+      if (!button) return;
+      invoke(board, ACTION_METHOD, button.closest('.pb-tile').dataset.tileId, button.dataset.action);
+    });
+    listen(grid, 'dblclick', e => {
+      const title = e.target.closest('.pb-tile-title');
+      if (!title) return;
+      invoke(board, ACTION_METHOD, title.closest('.pb-tile').dataset.tileId, 'rename');
+    });
+
+    // 容器宽度变化时按新列宽重新排版
+    if (window.ResizeObserver) {
+      const observer = new ResizeObserver(() => layoutAll(board));
+      observer.observe(board.container);
+      listeners.push(() => observer.disconnect());
+    }
+    board.listeners = listeners;
+  }
+
+  // tiles: [{ id, title, x, y, w, h, chartSpec, rows, lastRefreshTime, lastError, refreshing }]
+  // 拖拽或缩放结束后回调 OnPinboardLayoutChanged(layouts)，卡片按钮回调 OnPinboardTileAction(tileId, action)
+  function render(containerId, tiles, dotNetRef) {
+    const container = document.getElementById(containerId);
+    if (!container) throw new Error(`container not found: ${containerId}`);
+    dispose(containerId);
+
+    const grid = createElement('div', 'pb-grid');
+    const placeholder = createElement('div', 'pb-placeholder');
+    placeholder.hidden = true;
+    grid.appendChild(placeholder);
+    container.replaceChildren(grid);
+
+    const list = Array.isArray(tiles) ? tiles : [];
+    const board = {
+      containerId,
+      container,
+      dotNetRef,
+      els: { grid, placeholder },
+      tiles: new Map(),
+      layout: compact(list.map(normalize)),
+      listeners: [],
+      dragging: null
+    };
+    boards.set(containerId, board);
+
+    list.forEach(data => buildTile(board, Object.assign({}, data, { id: String(data.id) })));
+    layoutAll(board);
+    list.forEach(data => {
+      const tile = board.tiles.get(String(data.id));
+      fillTile(board, tile, Object.assign({}, data, { id: String(data.id) }));
+    });
+    bindEvents(board);
+  }
+
+  // 刷新单个卡片的数据和状态，不影响其他卡片和布局
+  function updateTile(containerId, data) {
+    const board = boards.get(containerId);
+    if (!board || !data) return;
+    const tile = board.tiles.get(String(data.id));
+    if (!tile) return;
+    fillTile(board, tile, Object.assign({}, tile.data, data, { id: String(data.id) }));
+  }
+
+  function setRefreshing(containerId, tileId, refreshing) {
+    const board = boards.get(containerId);
+    const tile = board && board.tiles.get(String(tileId));
+    if (!tile) return;
+    tile.data.refreshing = !!refreshing;
+    tile.el.classList.toggle('pb-refreshing', !!refreshing);
+  }
+
+  function loadImage(url) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = reject;
+      img.src = url;
+    });
+  }
+
+  function fitText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    let end = text.length;
+    while (end > 0 && ctx.measureText(`${text.slice(0, end)}…`).width > maxWidth) end--;
+    return `${text.slice(0, end)}…`;
+  }
+
+  // 把整个看板合成为一张 PNG：按当前布局绘制每个卡片的标题、刷新时间、错误和图表
+  async function exportImage(containerId, fileName, boardTitle) {
+    const board = boards.get(containerId);
+    if (!board) return false;
+
+    const pixelRatio = 2;
+    const padding = 24;
+    const headerHeight = boardTitle ? 48 : 0;
+    const width = board.els.grid.clientWidth;
+    const height = parseFloat(board.els.grid.style.height) || board.els.grid.clientHeight;
+    const canvas = document.createElement('canvas');
+    canvas.width = (width + padding * 2) * pixelRatio;
+    canvas.height = (height + padding * 2 + headerHeight) * pixelRatio;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(pixelRatio, pixelRatio);
+    // 卡片与图表使用当前图表主题的配色
+    const colors = window.echartsInterop
+      ? window.echartsInterop.getThemeColors()
+      : { theme: 'light', background: '#fff', text: 'rgba(0, 0, 0, 0.85)', secondaryText: '#8c8c8c', border: '#e8e8e8' };
+    ctx.fillStyle = colors.theme === 'dark' ? '#000000' : '#f0f2f5';
+    ctx.fillRect(0, 0, width + padding * 2, height + padding * 2 + headerHeight);
+    ctx.textBaseline = 'top';
+
+    if (boardTitle) {
+      ctx.fillStyle = colors.text;
+      ctx.font = 'bold 20px sans-serif';
+      ctx.fillText(fitText(ctx, boardTitle, width), padding, padding);
+      ctx.fillStyle = colors.secondaryText;
+      ctx.font = '12px sans-serif';
+      ctx.textAlign = 'right';
+      ctx.fillText(`导出于 ${formatTime(new Date())}`, width + padding, padding + 6);
+      ctx.textAlign = 'left';
+    }
+
+    for (const item of board.layout) {
+      const tile = board.tiles.get(item.id);
+      if (!tile) continue;
+      const px = toPixels(board, item);
+      const left = px.left + padding;
+      const top = px.top + padding + headerHeight;
+
+      ctx.fillStyle = colors.background;
+      ctx.fillRect(left, top, px.width, px.height);
+      ctx.strokeStyle = tile.data.lastError ? '#ffccc7' : colors.border;
+      ctx.strokeRect(left + 0.5, top + 0.5, px.width - 1, px.height - 1);
+
+      ctx.fillStyle = colors.text;
+      ctx.font = 'bold 14px sans-serif';
+      ctx.fillText(fitText(ctx, tile.title.textContent, px.width - 24), left + 12, top + 10);
+      ctx.fillStyle = colors.secondaryText;
+      ctx.font = '12px sans-serif';
+      ctx.fillText(fitText(ctx, tile.meta.textContent, px.width - 24), left + 12, top + 30);
+
+      let chartTop = top + 52;
+      if (tile.data.lastError) {
+        ctx.fillStyle = '#ff4d4f';
+        ctx.fillText(fitText(ctx, tile.error.textContent, px.width - 24), left + 12, chartTop);
+        chartTop += 20;
+      }
+
+      const chart = window.echarts && !tile.chart.hidden ? window.echarts.getInstanceByDom(tile.chart) : null;
+      if (chart) {
+        try {
+          const img = await loadImage(chart.getDataURL({ type: 'png', pixelRatio, backgroundColor: colors.background }));
+          const maxW = px.width - 16;
+          const maxH = top + px.height - 8 - chartTop;
+          const scale = Math.min(maxW / (img.width / pixelRatio), maxH / (img.height / pixelRatio), 1);
+          ctx.drawImage(img, left + 8, chartTop, img.width / pixelRatio * scale, img.height / pixelRatio * scale);
+        } catch (e) {
+          console.warn('导出卡片图表失败:', e);
+        }
+      } else {
+        ctx.fillStyle = '#bfbfbf';
+        ctx.fillText('暂无数据', left + 12, chartTop);
+      }
+    }
+
+    const a = document.createElement('a');
+    a.href = canvas.toDataURL('image/png');
+    a.download = fileName || 'pinboard.png';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    return true;
+  }
+
+  function dispose(containerId) {
+    const board = boards.get(containerId);
+    if (!board) return;
+    if (board.dragging) board.dragging();
+    board.listeners.forEach(off => off());
+    board.tiles.forEach(tile => window.echartsInterop.dispose(tile.chart.id));
+    board.els.grid.remove();
+    boards.delete(containerId);
+  }
+
+  // Public API
+  return {
+    render,
+    updateTile,
+    setRefreshing,
+    exportImage,
+    dispose
+  };
+})();
@@ -0,0 +1,522 @@
+// Side-by-side comparison of two SQL runs: token-level SQL diff (sqlFormatter tokens) and a
+// result diff keyed on chosen columns, with an optional overlay chart via echartsInterop
+// Exposes: diffSql, diffRows, suggestKeyColumns, render, setKeyColumns, setDiffOnly, renderOverlayChart, dispose
+
+window.resultDiffInterop = (function () {
+  const comparisons = new Map(); // hostId -> comparison state
+  const MAX_RENDER_ROWS = 1000;
+  // 公共前后缀之外的 token 数乘积超过该值时不再做 LCS，整段视为替换
+  const MAX_LCS_CELLS = 4000000;
+  const NUMBER_TOLERANCE = 1e-9;
+  // 多个数值列时每列单独一个坐标系，纵向排列
+  const OVERLAY_LEGEND_HEIGHT = 40;
+  const OVERLAY_PANEL_HEIGHT = 220;
+
+  function t(key, params) {
+    return window.localeInterop.t(key, params);
+  }
+
+  function createElement(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+  }
+
+  // ---- SQL 差异 ----
+
+  // 关键字与函数名不区分大小写，其余 token 按原文比较；空白不参与比较
+  function tokenKey(token) {
+    return token.type === 'keyword' || token.type === 'function' ? token.value.toUpperCase() : token.value;
+  }
+
+  // 返回两组 token 各自的标记：equal | removed（仅左侧）| added（仅右侧），空白统一标记为 equal
+  function diffTokens(leftTokens, rightTokens) {
+    const left = [];
+    const right = [];
+    leftTokens.forEach((tok, i) => { if (tok.type !== 'whitespace') left.push(i); });
+    rightTokens.forEach((tok, i) => { if (tok.type !== 'whitespace') right.push(i); });
+    const leftMarks = leftTokens.map(() => 'equal');
+    const rightMarks = rightTokens.map(() => 'equal');
+
+    let start = 0;
+    while (start < left.length && start < right.length
+      && tokenKey(leftTokens[left[start]]) === tokenKey(rightTokens[right[start]])) start++;
+    let leftEnd = left.length;
+    let rightEnd = right.length;
+    while (leftEnd > start && rightEnd > start
+      && tokenKey(leftTokens[left[leftEnd - 1]]) === tokenKey(rightTokens[right[rightEnd - 1]])) {
+      leftEnd--;
+      rightEnd--;
+    }
+
+    const n = leftEnd - start;
+    const m = rightEnd - start;
+    const markRange = (indexes, marks, from, to, mark) => {
+      for (let i = from; i < to; i++) marks[indexes[i]] = mark;
+    };
+    if (n === 0 || m === 0 || n * m > MAX_LCS_CELLS) {
+      markRange(left, leftMarks, start, leftEnd, 'removed');
+      markRange(right, rightMarks, start, rightEnd, 'added');
+      return { left: leftMarks, right: rightMarks };
+    }
+
+    // LCS 长度表（自底向上），再正向回溯
+    const width = m + 1;
+    const table = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      const a = tokenKey(leftTokens[left[start + i]]);
+      for (let j = m - 1; j >= 0; j--) {
+        table[i * width + j] = a === tokenKey(rightTokens[right[start + j]])
+          ? table[(i + 1) * width + j + 1] + 1
+          : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (tokenKey(leftTokens[left[start + i]]) === tokenKey(rightTokens[right[start + j]])) {
+        i++;
+        j++;
+      } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+        leftMarks[left[start + i++]] = 'removed';
+      } else {
+        rightMarks[right[start + j++]] = 'added';
+      }
+    }
+    markRange(left, leftMarks, start + i, leftEnd, 'removed');
+    markRange(right, rightMarks, start + j, rightEnd, 'added');
+    return { left: leftMarks, right: rightMarks };
+  }
+
+  // 两侧先按同一方言格式化，排版差异不会被当作修改
+  function diffSql(leftSql, rightSql, dialect) {
+    const formatter = window.sqlFormatter;
+    const leftText = formatter.format(leftSql || '', { dialect });
+    const rightText = formatter.format(rightSql || '', { dialect });
+    const leftTokens = formatter.tokenize(leftText, dialect);
+    const rightTokens = formatter.tokenize(rightText, dialect);
+    const marks = diffTokens(leftTokens, rightTokens);
+    const count = list => list.filter(mark => mark !== 'equal').length;
+    return {
+      left: leftTokens.map((tok, i) => ({ type: tok.type, value: tok.value, mark: marks.left[i] })),
+      right: rightTokens.map((tok, i) => ({ type: tok.type, value: tok.value, mark: marks.right[i] })),
+      removed: count(marks.left),
+      added: count(marks.right)
+    };
+  }
+
+  // ---- 结果差异 ----
+
+  function isNullish(value) {
+    return value === null || value === undefined || (typeof value === 'object' && !(value instanceof Date) && Object.keys(value).length === 0);
+  }
+
+  function toNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+    if (typeof value === 'string' && value.trim() !== '') return Number(value);
+    return NaN;
+  }
+
+  function sameValue(a, b) {
+    if (isNullish(a) || isNullish(b)) return isNullish(a) && isNullish(b);
+    const x = toNumber(a);
+    const y = toNumber(b);
+    if (!isNaN(x) && !isNaN(y)) return Math.abs(x - y) <= NUMBER_TOLERANCE * Math.max(1, Math.abs(x), Math.abs(y));
+    return String(a) === String(b);
+  }
+
+  function displayValue(value) {
+    if (isNullish(value)) return 'NULL';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  function getColumns(rows) {
+    const keys = [];
+    const seen = new Set();
+    (rows || []).forEach(row => {
+      Object.keys(row || {}).forEach(key => {
+        if (!seen.has(key)) { seen.add(key); keys.push(key); }
+      });
+    });
+    return keys;
+  }
+
+  function isNumericColumn(rows, key) {
+    let numeric = 0;
+    let total = 0;
+    rows.forEach(row => {
+      const value = row ? row[key] : undefined;
+      if (isNullish(value)) return;
+      total++;
+      if (!isNaN(toNumber(value))) numeric++;
+    });
+    return total > 0 && numeric === total;
+  }
+
+  function isUnique(rows, keys) {
+    const seen = new Set();
+    for (const row of rows) {
+      const key = keys.map(k => displayValue(row[k])).join('\u0001');
+      if (seen.has(key)) return false;
+      seen.add(key);
+    }
+    return true;
+  }
+
+  // 优先选择在两侧都唯一的单个标识列或非数值列（如编号、名称），否则选择组合起来唯一的全部非数值列
+  function suggestKeyColumns(leftRows, rightRows) {
+    const left = leftRows || [];
+    const right = rightRows || [];
+    const rightColumns = new Set(getColumns(right));
+    const common = getColumns(left).filter(k => rightColumns.has(k));
+    const both = left.concat(right);
+    const identifiers = common.filter(k => window.echartsInterop.isIdentifierName(k));
+    const candidates = identifiers.concat(common.filter(k => identifiers.indexOf(k) < 0 && !isNumericColumn(both, k)));
+    const unique = keys => isUnique(left, keys) && isUnique(right, keys);
+
+    const single = candidates.find(k => unique([k]));
+    if (single) return [single];
+    if (candidates.length > 1 && unique(candidates)) return candidates;
+    return [];
+  }
+
+  // keyColumns 为空时按整行匹配（只会出现新增/删除）；键重复时按出现顺序逐一配对
+  // 返回 { columns: [{ key, side: both|left|right }], keyColumns, rows: [{ status, left, right, changed }], summary }
+  function diffRows(leftRows, rightRows, keyColumns) {
+    const left = leftRows || [];
+    const right = rightRows || [];
+    const leftColumns = getColumns(left);
+    const rightColumns = getColumns(right);
+    const leftSet = new Set(leftColumns);
+    const rightSet = new Set(rightColumns);
+    const columns = leftColumns.map(key => ({ key, side: rightSet.has(key) ? 'both' : 'left' }))
+      .concat(rightColumns.filter(key => !leftSet.has(key)).map(key => ({ key, side: 'right' })));
+    const common = columns.filter(c => c.side === 'both').map(c => c.key);
+    const keys = (keyColumns || []).filter(k => common.indexOf(k) >= 0);
+    const matchColumns = keys.length ? keys : common;
+    const compareColumns = common.filter(k => keys.indexOf(k) < 0);
+
+    let duplicateKeys = 0;
+    const keyOf = (row, occurrences) => {
+      const base = matchColumns.map(k => displayValue(row[k])).join('\u0001');
+      const n = occurrences.get(base) || 0;
+      occurrences.set(base, n + 1);
+      return n ? `${base}\u0002${n}` : base;
+    };
+
+    const leftIndex = new Map();
+    const leftOccurrences = new Map();
+    left.forEach(row => leftIndex.set(keyOf(row, leftOccurrences), row));
+    const rightOccurrences = new Map();
+    const rightKeys = right.map(row => keyOf(row, rightOccurrences));
+    [leftOccurrences, rightOccurrences].forEach(occurrences => {
+      occurrences.forEach(count => { if (count > 1 && keys.length) duplicateKeys += count - 1; });
+    });
+
+    const summary = { added: 0, removed: 0, changed: 0, unchanged: 0, leftCount: left.length, rightCount: right.length, duplicateKeys };
+    const rows = [];
+    const matched = new Set();
+    right.forEach((row, i) => {
+      const key = rightKeys[i];
+      const other = leftIndex.get(key);
+      if (!other) {
+        summary.added++;
+        rows.push({ status: 'added', left: null, right: row, changed: [] });
+        return;
+      }
+      matched.add(key);
+      const changed = compareColumns.filter(k => !sameValue(other[k], row[k]));
+      const status = changed.length ? 'changed' : 'unchanged';
+      summary[status]++;
+      rows.push({ status, left: other, right: row, changed });
+    });
+    leftIndex.forEach((row, key) => {
+      if (matched.has(key)) return;
+      summary.removed++;
+      rows.push({ status: 'removed', left: row, right: null, changed: [] });
+    });
+
+    return { columns, keyColumns: keys, rows, summary };
+  }
+
+  // ---- 渲染 ----
+
+  function renderSqlPane(label, tokens) {
+    const pane = createElement('div', 'rdiff-sql-pane');
+    pane.appendChild(createElement('div', 'rdiff-sql-label', label));
+    const pre = createElement('pre', 'language-sql rdiff-sql-code');
+    window.sqlFormatter.renderTokens(pre, tokens, (span, token) => {
+      if (token.mark !== 'equal') span.classList.add(`rdiff-token-${token.mark}`);
+    });
+    pane.appendChild(pre);
+    return pane;
+  }
+
+  function renderSql(state) {
+    const section = createElement('div', 'rdiff-sql');
+    if (state.leftSql === undefined && state.rightSql === undefined) return section;
+    const diff = diffSql(state.leftSql, state.rightSql, state.dialect);
+    const header = createElement('div', 'rdiff-section-title', t('diff.sqlTitle'));
+    header.appendChild(createElement('span', 'rdiff-sql-stat', diff.added || diff.removed
+      ? t('diff.sqlStat', { added: diff.added, removed: diff.removed })
+      : t('diff.sqlSame')));
+    const panes = createElement('div', 'rdiff-sql-panes');
+    panes.append(renderSqlPane(state.leftLabel, diff.left), renderSqlPane(state.rightLabel, diff.right));
+    section.append(header, panes);
+    return section;
+  }
+
+  function renderSummary(state) {
+    const { summary } = state.diff;
+    const bar = createElement('div', 'rdiff-summary');
+    ['added', 'removed', 'changed', 'unchanged'].forEach(status => {
+      const badge = createElement('span', 'rdiff-badge', `${t(`diff.status.${status}`)} ${summary[status]}`);
+      badge.dataset.status = status;
+      bar.appendChild(badge);
+    });
+    bar.appendChild(createElement('span', 'rdiff-counts', t('diff.rowCounts', {
+      left: state.leftLabel, leftCount: summary.leftCount, right: state.rightLabel, rightCount: summary.rightCount
+    })));
+    if (!state.diff.keyColumns.length) {
+      bar.appendChild(createElement('span', 'rdiff-warning', t('diff.noKey')));
+    } else if (summary.duplicateKeys) {
+      bar.appendChild(createElement('span', 'rdiff-warning', t('diff.duplicateKeys', { count: summary.duplicateKeys })));
+    }
+    return bar;
+  }
+
+  function renderCell(row, column, keyColumns) {
+    const td = createElement('td');
+    const leftValue = row.left ? row.left[column.key] : undefined;
+    const rightValue = row.right ? row.right[column.key] : undefined;
+    if (keyColumns.indexOf(column.key) >= 0) td.classList.add('rdiff-key');
+
+    if (row.status === 'changed' && row.changed.indexOf(column.key) >= 0) {
+      td.classList.add('rdiff-cell-changed');
+      td.append(createElement('del', null, displayValue(leftValue)), createElement('ins', null, displayValue(rightValue)));
+      return td;
+    }
+    // 仅一侧存在的列只从该侧取值，另一侧的行留空；两侧都有的列优先取新结果
+    let source;
+    if (column.side === 'left') source = row.left;
+    else if (column.side === 'right') source = row.right;
+    else source = row.right || row.left;
+    if (!source) return td;
+    const value = source[column.key];
+    td.textContent = displayValue(value);
+    if (isNullish(value)) td.classList.add('rdiff-null');
+    return td;
+  }
+
+  function renderTable(state) {
+    const { columns, keyColumns, rows } = state.diff;
+    const visible = state.diffOnly ? rows.filter(r => r.status !== 'unchanged') : rows;
+    const wrap = createElement('div', 'rdiff-table-wrap');
+    if (!visible.length) {
+      wrap.appendChild(createElement('div', 'rdiff-empty', t(rows.length ? 'diff.noDifferences' : 'diff.noRows')));
+      return wrap;
+    }
+
+    const table = createElement('table', 'rdiff-table');
+    const head = createElement('tr');
+    head.appendChild(createElement('th', 'rdiff-status-col', t('diff.statusColumn')));
+    columns.forEach(column => {
+      const th = createElement('th', keyColumns.indexOf(column.key) >= 0 ? 'rdiff-key' : null, column.key);
+      if (column.side !== 'both') {
+        th.dataset.side = column.side;
+        th.title = t(column.side === 'left' ? 'diff.onlyLeft' : 'diff.onlyRight', { label: column.side === 'left' ? state.leftLabel : state.rightLabel });
+      }
+      head.appendChild(th);
+    });
+    table.appendChild(createElement('thead')).appendChild(head);
+
+    const body = createElement('tbody');
+    visible.slice(0, MAX_RENDER_ROWS).forEach(row => {
+      const tr = createElement('tr');
+      tr.dataset.status = row.status;
+      tr.appendChild(createElement('td', 'rdiff-status-col', t(`diff.status.${row.status}`)));
+      columns.forEach(column => tr.appendChild(renderCell(row, column, keyColumns)));
+      body.appendChild(tr);
+    });
+    table.appendChild(body);
+    wrap.appendChild(table);
+    if (visible.length > MAX_RENDER_ROWS) {
+      wrap.appendChild(createElement('div', 'rdiff-truncated', t('diff.truncated', { shown: MAX_RENDER_ROWS, total: visible.length })));
+    }
+    return wrap;
+  }
+
+  function renderResult(state) {
+    const section = state.els.result;
+    section.replaceChildren(
+      createElement('div', 'rdiff-section-title', t('diff.resultTitle')),
+      renderSummary(state),
+      renderTable(state)
+    );
+  }
+
+  // comparison: { leftLabel, rightLabel, leftSql, rightSql, dialect, leftRows, rightRows, keyColumns, diffOnly }
+  // keyColumns 省略时自动推荐；返回 { keyColumns, columns, numericColumns, categoryColumns, summary } 供 Blazor 端填充选择器
+  function render(hostId, comparison) {
+    const host = document.getElementById(hostId);
+    if (!host) throw new Error(`container not found: ${hostId}`);
+    const c = comparison || {};
+    const state = {
+      leftLabel: c.leftLabel || 'A',
+      rightLabel: c.rightLabel || 'B',
+      leftSql: c.leftSql,
+      rightSql: c.rightSql,
+      dialect: c.dialect,
+      leftRows: Array.isArray(c.leftRows) ? c.leftRows : [],
+      rightRows: Array.isArray(c.rightRows) ? c.rightRows : [],
+      diffOnly: c.diffOnly !== false,
+      diff: null,
+      els: null
+    };
+    const keyColumns = Array.isArray(c.keyColumns) ? c.keyColumns : suggestKeyColumns(state.leftRows, state.rightRows);
+    state.diff = diffRows(state.leftRows, state.rightRows, keyColumns);
+
+    const root = createElement('div', 'rdiff');
+    const result = createElement('div', 'rdiff-result');
+    root.append(renderSql(state), result);
+    state.els = { root, result };
+    host.replaceChildren(root);
+    comparisons.set(hostId, state);
+    renderResult(state);
+    return describe(state);
+  }
+
+  function describe(state) {
+    const common = state.diff.columns.filter(col => col.side === 'both').map(col => col.key);
+    const both = state.leftRows.concat(state.rightRows);
+    const numericColumns = common.filter(k => isNumericColumn(both, k));
+    return {
+      keyColumns: state.diff.keyColumns.slice(),
+      columns: common,
+      numericColumns,
+      categoryColumns: common.filter(k => numericColumns.indexOf(k) < 0),
+      summary: Object.assign({}, state.diff.summary)
+    };
+  }
+
+  function setKeyColumns(hostId, keyColumns) {
+    const state = comparisons.get(hostId);
+    if (!state) return null;
+    state.diff = diffRows(state.leftRows, state.rightRows, keyColumns || []);
+    renderResult(state);
+    return describe(state);
+  }
+
+  function setDiffOnly(hostId, diffOnly) {
+    const state = comparisons.get(hostId);
+    if (!state) return;
+    state.diffOnly = !!diffOnly;
+    renderResult(state);
+  }
+
+  // 两次结果按分类列求和后叠放绘制：每个数值列一个坐标系，其中左 / 右两个系列重叠。
+  // ECharts 的 barGap 作用于同一坐标轴上的全部柱状系列，多列共用一个坐标轴时所有柱子会互相遮挡
+  function renderOverlayChart(containerId, hostId, categoryKey, valueKeys) {
+    const state = comparisons.get(hostId);
+    if (!state || !categoryKey || !Array.isArray(valueKeys) || !valueKeys.length) return false;
+
+    const categories = [];
+    const index = new Map();
+    const totals = rows => {
+      const sums = new Map();
+      rows.forEach(row => {
+        const category = displayValue(row[categoryKey]);
+        if (!index.has(category)) {
+          index.set(category, categories.length);
+          categories.push(category);
+        }
+        valueKeys.forEach(k => {
+          const n = toNumber(row[k]);
+          if (isNaN(n)) return;
+          const cellKey = `${category}\u0001${k}`;
+          sums.set(cellKey, (sums.get(cellKey) || 0) + n);
+        });
+      });
+      return sums;
+    };
+    const sides = [
+      { label: state.leftLabel, sums: totals(state.leftRows) },
+      { label: state.rightLabel, sums: totals(state.rightRows) }
+    ];
+
+    const formatNumber = value => window.localeInterop.formatNumber(value);
+    const multiple = valueKeys.length > 1;
+    const grid = [];
+    const xAxis = [];
+    const yAxis = [];
+    const series = [];
+    valueKeys.forEach((k, axisIndex) => {
+      grid.push(multiple
+        ? { left: 50, right: 30, top: OVERLAY_LEGEND_HEIGHT + axisIndex * OVERLAY_PANEL_HEIGHT + 10, height: OVERLAY_PANEL_HEIGHT - 30, containLabel: true }
+        : { left: 50, right: 30, top: 50, bottom: 50, containLabel: true });
+      xAxis.push({
+        type: 'category',
+        gridIndex: axisIndex,
+        data: categories,
+        axisLabel: { interval: 'auto', rotate: categories.length > 10 ? 45 : 0 }
+      });
+      yAxis.push({
+        type: 'value',
+        gridIndex: axisIndex,
+        name: multiple ? k : undefined,
+        axisLabel: { formatter: value => window.localeInterop.formatNumber(value, { compact: true }) }
+      });
+      sides.forEach((side, sideIndex) => {
+        series.push({
+          name: multiple ? `${k} · ${side.label}` : side.label,
+          type: 'bar',
+          xAxisIndex: axisIndex,
+          yAxisIndex: axisIndex,
+          // 右侧（新结果）半透明叠放在左侧之上，差异一目了然
+          barGap: '-100%',
+          itemStyle: sideIndex === 1 ? { opacity: 0.65 } : undefined,
+          data: categories.map(category => {
+            const value = side.sums.get(`${category}\u0001${k}`);
+            return value === undefined ? null : value;
+          })
+        });
+      });
+    });
+
+    // 单列时沿用样式表中的高度，多列时按坐标系个数撑高容器
+    const container = document.getElementById(containerId);
+    if (container) {
+      container.style.height = multiple ? `${OVERLAY_LEGEND_HEIGHT + valueKeys.length * OVERLAY_PANEL_HEIGHT + 10}px` : '';
+    }
+
+    window.echartsInterop.renderOption(containerId, {
+      tooltip: { trigger: 'axis', axisPointer: { type: 'shadow' }, valueFormatter: value => formatNumber(value) },
+      legend: { type: 'scroll', top: 10 },
+      grid,
+      xAxis,
+      yAxis,
+      series
+    });
+    return true;
+  }
+
+  function dispose(hostId) {
+    const state = comparisons.get(hostId);
+    if (!state) return;
+    if (state.els) state.els.root.remove();
+    comparisons.delete(hostId);
+  }
+
+  // Public API
+  return {
+    diffSql,
+    diffRows,
+    suggestKeyColumns,
+    render,
+    setKeyColumns,
+    setDiffOnly,
+    renderOverlayChart,
+    dispose
+  };
+})();
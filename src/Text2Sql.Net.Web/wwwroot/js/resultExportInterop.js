@@ -0,0 +1,324 @@
+// Client-side export of query results (CSV / XLSX / JSON) for Blazor
+// Exposes: exportCsv, exportXlsx, exportJson, toCsv, buildFileName
+
+window.resultExportInterop = (function () {
+  const DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+  const INVALID_FILE_CHARS = /[\\/:*?"<>|\r\n\t]+/g;
+  const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+  const MAX_NAME_LENGTH = 40;
+  const UTF8_BOM = '\uFEFF';
+
+  const MIME_TYPES = {
+    csv: 'text/csv;charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    json: 'application/json;charset=utf-8'
+  };
+
+  function isNullish(v) {
+    return v === null || v === undefined;
+  }
+
+  // 列顺序以首行为准，后续行出现的新列追加在末尾
+  function getColumnKeys(rows) {
+    const keys = [];
+    const seen = new Set();
+    (rows || []).forEach(row => {
+      Object.keys(row || {}).forEach(k => {
+        if (!seen.has(k)) {
+          seen.add(k);
+          keys.push(k);
+        }
+      });
+    });
+    return keys;
+  }
+
+  function toText(v) {
+    if (isNullish(v)) return '';
+    if (typeof v === 'object') return JSON.stringify(v);
+    return String(v);
+  }
+
+  function pad2(n) {
+    return n < 10 ? '0' + n : String(n);
+  }
+
+  // 文件名：问题摘要_yyyyMMdd_HHmmss.ext
+  function buildFileName(question, extension, date) {
+    const d = date || new Date();
+    let name = String(question || '').replace(INVALID_FILE_CHARS, ' ').replace(/\s+/g, ' ').trim();
+    name = name.replace(/^\.+|\.+$/g, '');
+    if (name.length > MAX_NAME_LENGTH) name = name.slice(0, MAX_NAME_LENGTH).trim();
+    if (!name) name = '查询结果';
+    const stamp = `${d.getFullYear()}${pad2(d.getMonth() + 1)}${pad2(d.getDate())}_${pad2(d.getHours())}${pad2(d.getMinutes())}${pad2(d.getSeconds())}`;
+    return `${name}_${stamp}.${extension}`;
+  }
+
+  function download(content, fileName, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // ---------- CSV (RFC 4180) ----------
+
+  function escapeCsvField(v) {
+    const text = toText(v);
+    return /[",\r\n]/.test(text) || /^\s|\s$/.test(text)
+      ? `"${text.replace(/"/g, '""')}"`
+      : text;
+  }
+
+  function toCsv(rows) {
+    const keys = getColumnKeys(rows);
+    if (keys.length === 0) return '';
+    const lines = [keys.map(escapeCsvField).join(',')];
+    (rows || []).forEach(row => {
+      lines.push(keys.map(k => escapeCsvField(row ? row[k] : null)).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  function exportCsv(rows, question) {
+    download(UTF8_BOM + toCsv(rows), buildFileName(question, 'csv'), MIME_TYPES.csv);
+  }
+
+  // ---------- JSON ----------
+
+  function exportJson(rows, question) {
+    download(JSON.stringify(rows || [], null, 2), buildFileName(question, 'json'), MIME_TYPES.json);
+  }
+
+  // ---------- XLSX ----------
+
+  function escapeXml(text) {
+    return String(text)
+      .replace(INVALID_XML_CHARS, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function columnName(index) {
+    let name = '';
+    let n = index + 1;
+    while (n > 0) {
+      const rem = (n - 1) % 26;
+      name = String.fromCharCode(65 + rem) + name;
+      n = Math.floor((n - 1) / 26);
+    }
+    return name;
+  }
+
+  // 日期时间字符串 → Excel 序列值（按本地时间，不做时区换算）
+  function toExcelDate(text) {
+    const m = DATE_TIME_PATTERN.exec(text);
+    if (!m) return null;
+    const [, y, mo, d, h, mi, s] = m;
+    const utc = Date.UTC(+y, +mo - 1, +d, +(h || 0), +(mi || 0), +(s || 0));
+    if (isNaN(utc)) return null;
+    const hasTime = !!(+(h || 0) || +(mi || 0) || +(s || 0));
+    return { serial: utc / 86400000 + 25569, hasTime };
+  }
+
+  // 样式索引：0 常规、1 日期、2 日期时间、3 表头
+  const XLSX_STYLES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>' +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="4">' +
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+    '</cellXfs>' +
+    '</styleSheet>';
+
+  function toCellXml(ref, v, style) {
+    if (isNullish(v)) return '';
+    if (typeof v === 'number' && isFinite(v)) {
+      return `<c r="${ref}"${style ? ` s="${style}"` : ''}><v>${v}</v></c>`;
+    }
+    if (typeof v === 'boolean') {
+      return `<c r="${ref}" t="b"><v>${v ? 1 : 0}</v></c>`;
+    }
+    if (typeof v === 'string' && !style) {
+      const date = toExcelDate(v.trim());
+      if (date) {
+        return `<c r="${ref}" s="${date.hasTime ? 2 : 1}"><v>${date.serial}</v></c>`;
+      }
+    }
+    return `<c r="${ref}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${escapeXml(toText(v))}</t></is></c>`;
+  }
+
+  function buildSheetXml(rows) {
+    const keys = getColumnKeys(rows);
+    const refs = keys.map((_, i) => columnName(i));
+    const parts = [];
+
+    parts.push('<row r="1">' + keys.map((k, i) => toCellXml(`${refs[i]}1`, k, 3)).join('') + '</row>');
+    (rows || []).forEach((row, r) => {
+      const rowNum = r + 2;
+      const cells = keys.map((k, i) => toCellXml(`${refs[i]}${rowNum}`, row ? row[k] : null)).join('');
+      parts.push(`<row r="${rowNum}">${cells}</row>`);
+    });
+
+    const cols = keys.length
+      ? '<cols>' + keys.map((_, i) => `<col min="${i + 1}" max="${i + 1}" width="18" customWidth="1"/>`).join('') + '</cols>'
+      : '';
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+      cols +
+      '<sheetData>' + parts.join('') + '</sheetData>' +
+      '</worksheet>';
+  }
+
+  function buildXlsxFiles(rows) {
+    return [
+      {
+        name: '[Content_Types].xml',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+          '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+          '<Default Extension="xml" ContentType="application/xml"/>' +
+          '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+          '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+          '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+          '</Types>'
+      },
+      {
+        name: '_rels/.rels',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+          '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+          '</Relationships>'
+      },
+      {
+        name: 'xl/workbook.xml',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+          '<sheets><sheet name="查询结果" sheetId="1" r:id="rId1"/></sheets>' +
+          '</workbook>'
+      },
+      {
+        name: 'xl/_rels/workbook.xml.rels',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+          '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+          '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+          '</Relationships>'
+      },
+      { name: 'xl/styles.xml', content: XLSX_STYLES },
+      { name: 'xl/worksheets/sheet1.xml', content: buildSheetXml(rows) }
+    ];
+  }
+
+  // ---------- ZIP（仅存储，不压缩） ----------
+
+  const CRC_TABLE = (function () {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  function toDosDateTime(d) {
+    return {
+      time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+      date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+    };
+  }
+
+  function buildZip(files) {
+    const encoder = new TextEncoder();
+    const { time, date } = toDosDateTime(new Date());
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(file => {
+      const name = encoder.encode(file.name);
+      const data = encoder.encode(file.content);
+      const crc = crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true); // 文件名为 UTF-8
+      local.setUint16(8, 0, true);
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+      chunks.push(new Uint8Array(local.buffer), name, data);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(10, 0, true);
+      entry.setUint16(12, time, true);
+      entry.setUint16(14, date, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, data.length, true);
+      entry.setUint32(24, data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+      central.push(new Uint8Array(entry.buffer), name);
+
+      offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = central.reduce((sum, c) => sum + c.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob(chunks.concat(central, [new Uint8Array(end.buffer)]), { type: MIME_TYPES.xlsx });
+  }
+
+  function exportXlsx(rows, question) {
+    download(buildZip(buildXlsxFiles(rows)), buildFileName(question, 'xlsx'), MIME_TYPES.xlsx);
+  }
+
+  // Public API
+  return {
+    exportCsv,
+    exportXlsx,
+    exportJson,
+    toCsv,
+    buildFileName
+  };
+})();
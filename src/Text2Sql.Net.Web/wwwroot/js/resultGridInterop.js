@@ -0,0 +1,643 @@
+// Virtualized result grid for Blazor: multi-column sort, per-column filters, global search,
+// resizable / reorderable columns and type-aware formatting
+// Exposes: render, getViewRows, dispose, disposeAll
+
+window.resultGridInterop = (function () {
+  const grids = new Map(); // containerId -> grid state
+  const ROW_HEIGHT = 28;
+  const OVERSCAN = 8;
+  const DEFAULT_HEIGHT = 320;
+  const MIN_COLUMN_WIDTH = 60;
+  const MAX_AUTO_WIDTH = 320;
+  const WIDTH_SAMPLE_SIZE = 50;
+  const SEARCH_DEBOUNCE_MS = 200;
+
+  const collator = new Intl.Collator('zh-CN', { numeric: true, sensitivity: 'base' });
+  const numberFormat = new Intl.NumberFormat('zh-CN', { maximumFractionDigits: 6 });
+  const plainNumberFormat = new Intl.NumberFormat('zh-CN', { maximumFractionDigits: 6, useGrouping: false });
+
+  const NULL_FILTERS = [
+    { value: 'all', label: '全部' },
+    { value: 'null', label: '仅空值' },
+    { value: 'notnull', label: '非空值' }
+  ];
+
+  function getContainer(containerId) {
+    const el = document.getElementById(containerId);
+    if (!el) throw new Error(`container not found: ${containerId}`);
+    return el;
+  }
+
+  function isNullish(v) {
+    return v === null || v === undefined || (typeof v === 'object' && Object.keys(v).length === 0);
+  }
+
+  function toNumber(v) {
+    if (typeof v === 'number') return isFinite(v) ? v : null;
+    if (typeof v === 'string' && v.trim() !== '') {
+      const n = Number(v);
+      return isFinite(n) ? n : null;
+    }
+    return null;
+  }
+
+  // 日期解析与图表共用 echartsInterop.toTimestamp（纯日期按本地时间解析）
+  function toTimestamp(v) {
+    if (typeof v !== 'string') return null;
+    const t = window.echartsInterop.toTimestamp(v);
+    return isNaN(t) ? null : t;
+  }
+
+  function toBoolean(v) {
+    return v === true || (typeof v === 'string' && v.trim().toLowerCase() === 'true');
+  }
+
+  function createElement(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+  }
+
+  function listen(grid, target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    grid.listeners.push(() => target.removeEventListener(type, handler, options));
+  }
+
+  // ---------- Columns ----------
+
+  // 列类型沿用图表的列画像（echartsInterop.profileColumns），表格与图表对同一结果的判断保持一致
+  function detectColumns(rows) {
+    const charts = window.echartsInterop;
+    const columns = new Map();
+    charts.profileColumns(rows).forEach(profile => {
+      let kind = 'text';
+      if (profile.kind === 'numeric' || profile.kind === 'temporal' || profile.kind === 'boolean') {
+        kind = profile.kind;
+      } else if (profile.kind === 'identifier') {
+        // 标识列：整数 ID 按数值对齐和排序，GUID 按文本
+        const sample = rows.find(row => row && !isNullish(row[profile.key]));
+        kind = sample && toNumber(sample[profile.key]) !== null ? 'numeric' : 'text';
+      }
+      columns.set(profile.key, {
+        key: profile.key,
+        kind,
+        grouping: kind === 'numeric' && profile.kind !== 'identifier' && !charts.isIdentifierName(profile.key),
+        sortKeys: null
+      });
+    });
+    return columns;
+  }
+
+  function formatDate(text) {
+    const d = new Date(toTimestamp(text));
+    const pad = n => (n < 10 ? '0' + n : String(n));
+    const date = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+    if (d.getHours() === 0 && d.getMinutes() === 0 && d.getSeconds() === 0) return date;
+    return `${date} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+  }
+
+  // 单元格显示文本
+  function formatValue(column, v) {
+    if (isNullish(v)) return null;
+    switch (column.kind) {
+      case 'numeric': {
+        const n = toNumber(v);
+        return n === null ? String(v) : (column.grouping ? numberFormat : plainNumberFormat).format(n);
+      }
+      case 'temporal':
+        return toTimestamp(v) === null ? String(v) : formatDate(v);
+      case 'boolean':
+        return toBoolean(v) ? '是' : '否';
+      default:
+        return typeof v === 'object' ? JSON.stringify(v) : String(v);
+    }
+  }
+
+  function estimateWidth(grid, column) {
+    let chars = column.key.length + 3;
+    const limit = Math.min(grid.rows.length, WIDTH_SAMPLE_SIZE);
+    for (let i = 0; i < limit; i++) {
+      const text = formatValue(column, grid.rows[i][column.key]);
+      if (text && text.length > chars) chars = text.length;
+    }
+    return Math.max(MIN_COLUMN_WIDTH, Math.min(MAX_AUTO_WIDTH, chars * 8 + 24));
+  }
+
+  // ---------- Pipeline ----------
+
+  function getSortKeys(grid, column) {
+    if (!column.sortKeys) {
+      column.sortKeys = grid.rows.map(row => {
+        const v = row ? row[column.key] : null;
+        if (isNullish(v)) return null;
+        if (column.kind === 'numeric') return toNumber(v);
+        if (column.kind === 'temporal') return toTimestamp(v);
+        if (column.kind === 'boolean') return toBoolean(v) ? 1 : 0;
+        return typeof v === 'object' ? JSON.stringify(v) : String(v);
+      });
+    }
+    return column.sortKeys;
+  }
+
+  function getSearchText(grid) {
+    if (!grid.searchText) {
+      const columns = Array.from(grid.columns.values());
+      grid.searchText = grid.rows.map(row =>
+        columns.map(c => formatValue(c, row ? row[c.key] : null) || '').join('\u0001').toLowerCase());
+    }
+    return grid.searchText;
+  }
+
+  function parseBound(column, text) {
+    if (text === '' || text === undefined || text === null) return null;
+    return column.kind === 'temporal' ? toTimestamp(String(text).trim()) : toNumber(text);
+  }
+
+  function matchesFilter(column, filter, v) {
+    const empty = isNullish(v) || v === '';
+    if (filter.nulls === 'null') return empty;
+    if (filter.nulls === 'notnull' && empty) return false;
+
+    if (filter.contains) {
+      if (empty) return false;
+      const text = (formatValue(column, v) || '').toLowerCase();
+      if (text.indexOf(filter.contains.toLowerCase()) < 0 && String(v).toLowerCase().indexOf(filter.contains.toLowerCase()) < 0) {
+        return false;
+      }
+    }
+
+    const min = parseBound(column, filter.min);
+    const max = parseBound(column, filter.max);
+    if (min !== null || max !== null) {
+      if (empty) return false;
+      const n = column.kind === 'temporal' ? toTimestamp(v) : toNumber(v);
+      if (n === null) return false;
+      if (min !== null && n < min) return false;
+      if (max !== null && n > max) return false;
+    }
+    return true;
+  }
+
+  function isFilterActive(filter) {
+    return !!filter && (filter.nulls !== 'all' || !!filter.contains ||
+      (filter.min !== '' && filter.min !== undefined) || (filter.max !== '' && filter.max !== undefined));
+  }
+
+  function compareKeys(a, b) {
+    // 空值总是排在最后
+    if (a === null && b === null) return 0;
+    if (a === null) return 1;
+    if (b === null) return -1;
+    if (typeof a === 'string' || typeof b === 'string') return collator.compare(String(a), String(b));
+    return a - b;
+  }
+
+  function applyView(grid) {
+    const rows = grid.rows;
+    let view = [];
+    const activeFilters = Array.from(grid.filters.entries()).filter(([, f]) => isFilterActive(f));
+
+    for (let i = 0; i < rows.length; i++) {
+      const row = rows[i] || {};
+      let ok = true;
+      for (const [key, filter] of activeFilters) {
+        if (!matchesFilter(grid.columns.get(key), filter, row[key])) {
+          ok = false;
+          break;
+        }
+      }
+      if (ok) view.push(i);
+    }
+
+    const term = grid.search.trim().toLowerCase();
+    if (term) {
+      const text = getSearchText(grid);
+      view = view.filter(i => text[i].indexOf(term) >= 0);
+    }
+
+    if (grid.sort.length) {
+      const keys = grid.sort.map(s => ({ keys: getSortKeys(grid, grid.columns.get(s.key)), dir: s.dir === 'desc' ? -1 : 1 }));
+      view.sort((a, b) => {
+        for (const s of keys) {
+          const ka = s.keys[a];
+          const kb = s.keys[b];
+          // 空值无论升降序都排在最后
+          const c = ka === null || kb === null ? compareKeys(ka, kb) : compareKeys(ka, kb) * s.dir;
+          if (c !== 0) return c;
+        }
+        return a - b;
+      });
+    }
+
+    grid.view = view;
+    grid.els.spacer.style.height = `${view.length * ROW_HEIGHT}px`;
+    renderHeader(grid);
+    renderRows(grid);
+    renderStatus(grid);
+  }
+
+  // ---------- Rendering ----------
+
+  function totalWidth(grid) {
+    return grid.order.reduce((sum, key) => sum + grid.widths[key], 0);
+  }
+
+  function renderStatus(grid) {
+    const total = grid.rows.length;
+    const shown = grid.view.length;
+    grid.els.status.textContent = shown === total ? `共 ${total} 行` : `筛选后 ${shown} / ${total} 行`;
+    const dirty = grid.sort.length > 0 || grid.search.trim() !== '' ||
+      Array.from(grid.filters.values()).some(isFilterActive);
+    grid.els.reset.style.visibility = dirty ? 'visible' : 'hidden';
+  }
+
+  function renderHeader(grid) {
+    const headerRow = grid.els.headerRow;
+    headerRow.replaceChildren();
+    headerRow.style.width = `${totalWidth(grid)}px`;
+
+    grid.order.forEach(key => {
+      const column = grid.columns.get(key);
+      const cell = createElement('div', `result-grid-header-cell result-grid-${column.kind}`);
+      cell.style.width = `${grid.widths[key]}px`;
+      cell.draggable = true;
+      cell.dataset.key = key;
+      cell.title = `${key}（点击排序，Shift+点击多列排序，拖动调整列顺序）`;
+
+      cell.appendChild(createElement('span', 'result-grid-header-label', key));
+
+      const sortIndex = grid.sort.findIndex(s => s.key === key);
+      if (sortIndex >= 0) {
+        const s = grid.sort[sortIndex];
+        const text = (s.dir === 'asc' ? '▲' : '▼') + (grid.sort.length > 1 ? String(sortIndex + 1) : '');
+        cell.appendChild(createElement('span', 'result-grid-sort', text));
+      }
+
+      const filterButton = createElement('span', 'result-grid-filter-button', '⏷');
+      filterButton.title = '筛选';
+      if (isFilterActive(grid.filters.get(key))) filterButton.classList.add('active');
+      filterButton.dataset.action = 'filter';
+      cell.appendChild(filterButton);
+
+      const handle = createElement('span', 'result-grid-resize-handle');
+      handle.dataset.action = 'resize';
+      cell.appendChild(handle);
+
+      headerRow.appendChild(cell);
+    });
+  }
+
+  function renderRows(grid) {
+    const viewport = grid.els.viewport;
+    const height = viewport.clientHeight || grid.height;
+    const first = Math.max(0, Math.floor(viewport.scrollTop / ROW_HEIGHT) - OVERSCAN);
+    const last = Math.min(grid.view.length, Math.ceil((viewport.scrollTop + height) / ROW_HEIGHT) + OVERSCAN);
+    const width = totalWidth(grid);
+    const columns = grid.order.map(key => grid.columns.get(key));
+
+    const fragment = document.createDocumentFragment();
+    for (let i = first; i < last; i++) {
+      const rowIndex = grid.view[i];
+      const data = grid.rows[rowIndex] || {};
+      const row = createElement('div', i % 2 ? 'result-grid-row result-grid-row-odd' : 'result-grid-row');
+      row.style.top = `${i * ROW_HEIGHT}px`;
+      row.style.width = `${width}px`;
+
+      columns.forEach(column => {
+        const text = formatValue(column, data[column.key]);
+        const cell = createElement('div', `result-grid-cell result-grid-${column.kind}`);
+        cell.style.width = `${grid.widths[column.key]}px`;
+        if (text === null) {
+          cell.classList.add('result-grid-null');
+          cell.textContent = 'NULL';
+        } else {
+          cell.textContent = text;
+          cell.title = text;
+        }
+        row.appendChild(cell);
+      });
+      fragment.appendChild(row);
+    }
+    grid.els.rows.replaceChildren(fragment);
+    grid.els.rows.style.width = `${width}px`;
+  }
+
+  function scheduleRows(grid) {
+    if (grid.frame) return;
+    grid.frame = requestAnimationFrame(() => {
+      grid.frame = 0;
+      renderRows(grid);
+    });
+  }
+
+  // ---------- Filter popover ----------
+
+  function closeFilter(grid) {
+    if (grid.els.filter) {
+      grid.els.filter.remove();
+      grid.els.filter = null;
+    }
+  }
+
+  function openFilter(grid, key, anchor) {
+    closeFilter(grid);
+    const column = grid.columns.get(key);
+    const current = grid.filters.get(key) || { nulls: 'all', contains: '', min: '', max: '' };
+    const panel = createElement('div', 'result-grid-filter');
+    panel.appendChild(createElement('div', 'result-grid-filter-title', key));
+
+    let containsInput = null;
+    let minInput = null;
+    let maxInput = null;
+
+    if (column.kind === 'numeric' || column.kind === 'temporal') {
+      const placeholder = column.kind === 'temporal' ? 'yyyy-mm-dd' : '';
+      minInput = createElement('input', 'result-grid-filter-input');
+      minInput.placeholder = `最小值 ${placeholder}`.trim();
+      minInput.value = current.min || '';
+      maxInput = createElement('input', 'result-grid-filter-input');
+      maxInput.placeholder = `最大值 ${placeholder}`.trim();
+      maxInput.value = current.max || '';
+      panel.append(minInput, maxInput);
+    } else {
+      containsInput = createElement('input', 'result-grid-filter-input');
+      containsInput.placeholder = '包含文本';
+      containsInput.value = current.contains || '';
+      panel.appendChild(containsInput);
+    }
+
+    const nullSelect = createElement('select', 'result-grid-filter-input');
+    NULL_FILTERS.forEach(o => {
+      const option = createElement('option', null, o.label);
+      option.value = o.value;
+      nullSelect.appendChild(option);
+    });
+    nullSelect.value = current.nulls || 'all';
+    panel.appendChild(nullSelect);
+
+    const actions = createElement('div', 'result-grid-filter-actions');
+    const reset = createElement('button', 'result-grid-button', '重置');
+    const apply = createElement('button', 'result-grid-button result-grid-button-primary', '确定');
+    actions.append(reset, apply);
+    panel.appendChild(actions);
+
+    const commit = filter => {
+      if (isFilterActive(filter)) grid.filters.set(key, filter);
+      else grid.filters.delete(key);
+      closeFilter(grid);
+      applyView(grid);
+    };
+    apply.addEventListener('click', () => commit({
+      nulls: nullSelect.value,
+      contains: containsInput ? containsInput.value.trim() : '',
+      min: minInput ? minInput.value.trim() : '',
+      max: maxInput ? maxInput.value.trim() : ''
+    }));
+    reset.addEventListener('click', () => commit(null));
+    panel.addEventListener('keydown', e => {
+      if (e.key === 'Enter') apply.click();
+      if (e.key === 'Escape') closeFilter(grid);
+    });
+
+    const rootRect = grid.els.root.getBoundingClientRect();
+    const anchorRect = anchor.getBoundingClientRect();
+    panel.style.top = `${anchorRect.bottom - rootRect.top}px`;
+    panel.style.left = `${Math.max(0, Math.min(anchorRect.left - rootRect.left, rootRect.width - 220))}px`;
+    grid.els.root.appendChild(panel);
+    grid.els.filter = panel;
+    const first = panel.querySelector('input, select');
+    if (first) first.focus();
+  }
+
+  // ---------- Interaction ----------
+
+  function toggleSort(grid, key, multi) {
+    const index = grid.sort.findIndex(s => s.key === key);
+    const current = index >= 0 ? grid.sort[index] : null;
+    const next = !current ? 'asc' : current.dir === 'asc' ? 'desc' : null;
+
+    if (!multi) {
+      grid.sort = next ? [{ key, dir: next }] : [];
+    } else if (!current) {
+      grid.sort.push({ key, dir: next });
+    } else if (next) {
+      current.dir = next;
+    } else {
+      grid.sort.splice(index, 1);
+    }
+    applyView(grid);
+  }
+
+  function startResize(grid, key, startX) {
+    const startWidth = grid.widths[key];
+    const onMove = e => {
+      grid.widths[key] = Math.max(MIN_COLUMN_WIDTH, startWidth + e.clientX - startX);
+      const cell = grid.els.headerRow.querySelector(`[data-key="${CSS.escape(key)}"]`);
+      if (cell) cell.style.width = `${grid.widths[key]}px`;
+      grid.els.headerRow.style.width = `${totalWidth(grid)}px`;
+      scheduleRows(grid);
+    };
+    const onUp = () => {
+      document.removeEventListener('mousemove', onMove);
+      document.removeEventListener('mouseup', onUp);
+      grid.resizing = null;
+    };
+    document.addEventListener('mousemove', onMove);
+    document.addEventListener('mouseup', onUp);
+    grid.resizing = onUp;
+  }
+
+  function moveColumn(grid, key, targetKey, after) {
+    if (key === targetKey) return;
+    const order = grid.order.filter(k => k !== key);
+    const index = order.indexOf(targetKey);
+    order.splice(after ? index + 1 : index, 0, key);
+    grid.order = order;
+    renderHeader(grid);
+    renderRows(grid);
+  }
+
+  function bindEvents(grid) {
+    const { headerRow, viewport, search, reset, root } = grid.els;
+
+    listen(grid, viewport, 'scroll', () => {
+      headerRow.style.transform = `translateX(${-viewport.scrollLeft}px)`;
+      closeFilter(grid);
+      scheduleRows(grid);
+    }, { passive: true });
+
+    listen(grid, headerRow, 'mousedown', e => {
+      const target = e.target;
+      if (target.dataset.action !== 'resize') return;
+      e.preventDefault(); // 阻止触发拖动列
+      e.stopPropagation();
+      startResize(grid, target.parentNode.dataset.key, e.clientX);
+    });
+
+    listen(grid, headerRow, 'click', e => {
+      const cell = e.target.closest('.result-grid-header-cell');
+      if (!cell) return;
+      const action = e.target.dataset.action;
+      if (action === 'resize') return;
+      if (action === 'filter') {
+        e.stopPropagation();
+        if (grid.els.filter && grid.els.filter.dataset.key === cell.dataset.key) {
+          closeFilter(grid);
+        } else {
+          openFilter(grid, cell.dataset.key, cell);
+          grid.els.filter.dataset.key = cell.dataset.key;
+        }
+        return;
+      }
+      toggleSort(grid, cell.dataset.key, e.shiftKey);
+    });
+
+    listen(grid, headerRow, 'dragstart', e => {
+      const cell = e.target.closest('.result-grid-header-cell');
+      if (!cell) return;
+      grid.dragKey = cell.dataset.key;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', grid.dragKey);
+    });
+    listen(grid, headerRow, 'dragover', e => {
+      if (grid.dragKey) e.preventDefault();
+    });
+    listen(grid, headerRow, 'drop', e => {
+      const cell = e.target.closest('.result-grid-header-cell');
+      if (!cell || !grid.dragKey) return;
+      e.preventDefault();
+      const rect = cell.getBoundingClientRect();
+      moveColumn(grid, grid.dragKey, cell.dataset.key, e.clientX > rect.left + rect.width / 2);
+      grid.dragKey = null;
+    });
+    listen(grid, headerRow, 'dragend', () => { grid.dragKey = null; });
+
+    listen(grid, search, 'input', () => {
+      clearTimeout(grid.searchTimer);
+      grid.searchTimer = setTimeout(() => {
+        grid.search = search.value;
+        viewport.scrollTop = 0;
+        applyView(grid);
+      }, SEARCH_DEBOUNCE_MS);
+    });
+
+    listen(grid, reset, 'click', () => {
+      grid.sort = [];
+      grid.filters.clear();
+      grid.search = '';
+      search.value = '';
+      closeFilter(grid);
+      applyView(grid);
+    });
+
+    listen(grid, document, 'mousedown', e => {
+      if (grid.els.filter && !grid.els.filter.contains(e.target) && !e.target.closest('.result-grid-filter-button')) {
+        closeFilter(grid);
+      }
+    });
+
+    if (typeof ResizeObserver !== 'undefined') {
+      grid.observer = new ResizeObserver(() => scheduleRows(grid));
+      grid.observer.observe(root);
+    }
+  }
+
+  /**
+   * 在容器中渲染结果表格
+   * rows: List<Dictionary<string, object>> from .NET
+   * options: { height }
+   */
+  function render(containerId, rows, options) {
+    dispose(containerId);
+
+    const opts = options || {};
+    const container = getContainer(containerId);
+    const data = Array.isArray(rows) ? rows : [];
+    const height = opts.height || DEFAULT_HEIGHT;
+
+    const root = createElement('div', 'result-grid');
+    const toolbar = createElement('div', 'result-grid-toolbar');
+    const search = createElement('input', 'result-grid-search');
+    search.type = 'search';
+    search.placeholder = '搜索全部列...';
+    const status = createElement('span', 'result-grid-status');
+    const reset = createElement('button', 'result-grid-button', '清除排序和筛选');
+    toolbar.append(search, status, reset);
+
+    const header = createElement('div', 'result-grid-header');
+    const headerRow = createElement('div', 'result-grid-header-row');
+    header.appendChild(headerRow);
+
+    const viewport = createElement('div', 'result-grid-viewport');
+    viewport.style.height = `${height}px`;
+    const spacer = createElement('div', 'result-grid-spacer');
+    const rowsLayer = createElement('div', 'result-grid-rows');
+    viewport.append(spacer, rowsLayer);
+
+    root.append(toolbar, header, viewport);
+    container.appendChild(root);
+
+    const grid = {
+      rows: data,
+      columns: detectColumns(data),
+      order: [],
+      widths: {},
+      sort: [],
+      filters: new Map(),
+      search: '',
+      view: [],
+      height,
+      searchText: null,
+      searchTimer: null,
+      frame: 0,
+      dragKey: null,
+      resizing: null,
+      observer: null,
+      listeners: [],
+      els: { root, search, status, reset, header, headerRow, viewport, spacer, rows: rowsLayer, filter: null }
+    };
+    grid.order = Array.from(grid.columns.keys());
+    grid.columns.forEach(column => { grid.widths[column.key] = estimateWidth(grid, column); });
+
+    grids.set(containerId, grid);
+    bindEvents(grid);
+    applyView(grid);
+  }
+
+  // 当前排序/筛选后的行，供导出等功能使用
+  function getViewRows(containerId) {
+    const grid = grids.get(containerId);
+    if (!grid) return null;
+    return grid.view.map(i => {
+      const source = grid.rows[i] || {};
+      const row = {};
+      grid.order.forEach(key => { row[key] = source[key]; });
+      return row;
+    });
+  }
+
+  function dispose(containerId) {
+    const grid = grids.get(containerId);
+    if (!grid) return;
+    grid.listeners.forEach(off => off());
+    if (grid.resizing) grid.resizing();
+    if (grid.observer) grid.observer.disconnect();
+    if (grid.frame) cancelAnimationFrame(grid.frame);
+    clearTimeout(grid.searchTimer);
+    grid.els.root.remove();
+    grids.delete(containerId);
+  }
+
+  function disposeAll() {
+    Array.from(grids.keys()).forEach(dispose);
+  }
+
+  // Public API
+  return {
+    render,
+    getViewRows,
+    dispose,
+    disposeAll
+  };
+})();
@@ -0,0 +1,196 @@
+// Entity-relationship graph of trained tables, rendered with relation-graph (Vue 2) for Blazor
+// Exposes: render, fullscreen, exportPng, dispose
+
+window.schemaGraphInterop = (function () {
+  const instances = new Map(); // containerId -> { vm, dotNetRef }
+  const MAX_VISIBLE_COLUMNS = 12;
+
+  function getContainer(containerId) {
+    const el = document.getElementById(containerId);
+    if (!el) throw new Error(`container not found: ${containerId}`);
+    return el;
+  }
+
+  function getGraph(containerId) {
+    const entry = instances.get(containerId);
+    if (!entry) return null;
+    const graphRef = entry.vm.$refs.graph;
+    return graphRef ? graphRef.getInstance() : null;
+  }
+
+  // tables: List<TableInfo> from .NET → { tableName, description, columns[], foreignKeys[] }
+  function toJsonData(tables) {
+    const nodes = [];
+    const lines = [];
+    const known = new Set((tables || []).map(t => t.tableName));
+
+    (tables || []).forEach(table => {
+      const fkColumns = new Set((table.foreignKeys || []).map(fk => fk.columnName));
+      nodes.push({
+        id: table.tableName,
+        text: table.tableName,
+        data: {
+          description: table.description || '',
+          columns: (table.columns || []).map(c => ({
+            name: c.columnName,
+            dataType: c.dataType || '',
+            isPrimaryKey: !!c.isPrimaryKey,
+            isForeignKey: fkColumns.has(c.columnName),
+            isEnable: c.isEnable !== false
+          }))
+        }
+      });
+    });
+
+    (tables || []).forEach(table => {
+      (table.foreignKeys || []).forEach(fk => {
+        if (!fk.referencedTableName) return;
+        // 引用了未训练的表时补一个占位节点，避免连线悬空
+        if (!known.has(fk.referencedTableName)) {
+          known.add(fk.referencedTableName);
+          nodes.push({
+            id: fk.referencedTableName,
+            text: fk.referencedTableName,
+            data: { external: true, description: '', columns: [] }
+          });
+        }
+        lines.push({
+          from: table.tableName,
+          to: fk.referencedTableName,
+          text: `${fk.columnName} → ${fk.referencedColumnName}`,
+          data: { foreignKeyName: fk.foreignKeyName, relationship: fk.relationshipDescription }
+        });
+      });
+    });
+
+    return { rootId: nodes.length ? nodes[0].id : undefined, nodes, lines };
+  }
+
+  function renderNode(h, node) {
+    const data = node.data || {};
+    const columns = data.columns || [];
+    const visible = columns.slice(0, MAX_VISIBLE_COLUMNS);
+
+    const rows = visible.map(c => h('div', {
+      class: ['schema-graph-column', c.isEnable ? '' : 'schema-graph-column-disabled']
+    }, [
+      h('span', { class: 'schema-graph-column-flag' }, c.isPrimaryKey ? 'PK' : (c.isForeignKey ? 'FK' : '')),
+      h('span', { class: 'schema-graph-column-name' }, c.name),
+      h('span', { class: 'schema-graph-column-type' }, c.dataType)
+    ]));
+
+    if (columns.length > visible.length) {
+      rows.push(h('div', { class: 'schema-graph-column schema-graph-column-more' },
+        `… +${columns.length - visible.length}`));
+    }
+
+    return h('div', {
+      class: ['schema-graph-node', data.external ? 'schema-graph-node-external' : ''],
+      attrs: { title: data.description || node.text }
+    }, [
+      h('div', { class: 'schema-graph-node-header' }, node.text),
+      h('div', { class: 'schema-graph-node-body' }, rows)
+    ]);
+  }
+
+  function buildOptions() {
+    return {
+      defaultNodeShape: 1,
+      defaultNodeWidth: 240,
+      defaultNodeBorderWidth: 0,
+      defaultNodeColor: 'transparent',
+      defaultLineShape: 4,
+      defaultJunctionPoint: 'border',
+      defaultLineColor: '#8c8c8c',
+      defaultShowLineLabel: true,
+      allowShowMiniToolBar: true,
+      disableNodeClickEffect: true,
+      layout: {
+        layoutName: 'force',
+        maxLayoutTimes: 300
+      }
+    };
+  }
+
+  function render(containerId, tables, dotNetRef) {
+    if (typeof Vue === 'undefined' || !window.RelationGraph) {
+      throw new Error('relation-graph is not loaded');
+    }
+
+    dispose(containerId);
+
+    const el = getContainer(containerId);
+    const mountPoint = document.createElement('div');
+    mountPoint.style.width = '100%';
+    mountPoint.style.height = '100%';
+    el.appendChild(mountPoint);
+
+    const jsonData = toJsonData(tables);
+    const options = buildOptions();
+
+    const vm = new Vue({
+      el: mountPoint,
+      mounted() {
+        const graphRef = this.$refs.graph;
+        if (!graphRef) return;
+        graphRef.setJsonData(jsonData, () => {
+          try {
+            const graph = graphRef.getInstance();
+            graph.moveToCenter();
+            graph.zoomToFit();
+          } catch (_) { }
+        });
+      },
+      render(h) {
+        return h(window.RelationGraph.default, {
+          ref: 'graph',
+          props: {
+            options,
+            onNodeClick: (node) => {
+              if (!node || (node.data && node.data.external)) return true;
+              if (dotNetRef) {
+                dotNetRef.invokeMethodAsync('OnSchemaTableClick', node.id)
+                  .catch(e => console.error('表节点点击回调失败:', e));
+              }
+              return true;
+            }
+          },
+          scopedSlots: {
+            node: ({ node }) => renderNode(h, node)
+          }
+        });
+      }
+    });
+
+    instances.set(containerId, { vm, dotNetRef });
+  }
+
+  function fullscreen(containerId) {
+    const graph = getGraph(containerId);
+    if (!graph) return;
+    graph.fullscreen();
+  }
+
+  function exportPng(containerId, fileName) {
+    const graph = getGraph(containerId);
+    if (!graph) return;
+    return graph.downloadAsImage('png', fileName || 'schema');
+  }
+
+  function dispose(containerId) {
+    const entry = instances.get(containerId);
+    if (!entry) return;
+    try { entry.vm.$destroy(); } catch (_) { }
+    const el = document.getElementById(containerId);
+    if (el) el.innerHTML = '';
+    instances.delete(containerId);
+  }
+
+  // Public API
+  return {
+    render,
+    fullscreen,
+    exportPng,
+    dispose
+  };
+})();
@@ -0,0 +1,525 @@
+// In-browser SQL editor for Blazor: highlighting, bracket matching, schema-aware autocomplete
+// and unknown-identifier underlining, built on sqlFormatter.tokenize
+// Exposes: create, getValue, setValue, setSchema, focus, dispose
+
+window.sqlEditorInterop = (function () {
+  const editors = new Map(); // containerId -> editor state
+  const MAX_SUGGESTIONS = 50;
+  const CHANGE_DEBOUNCE_MS = 300;
+  const WORD_BEFORE_CARET = /[\w$\u0080-\uFFFF]*$/;
+  const QUALIFIER_BEFORE_DOT = /([\w$\u0080-\uFFFF]+|`[^`]+`|\[[^\]]+\]|"[^"]+")\.[\w$\u0080-\uFFFF]*$/;
+
+  // 非保留字：日期部分、类型名等，出现时不视为未知标识符
+  const NON_RESERVED_WORDS = new Set([
+    'YEAR', 'QUARTER', 'MONTH', 'WEEK', 'DAY', 'HOUR', 'MINUTE', 'SECOND', 'DATE', 'TIME', 'TIMESTAMP',
+    'DATETIME', 'INT', 'INTEGER', 'BIGINT', 'SMALLINT', 'TINYINT', 'DECIMAL', 'NUMERIC', 'FLOAT', 'REAL',
+    'DOUBLE', 'PRECISION', 'CHAR', 'VARCHAR', 'NVARCHAR', 'NCHAR', 'TEXT', 'BOOLEAN', 'BIT', 'SIGNED',
+    'UNSIGNED', 'ZONE', 'EPOCH', 'DOW', 'DOY'
+  ]);
+
+  const MIRROR_PROPERTIES = [
+    'boxSizing', 'width', 'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+    'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft', 'fontFamily', 'fontSize', 'fontWeight',
+    'lineHeight', 'letterSpacing', 'tabSize', 'whiteSpace', 'wordWrap', 'wordBreak'
+  ];
+
+  function getContainer(containerId) {
+    const el = document.getElementById(containerId);
+    if (!el) throw new Error(`container not found: ${containerId}`);
+    return el;
+  }
+
+  function unquote(name) {
+    const m = /^[\[`"](.*)[\]`"]$/.exec(name || '');
+    return (m ? m[1] : name || '').toLowerCase();
+  }
+
+  // ---------- Schema ----------
+
+  // tables: List<TableInfo> from .NET → { tableName, description, columns[] }
+  function buildSchema(tables) {
+    const byName = new Map();
+    const allColumns = new Map();
+    (tables || []).forEach(t => {
+      if (!t || !t.tableName) return;
+      const columns = new Map();
+      (t.columns || []).forEach(c => {
+        if (!c || !c.columnName) return;
+        const column = { name: c.columnName, dataType: c.dataType || '', description: c.description || '' };
+        columns.set(c.columnName.toLowerCase(), column);
+        if (!allColumns.has(c.columnName.toLowerCase())) allColumns.set(c.columnName.toLowerCase(), column);
+      });
+      byName.set(t.tableName.toLowerCase(), { name: t.tableName, description: t.description || '', columns });
+    });
+    return { tables: byName, columns: allColumns };
+  }
+
+  // ---------- Analysis ----------
+
+  // 带偏移量的 token 列表
+  function tokenizeWithOffsets(text, dialect) {
+    let offset = 0;
+    return window.sqlFormatter.tokenize(text, dialect).map(t => {
+      const token = { type: t.type, value: t.value, start: offset, end: offset + t.value.length };
+      offset = token.end;
+      return token;
+    });
+  }
+
+  /**
+   * 分析SQL中的表引用、别名和未知标识符
+   * 返回 { aliases: Map(alias → table), unknown: Set(tokenIndex) }
+   */
+  function analyze(tokens, schema) {
+    const aliases = new Map();
+    const defined = new Set();
+    const unknown = new Set();
+    const sig = [];
+    tokens.forEach((t, i) => {
+      if (t.type !== 'whitespace' && t.type !== 'comment') sig.push(i);
+    });
+    const at = k => (k >= 0 && k < sig.length ? tokens[sig[k]] : null);
+    const isIdent = t => t && t.type === 'identifier';
+    const isKeyword = (t, word) => t && t.type === 'keyword' && t.value.toUpperCase() === word;
+
+    // 第一遍：表引用别名、AS 别名、CTE 名称
+    for (let k = 0; k < sig.length; k++) {
+      const t = at(k);
+      if (!isIdent(t)) continue;
+      const name = unquote(t.value);
+      const next = at(k + 1);
+
+      if (isKeyword(at(k - 1), 'AS')) {
+        defined.add(name);
+      }
+      if (isKeyword(next, 'AS') && at(k + 2) && at(k + 2).value === '(') {
+        defined.add(name); // WITH name AS (...)
+      }
+
+      const table = schema.tables.get(name);
+      if (table && !(next && next.value === '.')) {
+        aliases.set(name, table);
+        const aliasToken = isKeyword(next, 'AS') ? at(k + 2) : next;
+        if (isIdent(aliasToken)) {
+          aliases.set(unquote(aliasToken.value), table);
+        }
+      }
+    }
+
+    if (schema.tables.size === 0) return { aliases, unknown };
+
+    // 第二遍：未知标识符
+    for (let k = 0; k < sig.length; k++) {
+      const t = at(k);
+      if (!isIdent(t)) continue;
+      const name = unquote(t.value);
+      const prev = at(k - 1);
+      const next = at(k + 1);
+      const qualified = prev && prev.value === '.';
+      const isQualifier = next && next.value === '.';
+
+      if (defined.has(name) || aliases.has(name)) continue;
+
+      if (isQualifier) {
+        // schema.table 形式的前缀不做检查
+        const member = at(k + 2);
+        if (member && schema.tables.has(unquote(member.value))) continue;
+        if (at(k + 3) && at(k + 3).value === '.') continue;
+        unknown.add(sig[k]);
+        continue;
+      }
+
+      if (qualified) {
+        const owner = aliases.get(unquote(at(k - 2) && at(k - 2).value));
+        if (owner) {
+          if (!owner.columns.has(name)) unknown.add(sig[k]);
+        } else if (!schema.tables.has(name) && !schema.columns.has(name)) {
+          const ownerToken = at(k - 2);
+          // 前缀本身未知时已经标记，这里只标记在任何表中都不存在的名字
+          if (ownerToken && !unknown.has(sig[k - 2])) unknown.add(sig[k]);
+        }
+        continue;
+      }
+
+      if (schema.tables.has(name) || schema.columns.has(name) || NON_RESERVED_WORDS.has(name.toUpperCase())) continue;
+      unknown.add(sig[k]);
+    }
+
+    return { aliases, unknown };
+  }
+
+  // 光标两侧括号及其匹配项的 token 下标
+  function findBracketPair(tokens, caret) {
+    let index = tokens.findIndex(t => t.type === 'punctuation' && /[()]/.test(t.value) && t.end === caret);
+    if (index < 0) index = tokens.findIndex(t => t.type === 'punctuation' && /[()]/.test(t.value) && t.start === caret);
+    if (index < 0) return null;
+
+    const forward = tokens[index].value === '(';
+    let depth = 0;
+    for (let i = index; forward ? i < tokens.length : i >= 0; i += forward ? 1 : -1) {
+      const t = tokens[i];
+      if (t.type !== 'punctuation') continue;
+      if (t.value === '(') depth += forward ? 1 : -1;
+      if (t.value === ')') depth += forward ? -1 : 1;
+      if (depth === 0) return { open: index, close: i, matched: true };
+    }
+    return { open: index, close: -1, matched: false };
+  }
+
+  // ---------- Rendering ----------
+
+  function render(editor) {
+    const text = editor.input.value;
+    const tokens = tokenizeWithOffsets(text, editor.dialect);
+    const { unknown } = analyze(tokens, editor.schema);
+    const caret = editor.input.selectionStart === editor.input.selectionEnd ? editor.input.selectionStart : -1;
+    const pair = caret >= 0 ? findBracketPair(tokens, caret) : null;
+
+    window.sqlFormatter.renderTokens(editor.highlight, tokens, (span, t, i) => {
+      if (unknown.has(i)) {
+        span.classList.add('sql-unknown');
+        span.title = '未知的表或列';
+      }
+      if (pair && (i === pair.open || i === pair.close)) {
+        span.classList.add(pair.matched ? 'sql-bracket-match' : 'sql-bracket-unmatched');
+      }
+    });
+    // 末尾换行需要额外一行才能与 textarea 高度一致
+    editor.highlight.appendChild(document.createTextNode('\n'));
+    editor.highlight.scrollTop = editor.input.scrollTop;
+    editor.highlight.scrollLeft = editor.input.scrollLeft;
+  }
+
+  // ---------- Autocomplete ----------
+
+  function getCaretCoordinates(textarea, position) {
+    const mirror = document.createElement('div');
+    const style = window.getComputedStyle(textarea);
+    MIRROR_PROPERTIES.forEach(p => { mirror.style[p] = style[p]; });
+    mirror.style.position = 'absolute';
+    mirror.style.visibility = 'hidden';
+    mirror.style.overflow = 'hidden';
+    mirror.style.whiteSpace = 'pre-wrap';
+    mirror.textContent = textarea.value.substring(0, position);
+    const marker = document.createElement('span');
+    marker.textContent = textarea.value.substring(position) || '.';
+    mirror.appendChild(marker);
+    document.body.appendChild(mirror);
+    const coords = {
+      top: marker.offsetTop - textarea.scrollTop,
+      left: marker.offsetLeft - textarea.scrollLeft,
+      height: parseFloat(style.lineHeight) || parseFloat(style.fontSize) * 1.5
+    };
+    document.body.removeChild(mirror);
+    return coords;
+  }
+
+  function quoteIdentifier(editor, name) {
+    if (/^[A-Za-z_][\w$]*$/.test(name)) return name;
+    const info = window.sqlFormatter.getDialectInfo(editor.dialect);
+    return info.quoteOpen + name + info.quoteClose;
+  }
+
+  function rankByPrefix(items, prefix) {
+    const p = prefix.toLowerCase();
+    const starts = [];
+    const contains = [];
+    items.forEach(item => {
+      const label = item.label.toLowerCase();
+      if (!p || label.startsWith(p)) starts.push(item);
+      else if (label.indexOf(p) > 0) contains.push(item);
+    });
+    return starts.concat(contains).slice(0, MAX_SUGGESTIONS);
+  }
+
+  function collectSuggestions(editor, force) {
+    const text = editor.input.value;
+    const caret = editor.input.selectionStart;
+    const before = text.substring(0, caret);
+    const prefix = WORD_BEFORE_CARET.exec(before)[0];
+    const qualifier = QUALIFIER_BEFORE_DOT.exec(before);
+    const tokens = tokenizeWithOffsets(text, editor.dialect);
+    const { aliases } = analyze(tokens, editor.schema);
+
+    // 别名/表名后的点号：只提示该表的列
+    if (qualifier) {
+      const table = aliases.get(unquote(qualifier[1])) || editor.schema.tables.get(unquote(qualifier[1]));
+      if (!table) return { prefix, items: [] };
+      const columns = Array.from(table.columns.values()).map(c => ({
+        label: c.name, kind: 'column', detail: c.dataType, insert: quoteIdentifier(editor, c.name)
+      }));
+      return { prefix, items: rankByPrefix(columns, prefix) };
+    }
+
+    if (!force && prefix.length === 0) return { prefix, items: [] };
+
+    const items = [];
+    const seen = new Set();
+    const add = item => {
+      const key = item.kind + ':' + item.label.toLowerCase();
+      if (seen.has(key)) return;
+      seen.add(key);
+      items.push(item);
+    };
+
+    // 优先提示查询中已引用表的列
+    new Set(aliases.values()).forEach(table => {
+      table.columns.forEach(c => add({
+        label: c.name, kind: 'column', detail: `${table.name} · ${c.dataType}`, insert: quoteIdentifier(editor, c.name)
+      }));
+    });
+    editor.schema.tables.forEach(table => add({
+      label: table.name, kind: 'table', detail: table.description, insert: quoteIdentifier(editor, table.name)
+    }));
+    editor.schema.columns.forEach(c => add({
+      label: c.name, kind: 'column', detail: c.dataType, insert: quoteIdentifier(editor, c.name)
+    }));
+    window.sqlFormatter.getKeywords(editor.dialect).forEach(k => add({
+      label: k, kind: 'keyword', detail: '', insert: k
+    }));
+
+    return { prefix, items: rankByPrefix(items, prefix) };
+  }
+
+  function hideSuggestions(editor) {
+    editor.suggest.style.display = 'none';
+    editor.suggest.replaceChildren();
+    editor.suggestions = null;
+  }
+
+  function renderSuggestions(editor) {
+    const state = editor.suggestions;
+    editor.suggest.replaceChildren();
+    state.items.forEach((item, i) => {
+      const li = document.createElement('li');
+      li.className = 'sql-editor-suggest-item' + (i === state.active ? ' active' : '');
+      const kind = document.createElement('span');
+      kind.className = `sql-editor-suggest-kind sql-editor-suggest-${item.kind}`;
+      kind.textContent = item.kind === 'table' ? 'T' : item.kind === 'column' ? 'C' : 'K';
+      const label = document.createElement('span');
+      label.className = 'sql-editor-suggest-label';
+      label.textContent = item.label;
+      const detail = document.createElement('span');
+      detail.className = 'sql-editor-suggest-detail';
+      detail.textContent = item.detail || '';
+      li.append(kind, label, detail);
+      li.addEventListener('mousedown', e => {
+        e.preventDefault();
+        state.active = i;
+        acceptSuggestion(editor);
+      });
+      editor.suggest.appendChild(li);
+    });
+    const active = editor.suggest.children[state.active];
+    if (active && active.scrollIntoView) active.scrollIntoView({ block: 'nearest' });
+  }
+
+  function showSuggestions(editor, force) {
+    const result = collectSuggestions(editor, force);
+    if (result.items.length === 0 ||
+      (result.items.length === 1 && result.items[0].label === result.prefix && !force)) {
+      hideSuggestions(editor);
+      return;
+    }
+    editor.suggestions = { prefix: result.prefix, items: result.items, active: 0 };
+    renderSuggestions(editor);
+
+    const coords = getCaretCoordinates(editor.input, editor.input.selectionStart);
+    editor.suggest.style.top = `${editor.input.offsetTop + coords.top + coords.height}px`;
+    editor.suggest.style.left = `${Math.max(0, editor.input.offsetLeft + coords.left)}px`;
+    editor.suggest.style.display = 'block';
+  }
+
+  function acceptSuggestion(editor) {
+    const state = editor.suggestions;
+    if (!state) return;
+    const item = state.items[state.active];
+    const input = editor.input;
+    const caret = input.selectionStart;
+    const start = caret - state.prefix.length;
+    input.setRangeText(item.insert, start, caret, 'end');
+    hideSuggestions(editor);
+    onInput(editor);
+  }
+
+  // ---------- Events ----------
+
+  function notifyChange(editor) {
+    clearTimeout(editor.changeTimer);
+    editor.changeTimer = setTimeout(() => {
+      if (!editor.dotNetRef) return;
+      editor.dotNetRef.invokeMethodAsync('OnSqlEditorChange', editor.input.value)
+        .catch(e => console.error('SQL编辑器内容回调失败:', e));
+    }, CHANGE_DEBOUNCE_MS);
+  }
+
+  function onInput(editor) {
+    render(editor);
+    notifyChange(editor);
+  }
+
+  function onKeyDown(editor, e) {
+    const state = editor.suggestions;
+
+    if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+      e.preventDefault();
+      hideSuggestions(editor);
+      if (editor.dotNetRef) {
+        editor.dotNetRef.invokeMethodAsync('OnSqlEditorRun', editor.input.value)
+          .catch(err => console.error('SQL编辑器执行回调失败:', err));
+      }
+      return;
+    }
+
+    if ((e.ctrlKey || e.metaKey) && e.key === ' ') {
+      e.preventDefault();
+      showSuggestions(editor, true);
+      return;
+    }
+
+    if (state) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const count = state.items.length;
+        state.active = (state.active + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+        renderSuggestions(editor);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        acceptSuggestion(editor);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation(); // 避免同时关闭所在的弹窗
+        hideSuggestions(editor);
+        return;
+      }
+    }
+
+    if (e.key === 'Tab' && !e.shiftKey) {
+      e.preventDefault();
+      editor.input.setRangeText('  ', editor.input.selectionStart, editor.input.selectionEnd, 'end');
+      onInput(editor);
+    }
+  }
+
+  function listen(editor, target, type, handler) {
+    target.addEventListener(type, handler);
+    editor.listeners.push(() => target.removeEventListener(type, handler));
+  }
+
+  /**
+   * 在容器中创建SQL编辑器
+   * options: { value, dialect, tables, placeholder, rows }
+   * dotNetRef 可选，回调 OnSqlEditorChange(sql) 与 OnSqlEditorRun(sql)（Ctrl+Enter）
+   */
+  function create(containerId, options, dotNetRef) {
+    if (!window.sqlFormatter) {
+      throw new Error('sqlFormatter is not loaded');
+    }
+
+    dispose(containerId);
+
+    const opts = options || {};
+    const container = getContainer(containerId);
+
+    const root = document.createElement('div');
+    root.className = 'sql-editor';
+    const highlight = document.createElement('pre');
+    highlight.className = 'sql-editor-highlight';
+    highlight.setAttribute('aria-hidden', 'true');
+    const input = document.createElement('textarea');
+    input.className = 'sql-editor-input';
+    input.spellcheck = false;
+    input.autocapitalize = 'off';
+    input.setAttribute('autocomplete', 'off');
+    input.rows = opts.rows || 8;
+    input.placeholder = opts.placeholder || '';
+    input.value = opts.value || '';
+    const suggest = document.createElement('ul');
+    suggest.className = 'sql-editor-suggest';
+    suggest.style.display = 'none';
+    root.append(highlight, input, suggest);
+    container.appendChild(root);
+
+    const editor = {
+      root,
+      input,
+      highlight,
+      suggest,
+      dotNetRef,
+      dialect: opts.dialect,
+      schema: buildSchema(opts.tables),
+      suggestions: null,
+      changeTimer: null,
+      listeners: []
+    };
+
+    listen(editor, input, 'input', () => {
+      onInput(editor);
+      showSuggestions(editor, false);
+    });
+    listen(editor, input, 'keydown', e => onKeyDown(editor, e));
+    listen(editor, input, 'keyup', e => {
+      if (/^(Arrow|Home|End|Page)/.test(e.key) && !editor.suggestions) render(editor);
+    });
+    listen(editor, input, 'click', () => {
+      hideSuggestions(editor);
+      render(editor);
+    });
+    listen(editor, input, 'blur', () => hideSuggestions(editor));
+    listen(editor, input, 'scroll', () => {
+      highlight.scrollTop = input.scrollTop;
+      highlight.scrollLeft = input.scrollLeft;
+      hideSuggestions(editor);
+    });
+
+    editors.set(containerId, editor);
+    render(editor);
+  }
+
+  function getValue(containerId) {
+    const editor = editors.get(containerId);
+    return editor ? editor.input.value : null;
+  }
+
+  function setValue(containerId, value) {
+    const editor = editors.get(containerId);
+    if (!editor) return;
+    editor.input.value = value || '';
+    render(editor);
+  }
+
+  function setSchema(containerId, tables) {
+    const editor = editors.get(containerId);
+    if (!editor) return;
+    editor.schema = buildSchema(tables);
+    render(editor);
+  }
+
+  function focus(containerId) {
+    const editor = editors.get(containerId);
+    if (editor) editor.input.focus();
+  }
+
+  function dispose(containerId) {
+    const editor = editors.get(containerId);
+    if (!editor) return;
+    clearTimeout(editor.changeTimer);
+    editor.listeners.forEach(off => off());
+    if (editor.root.parentNode) editor.root.parentNode.removeChild(editor.root);
+    editors.delete(containerId);
+  }
+
+  // Public API
+  return {
+    create,
+    getValue,
+    setValue,
+    setSchema,
+    focus,
+    dispose
+  };
+})();
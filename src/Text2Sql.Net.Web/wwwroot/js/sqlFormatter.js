@@ -0,0 +1,531 @@
+// Lightweight SQL tokenizer / formatter / highlighter (no external dependencies)
+// Exposes: tokenize, format, highlight, highlightAll, renderTokens, resolveDialect, getKeywords, getDialectInfo
+
+window.sqlFormatter = (function () {
+  const INDENT = '  ';
+
+  const BASE_KEYWORDS = [
+    'ADD', 'ALL', 'ALTER', 'AND', 'ANY', 'AS', 'ASC', 'BETWEEN', 'BY', 'CASE', 'CHECK', 'COLUMN',
+    'CONSTRAINT', 'CREATE', 'CROSS', 'CURRENT_DATE', 'CURRENT_TIME', 'CURRENT_TIMESTAMP', 'DEFAULT',
+    'DELETE', 'DESC', 'DISTINCT', 'DROP', 'ELSE', 'END', 'ESCAPE', 'EXCEPT', 'EXISTS', 'FALSE', 'FETCH',
+    'FIRST', 'FOLLOWING', 'FOR', 'FOREIGN', 'FROM', 'FULL', 'GROUP', 'HAVING', 'IN', 'INDEX', 'INNER',
+    'INSERT', 'INTERSECT', 'INTO', 'IS', 'JOIN', 'KEY', 'LAST', 'LEFT', 'LIKE', 'LIMIT', 'NATURAL',
+    'NEXT', 'NOT', 'NULL', 'NULLS', 'OFFSET', 'ON', 'ONLY', 'OR', 'ORDER', 'OUTER', 'OVER', 'PARTITION',
+    'PRECEDING', 'PRIMARY', 'RANGE', 'RECURSIVE', 'REFERENCES', 'RIGHT', 'ROW', 'ROWS', 'SELECT', 'SET',
+    'SOME', 'TABLE', 'THEN', 'TRUE', 'UNBOUNDED', 'UNION', 'UNIQUE', 'UPDATE', 'USING', 'VALUES', 'VIEW',
+    'WHEN', 'WHERE', 'WINDOW', 'WITH'
+  ];
+
+  // 各方言的差异：额外关键字、标识符引号、字符串转义、注释与参数写法
+  const DIALECTS = {
+    generic: {
+      keywords: [],
+      identifierQuotes: { '"': '"' },
+      backslashEscapes: false,
+      hashComments: false,
+      dollarQuotes: false,
+      parameterPrefixes: ['?', ':']
+    },
+    sqlserver: {
+      keywords: ['APPLY', 'CLUSTERED', 'DECLARE', 'EXEC', 'IDENTITY', 'MERGE', 'NOLOCK', 'NONCLUSTERED',
+        'OUTPUT', 'PERCENT', 'PIVOT', 'TIES', 'TOP', 'UNPIVOT'],
+      identifierQuotes: { '[': ']', '"': '"' },
+      backslashEscapes: false,
+      hashComments: false,
+      dollarQuotes: false,
+      parameterPrefixes: ['@']
+    },
+    mysql: {
+      keywords: ['AUTO_INCREMENT', 'DIV', 'DUPLICATE', 'IGNORE', 'INTERVAL', 'MOD', 'REGEXP', 'REPLACE',
+        'RLIKE', 'ROLLUP', 'SEPARATOR', 'STRAIGHT_JOIN', 'XOR'],
+      identifierQuotes: { '`': '`' },
+      stringQuotes: ['\'', '"'],
+      backslashEscapes: true,
+      hashComments: true,
+      dollarQuotes: false,
+      parameterPrefixes: ['?', '@']
+    },
+    postgresql: {
+      keywords: ['CONFLICT', 'DO', 'FILTER', 'ILIKE', 'INTERVAL', 'LATERAL', 'NOTHING', 'RETURNING',
+        'SIMILAR', 'TABLESAMPLE'],
+      identifierQuotes: { '"': '"' },
+      backslashEscapes: false,
+      hashComments: false,
+      dollarQuotes: true,
+      parameterPrefixes: ['$', ':']
+    },
+    sqlite: {
+      keywords: ['ABORT', 'AUTOINCREMENT', 'CONFLICT', 'GLOB', 'IGNORE', 'INDEXED', 'PRAGMA', 'REPLACE',
+        'RETURNING', 'ROWID'],
+      identifierQuotes: { '"': '"', '`': '`', '[': ']' },
+      backslashEscapes: false,
+      hashComments: false,
+      dollarQuotes: false,
+      parameterPrefixes: ['?', ':', '@', '$']
+    }
+  };
+
+  const DIALECT_ALIASES = {
+    sqlserver: 'sqlserver', mssql: 'sqlserver', tsql: 'sqlserver',
+    mysql: 'mysql', mariadb: 'mysql',
+    postgresql: 'postgresql', postgres: 'postgresql', pgsql: 'postgresql',
+    sqlite: 'sqlite', excel: 'sqlite' // Excel 连接导入为本地 SQLite
+  };
+
+  // 独占一行的子句（按最长匹配）
+  const CLAUSES = [
+    ['LEFT', 'OUTER', 'JOIN'], ['RIGHT', 'OUTER', 'JOIN'], ['FULL', 'OUTER', 'JOIN'],
+    ['GROUP', 'BY'], ['ORDER', 'BY'], ['UNION', 'ALL'], ['INSERT', 'INTO'], ['DELETE', 'FROM'],
+    ['LEFT', 'JOIN'], ['RIGHT', 'JOIN'], ['FULL', 'JOIN'], ['INNER', 'JOIN'], ['CROSS', 'JOIN'],
+    ['NATURAL', 'JOIN'], ['CROSS', 'APPLY'], ['OUTER', 'APPLY'], ['ON', 'CONFLICT'],
+    ['SELECT'], ['FROM'], ['WHERE'], ['HAVING'], ['LIMIT'], ['OFFSET'], ['FETCH'], ['UNION'],
+    ['INTERSECT'], ['EXCEPT'], ['WITH'], ['VALUES'], ['SET'], ['UPDATE'], ['RETURNING'], ['WINDOW'],
+    ['JOIN'], ['STRAIGHT_JOIN']
+  ];
+
+  // 顶层逗号后换行的子句
+  const LIST_CLAUSES = new Set(['SELECT', 'FROM', 'GROUP BY', 'ORDER BY', 'SET', 'VALUES', 'RETURNING', 'WITH']);
+  // 顶层 AND / OR 前换行的子句
+  const CONDITION_CLAUSES = new Set(['WHERE', 'HAVING', 'JOIN']);
+  // 高亮时突出显示的主要关键字
+  const PRIMARY_KEYWORDS = new Set(['SELECT', 'FROM', 'WHERE', 'INSERT', 'UPDATE', 'DELETE', 'CREATE',
+    'ALTER', 'DROP', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'GROUP', 'ORDER', 'HAVING', 'UNION', 'WITH']);
+
+  const MULTI_CHAR_OPERATORS = ['->>', '<=>', '<>', '!=', '<=', '>=', '||', '::', '->', '<<', '>>', '==', ':='];
+  const SINGLE_CHAR_OPERATORS = '+-*/%=<>!~&|^';
+  const PUNCTUATION = '(),;.';
+
+  const NUMBER_PATTERN = /^(?:0x[0-9a-f]+|(?:\d+(?:\.\d*)?|\.\d+)(?:e[+-]?\d+)?)/i;
+  const WORD_START = /[A-Za-z_\u0080-\uFFFF]/;
+  const WORD_CHAR = /[\w$\u0080-\uFFFF]/;
+
+  const keywordCache = new Map();
+
+  function resolveDialect(name) {
+    const key = String(name || '').toLowerCase().replace(/[^a-z]/g, '');
+    return DIALECT_ALIASES[key] || 'generic';
+  }
+
+  function getDialect(name) {
+    const key = resolveDialect(name);
+    let entry = keywordCache.get(key);
+    if (!entry) {
+      const def = DIALECTS[key];
+      entry = Object.assign({ name: key, keywordSet: new Set(BASE_KEYWORDS.concat(def.keywords)) }, def);
+      entry.stringQuotes = def.stringQuotes || ['\''];
+      keywordCache.set(key, entry);
+    }
+    return entry;
+  }
+
+  function getKeywords(dialectName) {
+    return Array.from(getDialect(dialectName).keywordSet).sort();
+  }
+
+  // 编辑器补全时引用标识符所需的方言信息
+  function getDialectInfo(dialectName) {
+    const dialect = getDialect(dialectName);
+    const open = Object.keys(dialect.identifierQuotes)[0];
+    return { name: dialect.name, quoteOpen: open, quoteClose: dialect.identifierQuotes[open] };
+  }
+
+  // ---------- Tokenizer ----------
+
+  function readQuoted(sql, start, open, close, allowBackslash) {
+    let i = start + open.length;
+    while (i < sql.length) {
+      const ch = sql[i];
+      if (allowBackslash && ch === '\\') {
+        i += 2;
+        continue;
+      }
+      if (sql.startsWith(close, i)) {
+        // 引号重复表示转义（'' / "" / ]]）
+        if (sql.startsWith(close, i + close.length)) {
+          i += close.length * 2;
+          continue;
+        }
+        return i + close.length;
+      }
+      i++;
+    }
+    return sql.length; // 未闭合时吞到结尾
+  }
+
+  function nextSignificantChar(sql, from) {
+    let i = from;
+    while (i < sql.length && /\s/.test(sql[i])) i++;
+    return sql[i];
+  }
+
+  /**
+   * 将SQL拆分为 token：{ type, value }
+   * type: whitespace | comment | string | number | keyword | function | identifier | parameter | operator | punctuation | unknown
+   */
+  function tokenize(sql, dialectName) {
+    const dialect = getDialect(dialectName);
+    const text = String(sql || '');
+    const tokens = [];
+    let i = 0;
+
+    const push = (type, end) => {
+      tokens.push({ type, value: text.slice(i, end) });
+      i = end;
+    };
+
+    while (i < text.length) {
+      const ch = text[i];
+      const rest2 = text.substr(i, 2);
+
+      if (/\s/.test(ch)) {
+        let end = i + 1;
+        while (end < text.length && /\s/.test(text[end])) end++;
+        push('whitespace', end);
+        continue;
+      }
+
+      if (rest2 === '--' || (dialect.hashComments && ch === '#')) {
+        let end = text.indexOf('\n', i);
+        if (end < 0) end = text.length;
+        push('comment', end);
+        continue;
+      }
+
+      if (rest2 === '/*') {
+        const end = text.indexOf('*/', i + 2);
+        push('comment', end < 0 ? text.length : end + 2);
+        continue;
+      }
+
+      // N'...' / E'...' / X'...' / B'...' 前缀字符串
+      if (/[NnEeXxBb]/.test(ch) && text[i + 1] === '\'') {
+        const backslash = dialect.backslashEscapes || ch === 'E' || ch === 'e';
+        push('string', readQuoted(text, i + 1, '\'', '\'', backslash));
+        continue;
+      }
+
+      if (dialect.stringQuotes.indexOf(ch) >= 0) {
+        push('string', readQuoted(text, i, ch, ch, dialect.backslashEscapes));
+        continue;
+      }
+
+      if (dialect.dollarQuotes && ch === '$') {
+        const tag = /^\$[A-Za-z_]*\$/.exec(text.slice(i));
+        if (tag) {
+          const end = text.indexOf(tag[0], i + tag[0].length);
+          push('string', end < 0 ? text.length : end + tag[0].length);
+          continue;
+        }
+      }
+
+      if (Object.prototype.hasOwnProperty.call(dialect.identifierQuotes, ch)) {
+        push('identifier', readQuoted(text, i, ch, dialect.identifierQuotes[ch], false));
+        continue;
+      }
+
+      const number = NUMBER_PATTERN.exec(text.slice(i, i + 64));
+      if (number && !(ch === '.' && tokens.length && /identifier|function/.test(tokens[tokens.length - 1].type))) {
+        push('number', i + number[0].length);
+        continue;
+      }
+
+      if (dialect.parameterPrefixes.indexOf(ch) >= 0 && !(ch === ':' && text[i + 1] === ':')) {
+        let end = i + 1;
+        if (ch === '@' && text[end] === '@') end++;
+        while (end < text.length && WORD_CHAR.test(text[end])) end++;
+        if (end > i + 1 || ch === '?') {
+          push('parameter', end);
+          continue;
+        }
+      }
+
+      if (WORD_START.test(ch)) {
+        let end = i + 1;
+        while (end < text.length && WORD_CHAR.test(text[end])) end++;
+        const word = text.slice(i, end);
+        const prev = tokens.length ? tokens[tokens.length - 1] : null;
+        const afterDot = prev && prev.value === '.';
+        let type = 'identifier';
+        if (!afterDot && dialect.keywordSet.has(word.toUpperCase())) {
+          type = 'keyword';
+        } else if (nextSignificantChar(text, end) === '(') {
+          type = 'function';
+        }
+        push(type, end);
+        continue;
+      }
+
+      const op = MULTI_CHAR_OPERATORS.find(o => text.startsWith(o, i));
+      if (op) {
+        push('operator', i + op.length);
+        continue;
+      }
+
+      if (SINGLE_CHAR_OPERATORS.indexOf(ch) >= 0) {
+        push('operator', i + 1);
+        continue;
+      }
+
+      if (PUNCTUATION.indexOf(ch) >= 0) {
+        push('punctuation', i + 1);
+        continue;
+      }
+
+      push('unknown', i + 1);
+    }
+
+    return tokens;
+  }
+
+  // ---------- Formatter ----------
+
+  function matchClause(tokens, index) {
+    if (tokens[index].type !== 'keyword') return null;
+    for (const words of CLAUSES) {
+      let ok = true;
+      for (let k = 0; k < words.length; k++) {
+        const t = tokens[index + k];
+        if (!t || t.type !== 'keyword' || t.value.toUpperCase() !== words[k]) {
+          ok = false;
+          break;
+        }
+      }
+      if (ok) return words;
+    }
+    return null;
+  }
+
+  function applyCase(value, keywordCase) {
+    if (keywordCase === 'lower') return value.toLowerCase();
+    if (keywordCase === 'preserve') return value;
+    return value.toUpperCase();
+  }
+
+  function clauseKind(name) {
+    return /JOIN|APPLY/.test(name) ? 'JOIN' : name;
+  }
+
+  /**
+   * 格式化SQL：关键字大小写统一、每个子句一行、子查询/CTE缩进
+   * options: { dialect, keywordCase: 'upper' | 'lower' | 'preserve' }
+   */
+  function format(sql, options) {
+    const opts = options || {};
+    const keywordCase = opts.keywordCase || 'upper';
+    const tokens = tokenize(sql, opts.dialect).filter(t => t.type !== 'whitespace');
+    if (tokens.length === 0) return '';
+
+    const lines = [];
+    let current = { indent: 0, parts: [] };
+    let prev = null;        // 上一个输出的 token
+    let unary = false;      // 上一个输出是一元运算符
+    let base = 0;           // 当前查询块的缩进
+    let clause = null;      // 当前子句
+    let between = false;    // 等待 BETWEEN ... AND 的 AND
+    let caseDepth = 0;
+    const stack = [];       // 括号栈：{ type: 'subquery' | 'inline', ... }
+
+    const inQueryBlock = () => stack.length === 0 || stack[stack.length - 1].type === 'subquery';
+
+    const newline = (indent) => {
+      if (current.parts.length) lines.push(current);
+      current = { indent, parts: [] };
+      prev = null;
+      unary = false;
+    };
+
+    const needsSpace = (token) => {
+      if (!prev || current.parts.length === 0 || unary) return false;
+      const v = token.value;
+      if (v === ',' || v === ';' || v === ')' || v === '.' || v === '::') return false;
+      if (prev.value === '(' || prev.value === '.' || prev.value === '::') return false;
+      if (v === '(' && (prev.type === 'function' || prev.type === 'identifier')) return false;
+      return true;
+    };
+
+    const write = (token, text) => {
+      if (needsSpace(token)) current.parts.push(' ');
+      current.parts.push(text === undefined ? token.value : text);
+      const isSign = token.value === '-' || token.value === '+';
+      unary = isSign && (!prev || prev.type === 'operator' || prev.type === 'keyword' ||
+        prev.value === '(' || prev.value === ',');
+      prev = token;
+    };
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      const upper = token.value.toUpperCase();
+
+      if (token.type === 'comment') {
+        const isLine = !token.value.startsWith('/*');
+        if (current.parts.length) current.parts.push(' ');
+        current.parts.push(token.value.trim());
+        if (isLine) newline(current.indent);
+        continue;
+      }
+
+      if (token.type === 'keyword' && inQueryBlock()) {
+        const words = matchClause(tokens, i);
+        // WITH 仅在语句开头视为 CTE（排除 WITH (NOLOCK) / WITH ROLLUP 等）
+        const isClause = words && !(words[0] === 'WITH' && (clause !== null || tokens[i + 1]?.value === '('));
+        if (isClause) {
+          const name = words.join(' ');
+          newline(base);
+          const text = tokens.slice(i, i + words.length).map(t => applyCase(t.value, keywordCase)).join(' ');
+          write({ type: 'keyword', value: name }, text);
+          clause = clauseKind(name);
+          between = false;
+          i += words.length - 1;
+          continue;
+        }
+
+        if ((upper === 'AND' || upper === 'OR') && caseDepth === 0 && CONDITION_CLAUSES.has(clause)) {
+          if (upper === 'AND' && between) {
+            between = false;
+          } else {
+            newline(base + 1);
+          }
+          write(token, applyCase(token.value, keywordCase));
+          continue;
+        }
+      }
+
+      if (token.type === 'keyword') {
+        if (upper === 'BETWEEN') between = true;
+        if (upper === 'CASE') caseDepth++;
+        if (upper === 'END' && caseDepth > 0) caseDepth--;
+        write(token, applyCase(token.value, keywordCase));
+        continue;
+      }
+
+      if (token.value === '(') {
+        const next = tokens.slice(i + 1).find(t => t.type !== 'comment');
+        const isSubquery = next && next.type === 'keyword' && /^(SELECT|WITH)$/i.test(next.value);
+        const openIndent = current.indent;
+        write(token);
+        if (isSubquery) {
+          stack.push({ type: 'subquery', openIndent, base, clause, between, caseDepth });
+          base = openIndent + 1;
+          clause = null;
+          between = false;
+          caseDepth = 0;
+          newline(base);
+        } else {
+          stack.push({ type: 'inline' });
+        }
+        continue;
+      }
+
+      if (token.value === ')') {
+        const frame = stack.pop();
+        if (frame && frame.type === 'subquery') {
+          newline(frame.openIndent);
+          base = frame.base;
+          clause = frame.clause;
+          between = frame.between;
+          caseDepth = frame.caseDepth;
+        }
+        write(token);
+        continue;
+      }
+
+      if (token.value === ',') {
+        write(token);
+        if (inQueryBlock() && LIST_CLAUSES.has(clause) && caseDepth === 0) {
+          newline(clause === 'WITH' ? base : base + 1);
+        }
+        continue;
+      }
+
+      if (token.value === ';') {
+        write(token);
+        newline(0);
+        lines.push({ indent: 0, parts: [] }); // 语句之间空一行
+        base = 0;
+        clause = null;
+        between = false;
+        caseDepth = 0;
+        stack.length = 0;
+        continue;
+      }
+
+      write(token);
+    }
+
+    if (current.parts.length) lines.push(current);
+    while (lines.length && lines[lines.length - 1].parts.length === 0) lines.pop();
+
+    return lines.map(l => l.parts.length ? INDENT.repeat(l.indent) + l.parts.join('') : '').join('\n');
+  }
+
+  // ---------- Highlighter ----------
+
+  function tokenClass(token) {
+    if (token.type === 'keyword') {
+      return PRIMARY_KEYWORDS.has(token.value.toUpperCase()) ? 'sql-keyword sql-primary' : 'sql-keyword';
+    }
+    return `sql-${token.type}`;
+  }
+
+  /**
+   * 用 token 构建 DOM 节点替换元素内容
+   * SQL文本只通过 textContent / 文本节点写入，不拼接HTML，避免字面量中的标签被执行
+   * decorate(span, token, index) 可选，用于追加样式类
+   */
+  function renderTokens(element, tokens, decorate) {
+    const fragment = document.createDocumentFragment();
+    tokens.forEach((t, i) => {
+      if (t.type === 'whitespace') {
+        fragment.appendChild(document.createTextNode(t.value));
+        return;
+      }
+      const span = document.createElement('span');
+      span.className = tokenClass(t);
+      span.textContent = t.value;
+      if (decorate) decorate(span, t, i);
+      fragment.appendChild(span);
+    });
+    element.replaceChildren(fragment);
+  }
+
+  /**
+   * 格式化并高亮单个 <pre class="language-sql"> 元素
+   * 原始SQL优先取 data-sql 属性，方言取 options.dialect 或 data-dialect
+   */
+  function highlight(element, options) {
+    if (!element) return;
+    const opts = options || {};
+    const source = element.dataset.sql !== undefined ? element.dataset.sql : element.textContent;
+    const dialect = opts.dialect || element.dataset.dialect;
+    const shouldFormat = opts.format !== false && element.dataset.format !== 'false';
+    const key = `${resolveDialect(dialect)}|${shouldFormat}|${source}`;
+    if (element.__sqlHighlightKey === key) return;
+
+    const text = shouldFormat ? format(source, { dialect, keywordCase: opts.keywordCase }) : source;
+    renderTokens(element, tokenize(text, dialect));
+    element.__sqlHighlightKey = key;
+  }
+
+  function highlightAll(root, options) {
+    const scope = root || document;
+    scope.querySelectorAll('pre.language-sql').forEach(el => {
+      try {
+        highlight(el, options);
+      } catch (e) {
+        console.error('SQL高亮失败:', e);
+      }
+    });
+  }
+
+  // Public API
+  return {
+    tokenize,
+    format,
+    highlight,
+    highlightAll,
+    renderTokens,
+    resolveDialect,
+    getKeywords,
+    getDialectInfo
+  };
+})();
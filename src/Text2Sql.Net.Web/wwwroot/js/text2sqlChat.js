@@ -0,0 +1,650 @@
+// Embeddable <text2sql-chat> custom element built on the ChatController REST API (api/Chat/*)
+// Exposes: define, createApiClient, createMockFetch, ApiError
+//
+// 用法：
+//   <script src="/js/text2sqlChat.js"></script>
+//   <text2sql-chat connection-id="..." theme="dark"></text2sql-chat>
+//
+// 组件本身不依赖任何库；宿主页面如果加载了 echarts + localeInterop.js + echartsInterop.js 会显示图表（与管理端同一套图表推断逻辑），
+// 加载了 sqlFormatter.js 会格式化并高亮 SQL。
+//
+// 同源限制：项目没有为 api/Chat 配置 CORS 策略，组件所在页面必须与 Text2Sql.Net 站点同源（api-base 留空即请求当前站点）。
+// 需要在其他站点嵌入时，可通过反向代理把 api/Chat 转发到宿主站点的同一域名下，或由部署方在宿主应用中自行添加 CORS 策略。
+//
+// 属性：connection-id、api-base（默认当前站点）、theme（light|dark）、title、placeholder、dialect、max-rows
+// 事件：text2sql-response（detail: { question, message }）、text2sql-error（detail: { error }）
+// 主题：在宿主页面为 text2sql-chat 设置 CSS 变量 --t2s-primary、--t2s-bg、--t2s-text 等即可覆盖，见 STYLE_TEXT
+
+window.Text2SqlChat = (function () {
+  const TAG_NAME = 'text2sql-chat';
+  const STYLE_ID = 'text2sql-chat-style';
+  const DEFAULT_MAX_ROWS = 200;
+
+  class ApiError extends Error {
+    constructor(message, status, endpoint) {
+      super(message);
+      this.name = 'ApiError';
+      this.status = status;
+      this.endpoint = endpoint;
+    }
+  }
+
+  // ---- 接口层 ----
+
+  // options: { baseUrl, fetch, headers（对象或返回对象的函数）, credentials }
+  // 测试时传入 createMockFetch() 或指向本地桩服务的 baseUrl 即可替换真实后端
+  function createApiClient(options) {
+    const opts = options || {};
+    const baseUrl = String(opts.baseUrl || '').replace(/\/+$/, '');
+    const fetchImpl = opts.fetch || (typeof window.fetch === 'function' ? window.fetch.bind(window) : null);
+
+    async function post(endpoint, query, body) {
+      if (!fetchImpl) throw new ApiError('当前环境不支持 fetch', 0, endpoint);
+
+      const params = new URLSearchParams();
+      Object.keys(query || {}).forEach(k => {
+        if (query[k] !== undefined && query[k] !== null) params.append(k, query[k]);
+      });
+      const qs = params.toString();
+      const url = `${baseUrl}/api/Chat/${endpoint}${qs ? '?' + qs : ''}`;
+
+      const extraHeaders = typeof opts.headers === 'function' ? opts.headers() : opts.headers;
+      const headers = Object.assign({ Accept: 'application/json' }, extraHeaders || {});
+      const init = { method: 'POST', headers, credentials: opts.credentials || 'same-origin' };
+      if (body !== undefined) {
+        headers['Content-Type'] = 'application/json';
+        init.body = JSON.stringify(body);
+      }
+
+      let response;
+      try {
+        response = await fetchImpl(url, init);
+      } catch (e) {
+        throw new ApiError(`无法连接服务：${e && e.message ? e.message : e}`, 0, endpoint);
+      }
+      if (!response.ok) {
+        throw new ApiError(`请求 ${endpoint} 失败（HTTP ${response.status}）`, response.status, endpoint);
+      }
+      const text = await response.text();
+      if (!text) return null;
+      try {
+        return JSON.parse(text);
+      } catch (_) {
+        throw new ApiError(`${endpoint} 返回的不是有效的 JSON`, response.status, endpoint);
+      }
+    }
+
+    return {
+      getHistory: connectionId => post('History', { connectionId }).then(list => list || []),
+      saveMessage: message => post('SaveMessage', null, message),
+      executeSql: (connectionId, userMessage) => post('ExecuteSQL', { connectionId, userMessage }),
+      clearHistory: connectionId => post('ClearHistory', { connectionId })
+    };
+  }
+
+  // 基于内存的 fetch 桩：默认实现 History/SaveMessage/ClearHistory，ExecuteSQL 需要通过 handlers 提供。
+  // handlers[endpoint]({ query, body, store }) 返回响应数据；抛出 { status } 可模拟 HTTP 错误。
+  // 返回的函数带有 calls（请求记录）和 store（connectionId -> 消息数组）便于断言。
+  function createMockFetch(handlers) {
+    const store = new Map();
+    const calls = [];
+    const messagesOf = id => {
+      if (!store.has(id)) store.set(id, []);
+      return store.get(id);
+    };
+
+    const defaults = {
+      History: ({ query }) => messagesOf(query.connectionId).slice(),
+      SaveMessage: ({ body }) => {
+        if (!body || !body.connectionId) return false;
+        const list = messagesOf(body.connectionId);
+        const index = list.findIndex(m => m.id === body.id);
+        if (index >= 0) list[index] = body; else list.push(body);
+        return true;
+      },
+      ClearHistory: ({ query }) => {
+        store.delete(query.connectionId);
+        return true;
+      },
+      ExecuteSQL: () => {
+        throw { status: 501 };
+      }
+    };
+    const routes = Object.assign({}, defaults, handlers || {});
+
+    const mockFetch = async function (url, init) {
+      const parsed = new URL(url, 'http://localhost');
+      const endpoint = parsed.pathname.split('/').pop();
+      const query = {};
+      parsed.searchParams.forEach((v, k) => { query[k] = v; });
+      const body = init && init.body ? JSON.parse(init.body) : undefined;
+      calls.push({ endpoint, query, body, url });
+
+      const handler = routes[endpoint];
+      let status = 200;
+      let data;
+      if (!handler) {
+        status = 404;
+      } else {
+        try {
+          data = await handler({ query, body, store });
+          // 与后端一致：ExecuteSQL 生成的AI响应会保存到聊天记录
+          if (endpoint === 'ExecuteSQL' && data && data.connectionId && !handlers?.History) {
+            messagesOf(data.connectionId).push(data);
+          }
+        } catch (e) {
+          status = e && e.status ? e.status : 500;
+        }
+      }
+      const text = status === 200 && data !== undefined ? JSON.stringify(data) : '';
+      return { ok: status >= 200 && status < 300, status, text: () => Promise.resolve(text) };
+    };
+    mockFetch.calls = calls;
+    mockFetch.store = store;
+    return mockFetch;
+  }
+
+  // ---- 工具函数 ----
+
+  function pad2(n) {
+    return n < 10 ? '0' + n : String(n);
+  }
+
+  function formatTime(value) {
+    const d = value ? new Date(value) : new Date();
+    if (isNaN(d.getTime())) return '';
+    return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())} ${pad2(d.getHours())}:${pad2(d.getMinutes())}:${pad2(d.getSeconds())}`;
+  }
+
+  function newId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') return window.crypto.randomUUID();
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+      const r = Math.random() * 16 | 0;
+      return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+  }
+
+  // 后端 DateTime 序列化为不带时区的本地时间，这里也按本地时间输出以保持一致
+  function toLocalIso(d) {
+    return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}T${pad2(d.getHours())}:${pad2(d.getMinutes())}:${pad2(d.getSeconds())}`;
+  }
+
+  function getColumnKeys(rows) {
+    const keys = [];
+    const seen = new Set();
+    rows.forEach(row => {
+      Object.keys(row || {}).forEach(k => {
+        if (!seen.has(k)) {
+          seen.add(k);
+          keys.push(k);
+        }
+      });
+    });
+    return keys;
+  }
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined && text !== null) node.textContent = String(text);
+    return node;
+  }
+
+  function chartsAvailable() {
+    return !!(window.echarts && window.echartsInterop);
+  }
+
+  // ---- 样式 ----
+
+  const STYLE_TEXT = `
+:where(.t2s-host) {
+  --t2s-primary: #1890ff;
+  --t2s-bg: #ffffff;
+  --t2s-text: #262626;
+  --t2s-muted: #8c8c8c;
+  --t2s-border: #f0f0f0;
+  --t2s-user-bg: #e6f7ff;
+  --t2s-assistant-bg: #f6f6f6;
+  --t2s-code-bg: #282c34;
+  --t2s-code-text: #abb2bf;
+  --t2s-error: #cf1322;
+  --t2s-error-bg: #fff1f0;
+  --t2s-radius: 8px;
+  --t2s-font: -apple-system, 'Segoe UI', 'Microsoft YaHei', sans-serif;
+  display: block;
+  height: 600px;
+  font-family: var(--t2s-font);
+  font-size: 14px;
+  color: var(--t2s-text);
+}
+:where(.t2s-host[theme="dark"]) {
+  --t2s-primary: #177ddc;
+  --t2s-bg: #141414;
+  --t2s-text: #e8e8e8;
+  --t2s-muted: #8c8c8c;
+  --t2s-border: #303030;
+  --t2s-user-bg: #111d2c;
+  --t2s-assistant-bg: #1f1f1f;
+  --t2s-code-bg: #000000;
+  --t2s-error: #ff7875;
+  --t2s-error-bg: #2a1215;
+}
+.t2s-host .t2s-root { display: flex; flex-direction: column; height: 100%; box-sizing: border-box; background: var(--t2s-bg); border: 1px solid var(--t2s-border); border-radius: var(--t2s-radius); overflow: hidden; }
+.t2s-host .t2s-header { display: flex; align-items: center; justify-content: space-between; padding: 10px 16px; border-bottom: 1px solid var(--t2s-border); font-weight: 600; }
+.t2s-host .t2s-messages { flex: 1; overflow-y: auto; padding: 16px; }
+.t2s-host .t2s-empty, .t2s-host .t2s-status { color: var(--t2s-muted); text-align: center; padding: 24px 0; }
+.t2s-host .t2s-message { border-radius: var(--t2s-radius); padding: 10px 12px; margin-bottom: 12px; }
+.t2s-host .t2s-message.user { background: var(--t2s-user-bg); margin-left: 20%; }
+.t2s-host .t2s-message.assistant { background: var(--t2s-assistant-bg); margin-right: 10%; }
+.t2s-host .t2s-message-header { display: flex; justify-content: space-between; font-size: 12px; color: var(--t2s-muted); margin-bottom: 6px; }
+.t2s-host .t2s-message-text { white-space: pre-wrap; word-break: break-word; }
+.t2s-host pre.t2s-sql { background: var(--t2s-code-bg); color: var(--t2s-code-text); border-radius: 4px; padding: 8px 12px; margin: 8px 0 0; white-space: pre-wrap; word-break: break-word; font-size: 12px; }
+.t2s-host .t2s-sql .sql-keyword { color: #c678dd; }
+.t2s-host .t2s-sql .sql-keyword.sql-primary { color: #ff6b6b; font-weight: 600; }
+.t2s-host .t2s-sql .sql-function { color: #61afef; }
+.t2s-host .t2s-sql .sql-string { color: #98c379; }
+.t2s-host .t2s-sql .sql-number { color: #d19a66; }
+.t2s-host .t2s-sql .sql-comment { color: #5c6370; font-style: italic; }
+.t2s-host .t2s-sql .sql-identifier { color: #e5c07b; }
+.t2s-host .t2s-error { color: var(--t2s-error); background: var(--t2s-error-bg); border-radius: 4px; padding: 6px 8px; margin-top: 8px; white-space: pre-wrap; word-break: break-word; }
+.t2s-host .t2s-result { margin-top: 8px; }
+.t2s-host .t2s-result-toolbar { display: flex; align-items: center; gap: 8px; font-size: 12px; color: var(--t2s-muted); margin-bottom: 6px; }
+.t2s-host .t2s-table-wrap { max-height: 320px; overflow: auto; border: 1px solid var(--t2s-border); border-radius: 4px; }
+.t2s-host table.t2s-table { border-collapse: collapse; width: 100%; font-size: 12px; }
+.t2s-host .t2s-table th, .t2s-host .t2s-table td { border-bottom: 1px solid var(--t2s-border); padding: 4px 8px; text-align: left; white-space: nowrap; }
+.t2s-host .t2s-table th { position: sticky; top: 0; background: var(--t2s-assistant-bg); }
+.t2s-host .t2s-null { color: var(--t2s-muted); font-style: italic; }
+.t2s-host .t2s-chart { width: 100%; height: 320px; }
+.t2s-host .t2s-input { display: flex; gap: 8px; padding: 12px 16px; border-top: 1px solid var(--t2s-border); }
+.t2s-host .t2s-input textarea { flex: 1; resize: none; min-height: 40px; max-height: 120px; padding: 8px; border: 1px solid var(--t2s-border); border-radius: 4px; background: var(--t2s-bg); color: var(--t2s-text); font: inherit; }
+.t2s-host button.t2s-button { border: 1px solid var(--t2s-border); background: var(--t2s-bg); color: var(--t2s-text); border-radius: 4px; padding: 4px 12px; cursor: pointer; font: inherit; }
+.t2s-host button.t2s-button.primary { background: var(--t2s-primary); border-color: var(--t2s-primary); color: #fff; }
+.t2s-host button.t2s-button.active { border-color: var(--t2s-primary); color: var(--t2s-primary); }
+.t2s-host button.t2s-button:disabled { opacity: 0.5; cursor: not-allowed; }
+`;
+
+  function ensureStyle() {
+    if (document.getElementById(STYLE_ID)) return;
+    const style = document.createElement('style');
+    style.id = STYLE_ID;
+    style.textContent = STYLE_TEXT;
+    document.head.appendChild(style);
+  }
+
+  // ---- 组件 ----
+
+  let instanceSeq = 0;
+
+  class Text2SqlChatElement extends HTMLElement {
+    static get observedAttributes() {
+      return ['connection-id', 'api-base', 'title', 'placeholder'];
+    }
+
+    constructor() {
+      super();
+      this._uid = ++instanceSeq;
+      this._apiClient = null;
+      this._messages = [];
+      this._charts = new Set();
+      this._loadToken = 0;
+      this._busy = false;
+      this._built = false;
+    }
+
+    // 可注入自定义接口客户端（例如 createApiClient({ fetch: createMockFetch(...) })）
+    get apiClient() {
+      if (!this._apiClient) {
+        this._apiClient = createApiClient({ baseUrl: this.getAttribute('api-base') || '' });
+      }
+      return this._apiClient;
+    }
+
+    set apiClient(client) {
+      this._apiClient = client || null;
+      if (this.isConnected) this.reload();
+    }
+
+    get connectionId() {
+      return this.getAttribute('connection-id') || '';
+    }
+
+    set connectionId(value) {
+      this.setAttribute('connection-id', value || '');
+    }
+
+    get messages() {
+      return this._messages.slice();
+    }
+
+    connectedCallback() {
+      ensureStyle();
+      this.classList.add('t2s-host');
+      if (!this._built) this._build();
+      this.reload();
+    }
+
+    disconnectedCallback() {
+      this._disposeCharts();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (oldValue === newValue || !this._built) return;
+      if (name === 'title') {
+        this._title.textContent = newValue || '智能问数';
+      } else if (name === 'placeholder') {
+        this._textarea.placeholder = newValue || '';
+      } else {
+        if (name === 'api-base') this._apiClient = null;
+        this.reload();
+      }
+    }
+
+    // 重新加载当前连接的聊天记录
+    async reload() {
+      if (!this._built) return;
+      const token = ++this._loadToken;
+      const connectionId = this.connectionId;
+      this._messages = [];
+      if (!connectionId) {
+        this._renderMessages('未指定数据库连接（connection-id）');
+        return;
+      }
+
+      this._renderMessages('正在加载聊天记录...');
+      try {
+        const history = await this.apiClient.getHistory(connectionId);
+        if (token !== this._loadToken) return;
+        this._messages = Array.isArray(history) ? history : [];
+        this._renderMessages();
+      } catch (e) {
+        if (token !== this._loadToken) return;
+        this._renderMessages(`加载聊天记录失败：${e.message}`);
+        this._emitError(e);
+      }
+    }
+
+    // 发送问题：先保存用户消息，再调用 ExecuteSQL 生成并执行SQL
+    async send(question) {
+      const text = String(question === undefined ? this._textarea.value : question).trim();
+      const connectionId = this.connectionId;
+      if (!text || !connectionId || this._busy) return null;
+
+      const token = this._loadToken;
+      this._setBusy(true);
+      this._textarea.value = '';
+
+      const userMessage = {
+        id: newId(),
+        connectionId,
+        message: text,
+        isUser: true,
+        createTime: toLocalIso(new Date())
+      };
+      this._messages.push(userMessage);
+      this._appendMessage(userMessage);
+      const pending = el('div', 't2s-status', '正在生成SQL...');
+      this._list.appendChild(pending);
+      this._scrollToBottom();
+
+      try {
+        try {
+          await this.apiClient.saveMessage(userMessage);
+        } catch (e) {
+          // 保存失败不影响继续查询，与管理端页面的处理一致
+          console.warn('保存用户消息失败:', e);
+        }
+
+        const response = await this.apiClient.executeSql(connectionId, text);
+        if (token !== this._loadToken) return null;
+        pending.remove();
+        if (response) {
+          this._messages.push(response);
+          this._appendMessage(response);
+          this._scrollToBottom();
+          this.dispatchEvent(new CustomEvent('text2sql-response', { detail: { question: text, message: response }, bubbles: true }));
+        }
+        return response;
+      } catch (e) {
+        if (token !== this._loadToken) return null;
+        pending.remove();
+        const failed = {
+          id: newId(),
+          connectionId,
+          message: '处理您的请求时出现错误',
+          isUser: false,
+          executionError: e.message,
+          createTime: toLocalIso(new Date())
+        };
+        this._messages.push(failed);
+        this._appendMessage(failed);
+        this._scrollToBottom();
+        this._emitError(e);
+        return null;
+      } finally {
+        this._setBusy(false);
+      }
+    }
+
+    async clear() {
+      const connectionId = this.connectionId;
+      if (!connectionId || this._busy) return false;
+      try {
+        const ok = await this.apiClient.clearHistory(connectionId);
+        if (ok) {
+          this._loadToken++;
+          this._messages = [];
+          this._renderMessages();
+        }
+        return !!ok;
+      } catch (e) {
+        this._emitError(e);
+        return false;
+      }
+    }
+
+    _build() {
+      this.textContent = '';
+      const root = el('div', 't2s-root');
+
+      const header = el('div', 't2s-header');
+      this._title = el('span', 't2s-title', this.getAttribute('title') || '智能问数');
+      this._clearButton = el('button', 't2s-button', '清空');
+      this._clearButton.type = 'button';
+      this._clearButton.addEventListener('click', () => this.clear());
+      header.append(this._title, this._clearButton);
+
+      this._list = el('div', 't2s-messages');
+      this._list.setAttribute('role', 'log');
+      this._list.setAttribute('aria-live', 'polite');
+
+      const form = el('form', 't2s-input');
+      this._textarea = el('textarea');
+      this._textarea.rows = 2;
+      this._textarea.placeholder = this.getAttribute('placeholder') || '请输入您的问题，Enter 发送，Shift+Enter 换行';
+      this._sendButton = el('button', 't2s-button primary', '发送');
+      this._sendButton.type = 'submit';
+      form.append(this._textarea, this._sendButton);
+      form.addEventListener('submit', e => {
+        e.preventDefault();
+        this.send();
+      });
+      this._textarea.addEventListener('keydown', e => {
+        if (e.key === 'Enter' && !e.shiftKey && !e.isComposing) {
+          e.preventDefault();
+          this.send();
+        }
+      });
+
+      root.append(header, this._list, form);
+      this.appendChild(root);
+      this._built = true;
+    }
+
+    _setBusy(busy) {
+      this._busy = busy;
+      this._sendButton.disabled = busy;
+      this._clearButton.disabled = busy;
+      this._textarea.disabled = busy;
+    }
+
+    _emitError(error) {
+      this.dispatchEvent(new CustomEvent('text2sql-error', { detail: { error }, bubbles: true }));
+    }
+
+    _scrollToBottom() {
+      this._list.scrollTop = this._list.scrollHeight;
+    }
+
+    _disposeCharts() {
+      if (window.echartsInterop) {
+        this._charts.forEach(id => window.echartsInterop.dispose(id));
+      }
+      this._charts.clear();
+    }
+
+    _renderMessages(statusText) {
+      this._disposeCharts();
+      this._list.textContent = '';
+      if (statusText) {
+        this._list.appendChild(el('div', 't2s-status', statusText));
+        return;
+      }
+      if (this._messages.length === 0) {
+        this._list.appendChild(el('div', 't2s-empty', '还没有对话，输入问题开始查询'));
+        return;
+      }
+      this._messages.forEach(m => this._appendMessage(m));
+      this._scrollToBottom();
+    }
+
+    _appendMessage(message) {
+      const empty = this._list.querySelector('.t2s-empty');
+      if (empty) empty.remove();
+
+      const item = el('div', `t2s-message ${message.isUser ? 'user' : 'assistant'}`);
+      const header = el('div', 't2s-message-header');
+      header.append(el('strong', null, message.isUser ? 'USER' : 'AI'), el('span', null, formatTime(message.createTime)));
+      item.append(header, el('div', 't2s-message-text', message.message || ''));
+
+      if (!message.isUser) {
+        if (message.sqlQuery) item.appendChild(this._renderSql(message.sqlQuery));
+        if (message.executionError) item.appendChild(el('div', 't2s-error', message.executionError));
+        const rows = Array.isArray(message.queryResult) ? message.queryResult : [];
+        if (rows.length > 0) item.appendChild(this._renderResult(message, rows));
+      }
+
+      this._list.appendChild(item);
+    }
+
+    _renderSql(sql) {
+      const pre = el('pre', 't2s-sql language-sql', sql);
+      if (window.sqlFormatter) {
+        pre.dataset.sql = sql;
+        try {
+          window.sqlFormatter.highlight(pre, { dialect: this.getAttribute('dialect') || undefined });
+        } catch (e) {
+          pre.textContent = sql;
+        }
+      }
+      return pre;
+    }
+
+    _renderResult(message, rows) {
+      const wrap = el('div', 't2s-result');
+      const toolbar = el('div', 't2s-result-toolbar');
+      const maxRows = parseInt(this.getAttribute('max-rows'), 10) || DEFAULT_MAX_ROWS;
+      const countText = rows.length > maxRows ? `共 ${rows.length} 条记录，显示前 ${maxRows} 条` : `共 ${rows.length} 条记录`;
+      toolbar.appendChild(el('span', null, countText));
+
+      const tableWrap = this._renderTable(rows.slice(0, maxRows));
+      wrap.append(toolbar, tableWrap);
+
+      if (chartsAvailable()) {
+        const tableButton = el('button', 't2s-button active', '表格');
+        const chartButton = el('button', 't2s-button', '图表');
+        tableButton.type = chartButton.type = 'button';
+        const chartId = `t2sChart_${this._uid}_${String(message.id || newId()).replace(/[^\w-]/g, '')}`;
+        let chartHost = null;
+
+        const show = showChart => {
+          tableButton.classList.toggle('active', !showChart);
+          chartButton.classList.toggle('active', showChart);
+          tableWrap.style.display = showChart ? 'none' : '';
+          if (!showChart) {
+            if (chartHost) chartHost.style.display = 'none';
+            return;
+          }
+          if (!chartHost) {
+            chartHost = el('div', 't2s-chart');
+            chartHost.id = chartId;
+            wrap.appendChild(chartHost);
+          }
+          chartHost.style.display = '';
+          try {
+            // 与管理端一致：有保存的图表规格按规格渲染，否则自动推断
+            if (message.chartSpec) {
+              window.echartsInterop.renderChartSpec(chartId, rows, message.chartSpec);
+            } else {
+              window.echartsInterop.renderAutoChart(chartId, rows);
+            }
+            this._charts.add(chartId);
+          } catch (e) {
+            console.error('渲染图表失败:', e);
+            chartHost.textContent = '渲染图表失败';
+          }
+        };
+        tableButton.addEventListener('click', () => show(false));
+        chartButton.addEventListener('click', () => show(true));
+        toolbar.append(tableButton, chartButton);
+      }
+
+      return wrap;
+    }
+
+    _renderTable(rows) {
+      const tableWrap = el('div', 't2s-table-wrap');
+      const table = el('table', 't2s-table');
+      const keys = getColumnKeys(rows);
+
+      const headRow = el('tr');
+      keys.forEach(k => headRow.appendChild(el('th', null, k)));
+      const thead = el('thead');
+      thead.appendChild(headRow);
+
+      const tbody = el('tbody');
+      rows.forEach(row => {
+        const tr = el('tr');
+        keys.forEach(k => {
+          const v = row ? row[k] : null;
+          if (v === null || v === undefined) {
+            tr.appendChild(el('td', 't2s-null', 'NULL'));
+          } else {
+            tr.appendChild(el('td', null, typeof v === 'object' ? JSON.stringify(v) : v));
+          }
+        });
+        tbody.appendChild(tr);
+      });
+
+      table.append(thead, tbody);
+      tableWrap.appendChild(table);
+      return tableWrap;
+    }
+  }
+
+  function define(tagName) {
+    const name = tagName || TAG_NAME;
+    if (!window.customElements || window.customElements.get(name)) return;
+    // 同一个类不能注册两次，自定义标签名时派生一个子类
+    window.customElements.define(name, name === TAG_NAME ? Text2SqlChatElement : class extends Text2SqlChatElement { });
+  }
+
+  define();
+
+  // Public API
+  return {
+    define,
+    createApiClient,
+    createMockFetch,
+    ApiError
+  };
+})();
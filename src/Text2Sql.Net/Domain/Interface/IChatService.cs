@@ -1,6 +1,8 @@
 using System;
 using System.Collections.Generic;
+using System.Threading;
 using System.Threading.Tasks;
+using Text2Sql.Net.Domain.Model;
 using Text2Sql.Net.Repositories.Text2Sql.ChatHistory;
 
 namespace Text2Sql.Net.Domain.Interface
@@ -32,6 +34,29 @@ namespace Text2Sql.Net.Domain.Interface
         /// <returns>AI响应（包含生成的SQL和执行结果）</returns>
         Task<ChatMessage> GenerateAndExecuteSqlAsync(string connectionId, string userMessage);
 
+        /// <summary>
+        /// 生成并执行SQL，并在各阶段推送进度（含大模型生成SQL时的流式输出）
+        /// </summary>
+        /// <param name="connectionId">数据库连接ID</param>
+        /// <param name="userMessage">用户消息</param>
+        /// <param name="onProgress">进度回调，回调异常不会中断流水线</param>
+        /// <param name="cancellationToken">取消令牌</param>
+        /// <returns>AI响应（包含生成的SQL和执行结果）</returns>
+        /// <exception cref="OperationCanceledException">取消令牌触发时抛出，不生成错误回复</exception>
+        Task<ChatMessage> GenerateAndExecuteSqlAsync(string connectionId, string userMessage, Func<ChatProgressEvent, Task>? onProgress, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// 生成并执行图表下钻产生的后续查询，并在各阶段推送进度
+        /// </summary>
+        /// <param name="connectionId">数据库连接ID</param>
+        /// <param name="userMessage">用户消息</param>
+        /// <param name="drillContext">下钻上下文（过滤条件与上一层查询），为null时与普通查询相同</param>
+        /// <param name="onProgress">进度回调，回调异常不会中断流水线</param>
+        /// <param name="cancellationToken">取消令牌</param>
+        /// <returns>AI响应（包含生成的SQL和执行结果，并携带下钻上下文）</returns>
+        /// <exception cref="OperationCanceledException">取消令牌触发时抛出，不生成错误回复</exception>
+        Task<ChatMessage> GenerateAndExecuteSqlAsync(string connectionId, string userMessage, ChartDrillContext? drillContext, Func<ChatProgressEvent, Task>? onProgress, CancellationToken cancellationToken = default);
+
         /// <summary>
         /// 优化SQL并执行
         /// </summary>
@@ -42,6 +67,19 @@ namespace Text2Sql.Net.Domain.Interface
         /// <returns>AI响应（包含优化后的SQL和执行结果）</returns>
         Task<ChatMessage> OptimizeSqlAndExecuteAsync(string connectionId, string userMessage, string originalSql, string errorMessage);
 
+        /// <summary>
+        /// 优化SQL并执行，并在各阶段推送进度
+        /// </summary>
+        /// <param name="connectionId">数据库连接ID</param>
+        /// <param name="userMessage">用户消息</param>
+        /// <param name="originalSql">原始SQL</param>
+        /// <param name="errorMessage">错误信息</param>
+        /// <param name="onProgress">进度回调，回调异常不会中断流水线</param>
+        /// <param name="cancellationToken">取消令牌</param>
+        /// <returns>AI响应（包含优化后的SQL和执行结果）</returns>
+        /// <exception cref="OperationCanceledException">取消令牌触发时抛出，不生成错误回复</exception>
+        Task<ChatMessage> OptimizeSqlAndExecuteAsync(string connectionId, string userMessage, string originalSql, string errorMessage, Func<ChatProgressEvent, Task>? onProgress, CancellationToken cancellationToken = default);
+
         /// <summary>
         /// 清空指定数据库连接的聊天历史
         /// </summary>
@@ -49,6 +87,13 @@ namespace Text2Sql.Net.Domain.Interface
         /// <returns>清空结果</returns>
         Task<bool> ClearChatHistoryAsync(string connectionId);
 
+        /// <summary>
+        /// SQL安全检查：先做单条只读语句的规则检查，通过后再由大模型判断是否为查询语句
+        /// </summary>
+        /// <param name="sql">SQL语句</param>
+        /// <returns>是否可以自动执行</returns>
+        Task<bool> CheckSqlAsync(string sql);
+
         /// <summary>
         /// 从修正创建问答示例
         /// </summary>
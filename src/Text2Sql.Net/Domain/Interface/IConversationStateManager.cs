@@ -1,3 +1,4 @@
+using Text2Sql.Net.Domain.Model;
 using Text2Sql.Net.Domain.Service;
 
 namespace Text2Sql.Net.Domain.Interface
@@ -42,6 +43,15 @@ namespace Text2Sql.Net.Domain.Interface
         /// <returns>处理后的查询消息</returns>
         Task<string> ProcessIncrementalQueryAsync(string connectionId, string userMessage, FollowupQueryType queryType);
 
+        /// <summary>
+        /// 处理图表下钻查询：把点击图表产生的过滤条件和上一层查询附加到用户消息
+        /// </summary>
+        /// <param name="connectionId">数据库连接ID</param>
+        /// <param name="userMessage">用户消息</param>
+        /// <param name="drillContext">下钻上下文</param>
+        /// <returns>处理后的查询消息</returns>
+        Task<string> ProcessDrillDownQueryAsync(string connectionId, string userMessage, ChartDrillContext drillContext);
+
         /// <summary>
         /// 获取对话上下文
         /// </summary>
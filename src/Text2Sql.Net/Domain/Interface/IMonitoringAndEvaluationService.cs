@@ -40,6 +40,13 @@ namespace Text2Sql.Net.Domain.Interface
         /// <returns>用户行为报告</returns>
         Task<UserBehaviorReport> GetUserBehaviorReportAsync(TimeRange timeRange);
 
+        /// <summary>
+        /// 按条件查询单条查询指标（用于监控面板下钻）
+        /// </summary>
+        /// <param name="filter">查询条件</param>
+        /// <returns>查询指标列表</returns>
+        Task<List<QueryExecutionMetric>> GetQueryMetricsAsync(QueryMetricFilter filter);
+
         /// <summary>
         /// 清理过期数据
         /// </summary>
@@ -0,0 +1,88 @@
+using System.Collections.Generic;
+using System.Threading.Tasks;
+using Text2Sql.Net.Domain.Model;
+using Text2Sql.Net.Repositories.Text2Sql.ChatHistory;
+using Text2Sql.Net.Repositories.Text2Sql.Pinboard;
+
+namespace Text2Sql.Net.Domain.Interface
+{
+    /// <summary>
+    /// 看板服务接口
+    /// </summary>
+    public interface IPinboardService
+    {
+        /// <summary>
+        /// 获取所有看板
+        /// </summary>
+        /// <returns>看板列表</returns>
+        Task<List<Pinboard>> GetPinboardsAsync();
+
+        /// <summary>
+        /// 获取看板
+        /// </summary>
+        /// <param name="pinboardId">看板ID</param>
+        /// <returns>看板，不存在时返回null</returns>
+        Task<Pinboard?> GetPinboardAsync(string pinboardId);
+
+        /// <summary>
+        /// 新建或更新看板
+        /// </summary>
+        /// <param name="pinboard">看板</param>
+        /// <returns>是否成功</returns>
+        Task<bool> SavePinboardAsync(Pinboard pinboard);
+
+        /// <summary>
+        /// 删除看板及其所有卡片
+        /// </summary>
+        /// <param name="pinboardId">看板ID</param>
+        /// <returns>是否成功</returns>
+        Task<bool> DeletePinboardAsync(string pinboardId);
+
+        /// <summary>
+        /// 获取看板上的卡片
+        /// </summary>
+        /// <param name="pinboardId">看板ID</param>
+        /// <returns>卡片列表</returns>
+        Task<List<PinboardTile>> GetTilesAsync(string pinboardId);
+
+        /// <summary>
+        /// 把聊天消息的图表钉到看板，卡片放在第一个能容纳的空位
+        /// </summary>
+        /// <param name="pinboardId">看板ID</param>
+        /// <param name="message">AI响应消息（需包含执行成功的SQL）</param>
+        /// <param name="chartSpec">图表规格，为空时使用消息保存的规格</param>
+        /// <param name="title">卡片标题</param>
+        /// <returns>新建的卡片，失败时返回null</returns>
+        Task<PinboardTile?> PinChartAsync(string pinboardId, ChatMessage message, ChartSpec? chartSpec, string title);
+
+        /// <summary>
+        /// 保存拖拽或缩放后的卡片布局
+        /// </summary>
+        /// <param name="pinboardId">看板ID</param>
+        /// <param name="layouts">卡片布局</param>
+        /// <returns>是否成功</returns>
+        Task<bool> UpdateLayoutAsync(string pinboardId, List<PinboardTileLayout> layouts);
+
+        /// <summary>
+        /// 修改卡片标题
+        /// </summary>
+        /// <param name="tileId">卡片ID</param>
+        /// <param name="title">新标题</param>
+        /// <returns>是否成功</returns>
+        Task<bool> RenameTileAsync(string tileId, string title);
+
+        /// <summary>
+        /// 从看板移除卡片
+        /// </summary>
+        /// <param name="tileId">卡片ID</param>
+        /// <returns>是否成功</returns>
+        Task<bool> RemoveTileAsync(string tileId);
+
+        /// <summary>
+        /// 重新执行卡片的SQL，记录刷新时间、结果和错误
+        /// </summary>
+        /// <param name="tileId">卡片ID</param>
+        /// <returns>刷新后的卡片，卡片不存在时返回null</returns>
+        Task<PinboardTile?> RefreshTileAsync(string tileId);
+    }
+}
@@ -0,0 +1,210 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Text.Json.Serialization;
+
+namespace Text2Sql.Net.Domain.Model
+{
+    /// <summary>
+    /// 图表下钻动作
+    /// </summary>
+    public static class ChartDrillAction
+    {
+        /// <summary>
+        /// 按另一个字段细分
+        /// </summary>
+        public const string Breakdown = "breakdown";
+
+        /// <summary>
+        /// 查看明细记录
+        /// </summary>
+        public const string Rows = "rows";
+
+        /// <summary>
+        /// 时间周期按更细的粒度展开
+        /// </summary>
+        public const string Expand = "expand";
+
+        /// <summary>
+        /// 用户自行输入的后续问题
+        /// </summary>
+        public const string Custom = "custom";
+    }
+
+    /// <summary>
+    /// 图表下钻上下文：点击图表元素后提交的后续问题所携带的过滤条件，随聊天消息持久化
+    /// </summary>
+    public class ChartDrillContext
+    {
+        /// <summary>
+        /// 下钻动作，见 <see cref="ChartDrillAction"/>
+        /// </summary>
+        [JsonPropertyName("action")]
+        public string Action { get; set; } = ChartDrillAction.Breakdown;
+
+        /// <summary>
+        /// 细分字段（Breakdown）
+        /// </summary>
+        [JsonPropertyName("breakdownKey")]
+        public string? BreakdownKey { get; set; }
+
+        /// <summary>
+        /// 展开后的时间粒度（Expand）：day、week、month、quarter
+        /// </summary>
+        [JsonPropertyName("bucket")]
+        public string? Bucket { get; set; }
+
+        /// <summary>
+        /// 下钻起点（第一层）的用户问题
+        /// </summary>
+        [JsonPropertyName("rootQuestion")]
+        public string? RootQuestion { get; set; }
+
+        /// <summary>
+        /// 被点击图表所在消息的用户问题
+        /// </summary>
+        [JsonPropertyName("sourceQuestion")]
+        public string? SourceQuestion { get; set; }
+
+        /// <summary>
+        /// 被点击图表所在消息的SQL
+        /// </summary>
+        [JsonPropertyName("sourceSql")]
+        public string? SourceSql { get; set; }
+
+        /// <summary>
+        /// 逐层累积的过滤条件，最后一个为本次点击新增的条件
+        /// </summary>
+        [JsonPropertyName("filters")]
+        public List<ChartDrillFilter> Filters { get; set; } = new List<ChartDrillFilter>();
+
+        /// <summary>
+        /// 在当前上下文基础上再下钻一层：继承起点问题与已有条件，追加本次点击产生的条件
+        /// </summary>
+        /// <param name="parent">上一层的下钻上下文，从普通消息开始下钻时为null</param>
+        /// <param name="sourceMessageId">被点击图表所在的AI消息ID</param>
+        /// <param name="sourceQuestion">该消息对应的用户问题</param>
+        /// <param name="sourceSql">该消息的SQL</param>
+        /// <param name="newFilters">本次点击产生的过滤条件（分类，及点击堆叠/分组系列时的系列）</param>
+        public static ChartDrillContext Extend(ChartDrillContext? parent, string sourceMessageId, string? sourceQuestion, string? sourceSql, IEnumerable<ChartDrillFilter> newFilters)
+        {
+            var filters = parent?.Filters.Select(f => f.Clone()).ToList() ?? new List<ChartDrillFilter>();
+            foreach (var filter in newFilters)
+            {
+                // 同一字段再次下钻时以新条件为准（如在细分结果里点击了另一个地区）
+                filters.RemoveAll(f => string.Equals(f.Column, filter.Column, StringComparison.OrdinalIgnoreCase));
+                filter.MessageId = sourceMessageId;
+                filters.Add(filter);
+            }
+
+            return new ChartDrillContext
+            {
+                RootQuestion = parent?.RootQuestion ?? sourceQuestion,
+                SourceQuestion = sourceQuestion,
+                SourceSql = sourceSql,
+                Filters = filters
+            };
+        }
+
+        /// <summary>
+        /// 按下钻层级分组的过滤条件，同一次点击产生的条件属于同一层
+        /// </summary>
+        public List<List<ChartDrillFilter>> GetLevels()
+        {
+            var levels = new List<List<ChartDrillFilter>>();
+            foreach (var filter in Filters)
+            {
+                var last = levels.LastOrDefault();
+                if (last != null && last[0].MessageId == filter.MessageId)
+                {
+                    last.Add(filter);
+                }
+                else
+                {
+                    levels.Add(new List<ChartDrillFilter> { filter });
+                }
+            }
+            return levels;
+        }
+    }
+
+    /// <summary>
+    /// 下钻过滤条件（一个被点击的分类或时间周期）
+    /// </summary>
+    public class ChartDrillFilter
+    {
+        /// <summary>
+        /// 过滤字段
+        /// </summary>
+        [JsonPropertyName("column")]
+        public string Column { get; set; } = string.Empty;
+
+        /// <summary>
+        /// 字段取值；时间周期时为周期开始
+        /// </summary>
+        [JsonPropertyName("value")]
+        public string? Value { get; set; }
+
+        /// <summary>
+        /// 显示名称（面包屑中展示，如“2024年3月”）
+        /// </summary>
+        [JsonPropertyName("label")]
+        public string? Label { get; set; }
+
+        /// <summary>
+        /// 时间周期粒度：day、week、month、quarter、year；非时间条件为空
+        /// </summary>
+        [JsonPropertyName("bucket")]
+        public string? Bucket { get; set; }
+
+        /// <summary>
+        /// 时间周期开始（含）
+        /// </summary>
+        [JsonPropertyName("rangeStart")]
+        public string? RangeStart { get; set; }
+
+        /// <summary>
+        /// 时间周期结束（不含）
+        /// </summary>
+        [JsonPropertyName("rangeEnd")]
+        public string? RangeEnd { get; set; }
+
+        /// <summary>
+        /// 添加该条件时被点击图表所在的AI消息ID，面包屑据此返回上一层
+        /// </summary>
+        [JsonPropertyName("messageId")]
+        public string? MessageId { get; set; }
+
+        /// <summary>
+        /// 是否为时间周期条件
+        /// </summary>
+        [JsonIgnore]
+        public bool IsRange => !string.IsNullOrEmpty(RangeStart) && !string.IsNullOrEmpty(RangeEnd);
+
+        /// <summary>
+        /// 面包屑显示文本
+        /// </summary>
+        [JsonIgnore]
+        public string DisplayText => $"{Column} = {(string.IsNullOrEmpty(Label) ? Value ?? "NULL" : Label)}";
+
+        /// <summary>
+        /// 提供给大模型的条件描述
+        /// </summary>
+        public string Describe()
+        {
+            if (IsRange)
+            {
+                return $"{Column} >= '{RangeStart}' 且 {Column} < '{RangeEnd}'";
+            }
+            return Value == null ? $"{Column} 为空" : $"{Column} = '{Value}'";
+        }
+
+        /// <summary>
+        /// 复制条件
+        /// </summary>
+        public ChartDrillFilter Clone()
+        {
+            return (ChartDrillFilter)MemberwiseClone();
+        }
+    }
+}
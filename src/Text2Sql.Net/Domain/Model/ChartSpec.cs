@@ -0,0 +1,294 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using System.Text.RegularExpressions;
+
+namespace Text2Sql.Net.Domain.Model
+{
+    /// <summary>
+    /// 图表规格（与前端 echartsInterop 的图表规格格式一致，可序列化后随聊天消息持久化）
+    /// </summary>
+    public class ChartSpec
+    {
+        /// <summary>
+        /// 当前规格版本
+        /// </summary>
+        public const int CurrentVersion = 1;
+
+        /// <summary>
+        /// 标识列名（与前端 echartsInterop 一致）：id、xxx_id、uuid、guid、编号
+        /// </summary>
+        private static readonly Regex IdentifierNamePattern = new Regex("(^id$|_id$|^uuid$|^guid$|编号$)", RegexOptions.IgnoreCase);
+
+        /// <summary>
+        /// 驼峰命名的标识列（userId），区分大小写，避免 paid、valid 等普通单词被当作标识列
+        /// </summary>
+        private static readonly Regex CamelIdentifierNamePattern = new Regex("[a-z0-9]Id$");
+
+        /// <summary>
+        /// 规格版本
+        /// </summary>
+        [JsonPropertyName("version")]
+        public int Version { get; set; } = CurrentVersion;
+
+        /// <summary>
+        /// 图表类型（bar、line、pie、timeseries 等，见 echartsInterop.getChartTypes）
+        /// </summary>
+        [JsonPropertyName("type")]
+        public string Type { get; set; } = "bar";
+
+        /// <summary>
+        /// 分类列（X 轴）
+        /// </summary>
+        [JsonPropertyName("categoryKey")]
+        public string? CategoryKey { get; set; }
+
+        /// <summary>
+        /// 数值列
+        /// </summary>
+        [JsonPropertyName("valueKeys")]
+        public List<string> ValueKeys { get; set; } = new List<string>();
+
+        /// <summary>
+        /// 系列列，按其取值拆分为多个系列
+        /// </summary>
+        [JsonPropertyName("seriesKey")]
+        public string? SeriesKey { get; set; }
+
+        /// <summary>
+        /// 聚合方式：sum、avg、count、min、max
+        /// </summary>
+        [JsonPropertyName("aggregate")]
+        public string Aggregate { get; set; } = "sum";
+
+        /// <summary>
+        /// 是否堆叠
+        /// </summary>
+        [JsonPropertyName("stack")]
+        public bool Stack { get; set; }
+
+        /// <summary>
+        /// 时间粒度：auto、none、day、week、month、quarter、year
+        /// </summary>
+        [JsonPropertyName("bucket")]
+        public string Bucket { get; set; } = "auto";
+
+        /// <summary>
+        /// 是否补齐缺失的时间周期
+        /// </summary>
+        [JsonPropertyName("fillGaps")]
+        public bool FillGaps { get; set; }
+
+        /// <summary>
+        /// 排序方式
+        /// </summary>
+        [JsonPropertyName("sort")]
+        public ChartSortSpec? Sort { get; set; }
+
+        /// <summary>
+        /// 配色（为空时使用默认配色）
+        /// </summary>
+        [JsonPropertyName("colors")]
+        public List<string>? Colors { get; set; }
+
+        /// <summary>
+        /// 图表标题
+        /// </summary>
+        [JsonPropertyName("title")]
+        public string? Title { get; set; }
+
+        /// <summary>
+        /// 根据查询结果给出建议的图表规格
+        /// </summary>
+        /// <param name="rows">查询结果</param>
+        /// <returns>建议的图表规格，无法绘制时返回null</returns>
+        public static ChartSpec? Suggest(List<Dictionary<string, object>>? rows)
+        {
+            if (rows == null || rows.Count == 0 || rows[0].Count == 0)
+            {
+                return null;
+            }
+
+            var keys = rows[0].Keys.ToList();
+            // 标识列（订单号、用户ID等）只在没有其他分类列时用作分类轴；列名像标识列的数值列即使有重复值也不作为数值指标
+            var identifierKeys = keys.Where(k => IsIdentifierColumn(rows, k)).ToList();
+            var numericKeys = keys.Where(k => !identifierKeys.Contains(k) && !IsIdentifierName(k) && IsColumnOf(rows, k, IsNumeric)).ToList();
+            var temporalKeys = keys.Where(k => !identifierKeys.Contains(k) && !numericKeys.Contains(k) && IsColumnOf(rows, k, IsTemporal)).ToList();
+            var categoryKeys = keys.Where(k => !identifierKeys.Contains(k) && !numericKeys.Contains(k) && !temporalKeys.Contains(k)).ToList();
+
+            if (numericKeys.Count == 0)
+            {
+                return null;
+            }
+
+            // 单行单值 → 指标卡
+            if (rows.Count == 1 && keys.Count <= 2)
+            {
+                return new ChartSpec { Type = "kpi", CategoryKey = categoryKeys.FirstOrDefault(), ValueKeys = { numericKeys[0] } };
+            }
+
+            // 时间列 → 时间序列
+            if (temporalKeys.Count > 0)
+            {
+                return new ChartSpec
+                {
+                    Type = "timeseries",
+                    CategoryKey = temporalKeys[0],
+                    ValueKeys = numericKeys,
+                    SeriesKey = categoryKeys.FirstOrDefault()
+                };
+            }
+
+            // 两个数值列且没有分类列 → 散点图
+            if (categoryKeys.Count == 0 && numericKeys.Count >= 2)
+            {
+                return new ChartSpec { Type = "scatter", CategoryKey = numericKeys[0], ValueKeys = numericKeys.Take(2).ToList() };
+            }
+
+            if (categoryKeys.Count == 0)
+            {
+                return identifierKeys.Count > 0
+                    ? new ChartSpec { Type = "bar", CategoryKey = identifierKeys[0], ValueKeys = numericKeys }
+                    : null;
+            }
+
+            // 分类轴没有先后顺序，行数再多也用柱状图（折线只用于时间序列）
+            return new ChartSpec
+            {
+                Type = categoryKeys.Count > 1 ? "stackedBar" : "bar",
+                CategoryKey = categoryKeys[0],
+                SeriesKey = categoryKeys.Count > 1 ? categoryKeys[1] : null,
+                ValueKeys = categoryKeys.Count > 1 ? new List<string> { numericKeys[0] } : numericKeys
+            };
+        }
+
+        /// <summary>
+        /// 列中非空值是否全部满足条件
+        /// </summary>
+        private static bool IsColumnOf(List<Dictionary<string, object>> rows, string key, Func<object, bool> predicate)
+        {
+            var values = GetNonNullValues(rows, key);
+            return values.Count > 0 && values.All(predicate);
+        }
+
+        /// <summary>
+        /// 是否为标识列（与前端 echartsInterop 的列画像规则一致）：
+        /// 取值全部为GUID，或列名像标识列且取值为互不重复的整数
+        /// </summary>
+        private static bool IsIdentifierColumn(List<Dictionary<string, object>> rows, string key)
+        {
+            var values = GetNonNullValues(rows, key);
+            if (values.Count == 0)
+            {
+                return false;
+            }
+            if (values.All(v => v is Guid || (v is string str && Guid.TryParseExact(str, "D", out _))))
+            {
+                return true;
+            }
+            if (values.Count < 2 || !IsIdentifierName(key))
+            {
+                return false;
+            }
+
+            var seen = new HashSet<double>();
+            foreach (var value in values)
+            {
+                if (!TryGetNumber(value, out var number) || number != Math.Floor(number) || !seen.Add(number))
+                {
+                    return false;
+                }
+            }
+            return true;
+        }
+
+        /// <summary>
+        /// 列名是否像标识列
+        /// </summary>
+        private static bool IsIdentifierName(string key)
+        {
+            return IdentifierNamePattern.IsMatch(key) || CamelIdentifierNamePattern.IsMatch(key);
+        }
+
+        /// <summary>
+        /// 列中的非空值（空白字符串视为空）
+        /// </summary>
+        private static List<object> GetNonNullValues(List<Dictionary<string, object>> rows, string key)
+        {
+            return rows
+                .Select(r => r.TryGetValue(key, out var v) ? Unwrap(v) : null)
+                .Where(v => v != null && !(v is string s && string.IsNullOrWhiteSpace(s)))
+                .Select(v => v!)
+                .ToList();
+        }
+
+        /// <summary>
+        /// 将 JsonElement（从持久化的结果反序列化而来）转换为基础类型
+        /// </summary>
+        private static object? Unwrap(object? value)
+        {
+            if (value is JsonElement element)
+            {
+                return element.ValueKind switch
+                {
+                    JsonValueKind.Number => element.GetDouble(),
+                    JsonValueKind.String => element.GetString(),
+                    JsonValueKind.True => true,
+                    JsonValueKind.False => false,
+                    JsonValueKind.Null or JsonValueKind.Undefined => null,
+                    _ => element.GetRawText()
+                };
+            }
+            return value;
+        }
+
+        private static bool IsNumeric(object value)
+        {
+            return value is int or long or decimal or double or float or byte or short or uint or ulong or ushort or sbyte ||
+                   (value is string str && double.TryParse(str, NumberStyles.Float, CultureInfo.InvariantCulture, out _));
+        }
+
+        private static bool TryGetNumber(object value, out double number)
+        {
+            if (value is string str)
+            {
+                return double.TryParse(str, NumberStyles.Float, CultureInfo.InvariantCulture, out number);
+            }
+            if (IsNumeric(value))
+            {
+                number = Convert.ToDouble(value, CultureInfo.InvariantCulture);
+                return true;
+            }
+            number = 0;
+            return false;
+        }
+
+        private static bool IsTemporal(object value)
+        {
+            return value is DateTime or DateTimeOffset ||
+                   (value is string str && str.Length >= 8 && char.IsDigit(str[0]) &&
+                    DateTime.TryParse(str, CultureInfo.InvariantCulture, DateTimeStyles.None, out _));
+        }
+    }
+
+    /// <summary>
+    /// 图表排序规格
+    /// </summary>
+    public class ChartSortSpec
+    {
+        /// <summary>
+        /// 排序依据：category（分类）、value（数值）
+        /// </summary>
+        [JsonPropertyName("by")]
+        public string By { get; set; } = "category";
+
+        /// <summary>
+        /// 排序方向：asc、desc
+        /// </summary>
+        [JsonPropertyName("order")]
+        public string Order { get; set; } = "asc";
+    }
+}
@@ -0,0 +1,112 @@
+using System;
+
+namespace Text2Sql.Net.Domain.Model
+{
+    /// <summary>
+    /// SQL生成流水线的阶段标识（与前端 chatProgressInterop 的阶段定义一致）
+    /// </summary>
+    public static class ChatPipelineStage
+    {
+        /// <summary>
+        /// 解析多轮对话上下文
+        /// </summary>
+        public const string Context = "context";
+
+        /// <summary>
+        /// 检索相关问答示例
+        /// </summary>
+        public const string Examples = "examples";
+
+        /// <summary>
+        /// 智能Schema Linking
+        /// </summary>
+        public const string SchemaLinking = "schema_linking";
+
+        /// <summary>
+        /// 构建Prompt
+        /// </summary>
+        public const string Prompt = "prompt";
+
+        /// <summary>
+        /// 大模型生成SQL
+        /// </summary>
+        public const string Generation = "generation";
+
+        /// <summary>
+        /// SQL安全检查
+        /// </summary>
+        public const string CheckSql = "check_sql";
+
+        /// <summary>
+        /// 执行反馈优化
+        /// </summary>
+        public const string Optimization = "optimization";
+
+        /// <summary>
+        /// 执行最终SQL
+        /// </summary>
+        public const string Execution = "execution";
+    }
+
+    /// <summary>
+    /// 阶段状态
+    /// </summary>
+    public static class ChatStageStatus
+    {
+        /// <summary>
+        /// 阶段开始
+        /// </summary>
+        public const string Started = "started";
+
+        /// <summary>
+        /// 阶段输出增量（大模型流式输出）
+        /// </summary>
+        public const string Streaming = "streaming";
+
+        /// <summary>
+        /// 阶段完成
+        /// </summary>
+        public const string Completed = "completed";
+
+        /// <summary>
+        /// 阶段失败
+        /// </summary>
+        public const string Failed = "failed";
+    }
+
+    /// <summary>
+    /// 聊天流水线进度事件，通过 Blazor 回调或 SSE（api/Chat/Stream）推送给前端
+    /// </summary>
+    public class ChatProgressEvent
+    {
+        /// <summary>
+        /// 阶段标识，见 <see cref="ChatPipelineStage"/>
+        /// </summary>
+        public string Stage { get; set; } = string.Empty;
+
+        /// <summary>
+        /// 阶段状态，见 <see cref="ChatStageStatus"/>
+        /// </summary>
+        public string Status { get; set; } = ChatStageStatus.Started;
+
+        /// <summary>
+        /// 阶段说明（如匹配到的表数量、错误信息）
+        /// </summary>
+        public string? Message { get; set; }
+
+        /// <summary>
+        /// 流式输出的增量文本，仅 Streaming 状态有值
+        /// </summary>
+        public string? Delta { get; set; }
+
+        /// <summary>
+        /// 距流水线开始的耗时（毫秒）
+        /// </summary>
+        public long ElapsedMilliseconds { get; set; }
+
+        /// <summary>
+        /// 事件时间
+        /// </summary>
+        public DateTime Timestamp { get; set; } = DateTime.Now;
+    }
+}
@@ -0,0 +1,63 @@
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+namespace Text2Sql.Net.Domain.Model
+{
+    /// <summary>
+    /// 列式查询结果：发送给前端图表时使用，列名只出现一次，大结果集的传输体积比行字典小得多
+    /// </summary>
+    public class ColumnarResult
+    {
+        /// <summary>
+        /// 列名
+        /// </summary>
+        [JsonPropertyName("columns")]
+        public List<string> Columns { get; set; } = new List<string>();
+
+        /// <summary>
+        /// 各列取值，与 <see cref="Columns"/> 一一对应，每列长度均为 <see cref="RowCount"/>
+        /// </summary>
+        [JsonPropertyName("values")]
+        public List<object?[]> Values { get; set; } = new List<object?[]>();
+
+        /// <summary>
+        /// 行数
+        /// </summary>
+        [JsonPropertyName("rowCount")]
+        public int RowCount { get; set; }
+
+        /// <summary>
+        /// 由行字典转换为列式结构；列顺序以第一行为准，后续行新出现的列追加在末尾，缺失的单元格为null
+        /// </summary>
+        /// <param name="rows">查询结果行</param>
+        public static ColumnarResult FromRows(IReadOnlyList<Dictionary<string, object>>? rows)
+        {
+            var result = new ColumnarResult { RowCount = rows?.Count ?? 0 };
+            if (rows == null || rows.Count == 0)
+            {
+                return result;
+            }
+
+            var columnIndex = new Dictionary<string, int>();
+            for (var i = 0; i < rows.Count; i++)
+            {
+                var row = rows[i];
+                if (row == null) continue;
+
+                foreach (var cell in row)
+                {
+                    if (!columnIndex.TryGetValue(cell.Key, out var index))
+                    {
+                        index = result.Columns.Count;
+                        columnIndex[cell.Key] = index;
+                        result.Columns.Add(cell.Key);
+                        result.Values.Add(new object?[rows.Count]);
+                    }
+                    result.Values[index][i] = cell.Value;
+                }
+            }
+
+            return result;
+        }
+    }
+}
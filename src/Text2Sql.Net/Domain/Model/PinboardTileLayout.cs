@@ -0,0 +1,38 @@
+namespace Text2Sql.Net.Domain.Model
+{
+    /// <summary>
+    /// 看板卡片的网格位置（12列网格，与前端 pinboardInterop 的布局格式一致）
+    /// </summary>
+    public class PinboardTileLayout
+    {
+        /// <summary>
+        /// 网格列数
+        /// </summary>
+        public const int Columns = 12;
+
+        /// <summary>
+        /// 卡片ID
+        /// </summary>
+        public string Id { get; set; } = string.Empty;
+
+        /// <summary>
+        /// 列位置（0-11）
+        /// </summary>
+        public int X { get; set; }
+
+        /// <summary>
+        /// 行位置
+        /// </summary>
+        public int Y { get; set; }
+
+        /// <summary>
+        /// 占用列数
+        /// </summary>
+        public int W { get; set; }
+
+        /// <summary>
+        /// 占用行数
+        /// </summary>
+        public int H { get; set; }
+    }
+}
@@ -3,6 +3,7 @@ using Microsoft.Extensions.Logging;
 using Newtonsoft.Json;
 using System.Text.RegularExpressions;
 using Text2Sql.Net.Domain.Interface;
+using Text2Sql.Net.Domain.Model;
 using Text2Sql.Net.Repositories.Text2Sql.ChatHistory;
 using Text2Sql.Net.Repositories.Text2Sql.DatabaseSchema;
 
@@ -19,6 +20,15 @@ namespace Text2Sql.Net.Domain.Service
         private readonly ILogger<ConversationStateManager> _logger;
         private readonly Dictionary<string, ConversationContext> _activeContexts;
 
+        private static readonly Dictionary<string, string> BucketNames = new Dictionary<string, string>
+        {
+            ["day"] = "天",
+            ["week"] = "周",
+            ["month"] = "月",
+            ["quarter"] = "季度",
+            ["year"] = "年"
+        };
+
         public ConversationStateManager(
             IChatMessageRepository chatRepository,
             ILogger<ConversationStateManager> logger)
@@ -254,6 +264,34 @@ namespace Text2Sql.Net.Domain.Service
             }
         }
 
+        /// <summary>
+        /// 处理图表下钻查询
+        /// 下钻基于被点击图表所在的查询，而不是最近一轮对话，因此不走 AnalyzeFollowupQueryAsync 的关键词判断
+        /// </summary>
+        /// <param name="connectionId">数据库连接ID</param>
+        /// <param name="userMessage">用户消息</param>
+        /// <param name="drillContext">下钻上下文</param>
+        /// <returns>处理后的查询消息</returns>
+        public async Task<string> ProcessDrillDownQueryAsync(string connectionId, string userMessage, ChartDrillContext drillContext)
+        {
+            try
+            {
+                var context = await GetContextAsync(connectionId);
+                var conditions = string.Join("，", drillContext.Filters.Select(f => f.Describe()));
+                if (!string.IsNullOrEmpty(conditions))
+                {
+                    context.ActiveFilters["drill"] = conditions;
+                }
+
+                return ProcessDrillDown(userMessage, drillContext, conditions);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, $"处理下钻查询时出错：{ex.Message}");
+                return userMessage;
+            }
+        }
+
         /// <summary>
         /// 获取对话上下文
         /// </summary>
@@ -596,6 +634,42 @@ namespace Text2Sql.Net.Domain.Service
             return $"保持上次查询的内容和条件，{userMessage}。上次查询：{lastTurn.UserMessage}";
         }
 
+        /// <summary>
+        /// 处理图表下钻
+        /// </summary>
+        private string ProcessDrillDown(string userMessage, ChartDrillContext drillContext, string conditions)
+        {
+            var builder = new StringBuilder(userMessage);
+            if (!string.IsNullOrEmpty(conditions))
+            {
+                builder.Append($"。过滤条件：{conditions}");
+            }
+
+            switch (drillContext.Action)
+            {
+                case ChartDrillAction.Breakdown when !string.IsNullOrEmpty(drillContext.BreakdownKey):
+                    builder.Append($"。按{drillContext.BreakdownKey}分组汇总");
+                    break;
+                case ChartDrillAction.Rows:
+                    builder.Append("。返回满足条件的明细记录，不做聚合");
+                    break;
+                case ChartDrillAction.Expand when !string.IsNullOrEmpty(drillContext.Bucket):
+                    var bucketName = BucketNames.TryGetValue(drillContext.Bucket, out var name) ? name : drillContext.Bucket;
+                    builder.Append($"。按{bucketName}汇总");
+                    break;
+            }
+
+            if (!string.IsNullOrEmpty(drillContext.SourceQuestion))
+            {
+                builder.Append($"。上一层查询：{drillContext.SourceQuestion}");
+            }
+            if (!string.IsNullOrEmpty(drillContext.SourceSql))
+            {
+                builder.Append($"。上一层SQL：{drillContext.SourceSql}");
+            }
+            return builder.ToString();
+        }
+
         /// <summary>
         /// 处理比较查询
         /// </summary>
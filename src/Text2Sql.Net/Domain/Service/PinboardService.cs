@@ -0,0 +1,319 @@
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Logging;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using Text2Sql.Net.Domain.Interface;
+using Text2Sql.Net.Domain.Model;
+using Text2Sql.Net.Repositories.Text2Sql.ChatHistory;
+using Text2Sql.Net.Repositories.Text2Sql.Pinboard;
+
+namespace Text2Sql.Net.Domain.Service
+{
+    /// <summary>
+    /// 看板服务实现
+    /// </summary>
+    [ServiceDescription(typeof(IPinboardService), ServiceLifetime.Scoped)]
+    public class PinboardService : IPinboardService
+    {
+        private readonly IPinboardRepository _pinboardRepository;
+        private readonly IPinboardTileRepository _tileRepository;
+        private readonly ISqlExecutionService _sqlExecutionService;
+        private readonly IChatService _chatService;
+        private readonly ILogger<PinboardService> _logger;
+
+        /// <summary>
+        /// 新卡片默认尺寸：半屏宽、4行高
+        /// </summary>
+        private const int DefaultTileWidth = 6;
+        private const int DefaultTileHeight = 4;
+
+        /// <summary>
+        /// 构造函数
+        /// </summary>
+        public PinboardService(
+            IPinboardRepository pinboardRepository,
+            IPinboardTileRepository tileRepository,
+            ISqlExecutionService sqlExecutionService,
+            IChatService chatService,
+            ILogger<PinboardService> logger)
+        {
+            _pinboardRepository = pinboardRepository;
+            _tileRepository = tileRepository;
+            _sqlExecutionService = sqlExecutionService;
+            _chatService = chatService;
+            _logger = logger;
+        }
+
+        /// <inheritdoc/>
+        public Task<List<Pinboard>> GetPinboardsAsync()
+        {
+            return _pinboardRepository.GetAllAsync();
+        }
+
+        /// <inheritdoc/>
+        public async Task<Pinboard?> GetPinboardAsync(string pinboardId)
+        {
+            if (string.IsNullOrEmpty(pinboardId))
+            {
+                return null;
+            }
+
+            return await _pinboardRepository.GetByIdAsync(pinboardId);
+        }
+
+        /// <inheritdoc/>
+        public async Task<bool> SavePinboardAsync(Pinboard pinboard)
+        {
+            if (pinboard == null || string.IsNullOrWhiteSpace(pinboard.Name))
+            {
+                return false;
+            }
+
+            try
+            {
+                pinboard.Name = pinboard.Name.Trim();
+                pinboard.RefreshIntervalMinutes = Math.Max(0, pinboard.RefreshIntervalMinutes);
+                pinboard.UpdateTime = DateTime.Now;
+                return await _pinboardRepository.InsertOrUpdateAsync(pinboard);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, $"保存看板时出错：{ex.Message}");
+                return false;
+            }
+        }
+
+        /// <inheritdoc/>
+        public async Task<bool> DeletePinboardAsync(string pinboardId)
+        {
+            try
+            {
+                await _tileRepository.DeleteByPinboardIdAsync(pinboardId);
+                return await _pinboardRepository.DeleteAsync(pinboardId);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, $"删除看板时出错：{ex.Message}");
+                return false;
+            }
+        }
+
+        /// <inheritdoc/>
+        public Task<List<PinboardTile>> GetTilesAsync(string pinboardId)
+        {
+            return _tileRepository.GetByPinboardIdAsync(pinboardId);
+        }
+
+        /// <inheritdoc/>
+        public async Task<PinboardTile?> PinChartAsync(string pinboardId, ChatMessage message, ChartSpec? chartSpec, string title)
+        {
+            if (message == null || string.IsNullOrWhiteSpace(message.SqlQuery) || !string.IsNullOrEmpty(message.ExecutionError))
+            {
+                _logger.LogWarning("只能钉住执行成功的查询图表");
+                return null;
+            }
+
+            if (!await _chatService.CheckSqlAsync(message.SqlQuery))
+            {
+                _logger.LogWarning("看板仅支持查询语句");
+                return null;
+            }
+
+            try
+            {
+                var pinboard = await _pinboardRepository.GetByIdAsync(pinboardId);
+                if (pinboard == null)
+                {
+                    return null;
+                }
+
+                var tiles = await _tileRepository.GetByPinboardIdAsync(pinboardId);
+                var (x, y) = FindFreeSlot(tiles, DefaultTileWidth, DefaultTileHeight);
+
+                var tile = new PinboardTile
+                {
+                    PinboardId = pinboardId,
+                    ConnectionId = message.ConnectionId,
+                    SourceMessageId = message.Id,
+                    Title = string.IsNullOrWhiteSpace(title) ? chartSpec?.Title ?? "未命名图表" : title.Trim(),
+                    SqlQuery = message.SqlQuery,
+                    ChartSpec = chartSpec ?? message.ChartSpec,
+                    X = x,
+                    Y = y,
+                    W = DefaultTileWidth,
+                    H = DefaultTileHeight,
+                    LastRefreshTime = message.CreateTime,
+                    LastResult = message.QueryResult,
+                    CreateTime = DateTime.Now
+                };
+
+                if (!await _tileRepository.InsertAsync(tile))
+                {
+                    return null;
+                }
+
+                pinboard.UpdateTime = DateTime.Now;
+                await _pinboardRepository.UpdateAsync(pinboard);
+                return tile;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, $"钉住图表时出错：{ex.Message}");
+                return null;
+            }
+        }
+
+        /// <inheritdoc/>
+        public async Task<bool> UpdateLayoutAsync(string pinboardId, List<PinboardTileLayout> layouts)
+        {
+            if (layouts == null || layouts.Count == 0)
+            {
+                return true;
+            }
+
+            try
+            {
+                var tiles = await _tileRepository.GetByPinboardIdAsync(pinboardId);
+                var layoutById = layouts.GroupBy(l => l.Id).ToDictionary(g => g.Key, g => g.Last());
+                var changed = new List<PinboardTile>();
+
+                foreach (var tile in tiles)
+                {
+                    if (!layoutById.TryGetValue(tile.Id, out var layout))
+                    {
+                        continue;
+                    }
+
+                    var w = Math.Clamp(layout.W, 1, PinboardTileLayout.Columns);
+                    var x = Math.Clamp(layout.X, 0, PinboardTileLayout.Columns - w);
+                    var y = Math.Max(0, layout.Y);
+                    var h = Math.Max(1, layout.H);
+                    if (tile.X == x && tile.Y == y && tile.W == w && tile.H == h)
+                    {
+                        continue;
+                    }
+
+                    tile.X = x;
+                    tile.Y = y;
+                    tile.W = w;
+                    tile.H = h;
+                    changed.Add(tile);
+                }
+
+                return changed.Count == 0 || await _tileRepository.UpdateRangeAsync(changed);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, $"保存看板布局时出错：{ex.Message}");
+                return false;
+            }
+        }
+
+        /// <inheritdoc/>
+        public async Task<bool> RenameTileAsync(string tileId, string title)
+        {
+            if (string.IsNullOrWhiteSpace(title))
+            {
+                return false;
+            }
+
+            try
+            {
+                var tile = await _tileRepository.GetByIdAsync(tileId);
+                if (tile == null)
+                {
+                    return false;
+                }
+
+                tile.Title = title.Trim();
+                return await _tileRepository.UpdateAsync(tile);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, $"修改卡片标题时出错：{ex.Message}");
+                return false;
+            }
+        }
+
+        /// <inheritdoc/>
+        public async Task<bool> RemoveTileAsync(string tileId)
+        {
+            try
+            {
+                return await _tileRepository.DeleteAsync(tileId);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, $"移除卡片时出错：{ex.Message}");
+                return false;
+            }
+        }
+
+        /// <inheritdoc/>
+        public async Task<PinboardTile?> RefreshTileAsync(string tileId)
+        {
+            var tile = await _tileRepository.GetByIdAsync(tileId);
+            if (tile == null)
+            {
+                return null;
+            }
+
+            try
+            {
+                // 定时刷新无人值守执行，每次都重新做安全检查；钉住时已经过模型审核，这里只做确定性的规则检查，不再调用模型
+                if (!SqlSafetyUtils.IsReadOnlyQuery(tile.SqlQuery))
+                {
+                    tile.LastError = "看板仅支持查询语句，已跳过执行";
+                }
+                else
+                {
+                    var (result, errorMessage) = await _sqlExecutionService.ExecuteQueryAsync(tile.ConnectionId, tile.SqlQuery);
+                    if (string.IsNullOrEmpty(errorMessage))
+                    {
+                        // 出错时保留上一次成功的数据，卡片同时显示旧数据和错误
+                        tile.LastResult = result ?? new List<Dictionary<string, object>>();
+                        tile.LastError = null;
+                    }
+                    else
+                    {
+                        tile.LastError = errorMessage;
+                    }
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, $"刷新看板卡片时出错：{ex.Message}");
+                tile.LastError = ex.Message;
+            }
+
+            tile.LastRefreshTime = DateTime.Now;
+            await _tileRepository.UpdateAsync(tile);
+            return tile;
+        }
+
+        /// <summary>
+        /// 自上而下、自左向右查找第一个能放下指定尺寸卡片的位置
+        /// </summary>
+        private static (int X, int Y) FindFreeSlot(List<PinboardTile> tiles, int width, int height)
+        {
+            var bottom = tiles.Count == 0 ? 0 : tiles.Max(t => t.Y + t.H);
+            for (var y = 0; y <= bottom; y++)
+            {
+                for (var x = 0; x + width <= PinboardTileLayout.Columns; x++)
+                {
+                    var overlaps = tiles.Any(t =>
+                        x < t.X + t.W && t.X < x + width &&
+                        y < t.Y + t.H && t.Y < y + height);
+                    if (!overlaps)
+                    {
+                        return (x, y);
+                    }
+                }
+            }
+
+            return (0, bottom);
+        }
+    }
+}
@@ -2,6 +2,7 @@ using System;
 using System.Collections.Generic;
 using System.Text.Json;
 using SqlSugar;
+using Text2Sql.Net.Domain.Model;
 
 namespace Text2Sql.Net.Repositories.Text2Sql.ChatHistory
 {
@@ -98,5 +99,73 @@ namespace Text2Sql.Net.Repositories.Text2Sql.ChatHistory
         }
 
         private List<Dictionary<string, object>>? _queryResult;
+
+        /// <summary>
+        /// 图表规格（JSON格式持久化，仅AI响应消息）
+        /// </summary>
+        [SugarColumn(ColumnDataType = "text", IsNullable = true)]
+        public string? ChartSpecJson { get; set; }
+
+        /// <summary>
+        /// 图表规格（非持久化，读写时与ChartSpecJson互相转换）
+        /// </summary>
+        [SugarColumn(IsIgnore = true)]
+        public ChartSpec? ChartSpec
+        {
+            get
+            {
+                if (string.IsNullOrEmpty(ChartSpecJson))
+                {
+                    return null;
+                }
+
+                try
+                {
+                    return JsonSerializer.Deserialize<ChartSpec>(ChartSpecJson);
+                }
+                catch
+                {
+                    return null;
+                }
+            }
+            set
+            {
+                ChartSpecJson = value != null ? JsonSerializer.Serialize(value) : null;
+            }
+        }
+
+        /// <summary>
+        /// 图表下钻上下文（JSON格式持久化，点击图表发起的后续问题及其AI响应）
+        /// </summary>
+        [SugarColumn(ColumnDataType = "text", IsNullable = true)]
+        public string? DrillContextJson { get; set; }
+
+        /// <summary>
+        /// 图表下钻上下文（非持久化，读写时与DrillContextJson互相转换）
+        /// </summary>
+        [SugarColumn(IsIgnore = true)]
+        public ChartDrillContext? DrillContext
+        {
+            get
+            {
+                if (string.IsNullOrEmpty(DrillContextJson))
+                {
+                    return null;
+                }
+
+                try
+                {
+                    return JsonSerializer.Deserialize<ChartDrillContext>(DrillContextJson);
+                }
+                catch
+                {
+                    return null;
+                }
+            }
+            set
+            {
+                DrillContextJson = value != null ? JsonSerializer.Serialize(value) : null;
+            }
+        }
     }
 } 
\ No newline at end of file
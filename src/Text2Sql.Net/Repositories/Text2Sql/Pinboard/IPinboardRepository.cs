@@ -0,0 +1,18 @@
+using System.Collections.Generic;
+using System.Threading.Tasks;
+using Text2Sql.Net.Base;
+
+namespace Text2Sql.Net.Repositories.Text2Sql.Pinboard
+{
+    /// <summary>
+    /// 看板仓储接口
+    /// </summary>
+    public interface IPinboardRepository : IRepository<Pinboard>
+    {
+        /// <summary>
+        /// 获取所有看板，最近更新的排在前面
+        /// </summary>
+        /// <returns>看板列表</returns>
+        Task<List<Pinboard>> GetAllAsync();
+    }
+}
@@ -0,0 +1,26 @@
+using System.Collections.Generic;
+using System.Threading.Tasks;
+using Text2Sql.Net.Base;
+
+namespace Text2Sql.Net.Repositories.Text2Sql.Pinboard
+{
+    /// <summary>
+    /// 看板卡片仓储接口
+    /// </summary>
+    public interface IPinboardTileRepository : IRepository<PinboardTile>
+    {
+        /// <summary>
+        /// 获取看板上的所有卡片，按布局从上到下、从左到右排序
+        /// </summary>
+        /// <param name="pinboardId">看板ID</param>
+        /// <returns>卡片列表</returns>
+        Task<List<PinboardTile>> GetByPinboardIdAsync(string pinboardId);
+
+        /// <summary>
+        /// 删除看板上的所有卡片
+        /// </summary>
+        /// <param name="pinboardId">看板ID</param>
+        /// <returns>是否成功</returns>
+        Task<bool> DeleteByPinboardIdAsync(string pinboardId);
+    }
+}
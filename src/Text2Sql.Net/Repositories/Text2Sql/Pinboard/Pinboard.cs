@@ -0,0 +1,45 @@
+using SqlSugar;
+using System;
+
+namespace Text2Sql.Net.Repositories.Text2Sql.Pinboard
+{
+    /// <summary>
+    /// 看板：把聊天中生成的图表钉在一起，定期重新执行SQL形成报表
+    /// </summary>
+    [SugarTable("Pinboards")]
+    public class Pinboard
+    {
+        /// <summary>
+        /// 看板ID
+        /// </summary>
+        [SugarColumn(IsPrimaryKey = true)]
+        public string Id { get; set; } = Guid.NewGuid().ToString();
+
+        /// <summary>
+        /// 看板名称
+        /// </summary>
+        [SugarColumn(IsNullable = false)]
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// 看板说明
+        /// </summary>
+        [SugarColumn(ColumnDataType = "text", IsNullable = true)]
+        public string? Description { get; set; }
+
+        /// <summary>
+        /// 自动刷新间隔（分钟），0 表示仅手动刷新
+        /// </summary>
+        public int RefreshIntervalMinutes { get; set; } = 0;
+
+        /// <summary>
+        /// 创建时间
+        /// </summary>
+        public DateTime CreateTime { get; set; } = DateTime.Now;
+
+        /// <summary>
+        /// 更新时间
+        /// </summary>
+        public DateTime UpdateTime { get; set; } = DateTime.Now;
+    }
+}
@@ -0,0 +1,31 @@
+using Microsoft.Extensions.DependencyInjection;
+using System;
+using System.Collections.Generic;
+using System.Threading.Tasks;
+using Text2Sql.Net.Base;
+
+namespace Text2Sql.Net.Repositories.Text2Sql.Pinboard
+{
+    /// <summary>
+    /// 看板仓储实现
+    /// </summary>
+    [ServiceDescription(typeof(IPinboardRepository), ServiceLifetime.Scoped)]
+    public class PinboardRepository : Repository<Pinboard>, IPinboardRepository
+    {
+        /// <inheritdoc/>
+        public async Task<List<Pinboard>> GetAllAsync()
+        {
+            try
+            {
+                return await GetDB().Queryable<Pinboard>()
+                    .OrderBy(b => b.UpdateTime, OrderByType.Desc)
+                    .ToListAsync();
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"获取看板列表时出错：{ex.Message}");
+                return new List<Pinboard>();
+            }
+        }
+    }
+}
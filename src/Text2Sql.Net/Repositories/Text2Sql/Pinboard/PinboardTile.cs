@@ -0,0 +1,165 @@
+using SqlSugar;
+using System;
+using System.Collections.Generic;
+using System.Text.Json;
+using Text2Sql.Net.Domain.Model;
+
+namespace Text2Sql.Net.Repositories.Text2Sql.Pinboard
+{
+    /// <summary>
+    /// 看板上的图表卡片：保存SQL和图表规格，刷新时重新执行SQL
+    /// </summary>
+    [SugarTable("Pinboard_Tiles")]
+    public class PinboardTile
+    {
+        /// <summary>
+        /// 卡片ID
+        /// </summary>
+        [SugarColumn(IsPrimaryKey = true)]
+        public string Id { get; set; } = Guid.NewGuid().ToString();
+
+        /// <summary>
+        /// 所属看板ID
+        /// </summary>
+        [SugarColumn(IsNullable = false)]
+        public string PinboardId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// 数据库连接ID
+        /// </summary>
+        [SugarColumn(IsNullable = false)]
+        public string ConnectionId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// 来源聊天消息ID
+        /// </summary>
+        [SugarColumn(IsNullable = true)]
+        public string? SourceMessageId { get; set; }
+
+        /// <summary>
+        /// 卡片标题
+        /// </summary>
+        [SugarColumn(IsNullable = false)]
+        public string Title { get; set; } = string.Empty;
+
+        /// <summary>
+        /// 刷新时执行的SQL
+        /// </summary>
+        [SugarColumn(ColumnDataType = "text", IsNullable = false)]
+        public string SqlQuery { get; set; } = string.Empty;
+
+        /// <summary>
+        /// 图表规格（JSON格式持久化）
+        /// </summary>
+        [SugarColumn(ColumnDataType = "text", IsNullable = true)]
+        public string? ChartSpecJson { get; set; }
+
+        /// <summary>
+        /// 图表规格（非持久化，读写时与ChartSpecJson互相转换）
+        /// </summary>
+        [SugarColumn(IsIgnore = true)]
+        public ChartSpec? ChartSpec
+        {
+            get
+            {
+                if (string.IsNullOrEmpty(ChartSpecJson))
+                {
+                    return null;
+                }
+
+                try
+                {
+                    return JsonSerializer.Deserialize<ChartSpec>(ChartSpecJson);
+                }
+                catch
+                {
+                    return null;
+                }
+            }
+            set
+            {
+                ChartSpecJson = value != null ? JsonSerializer.Serialize(value) : null;
+            }
+        }
+
+        /// <summary>
+        /// 网格布局：列位置（0-11）
+        /// </summary>
+        public int X { get; set; }
+
+        /// <summary>
+        /// 网格布局：行位置
+        /// </summary>
+        public int Y { get; set; }
+
+        /// <summary>
+        /// 网格布局：占用列数
+        /// </summary>
+        public int W { get; set; } = 6;
+
+        /// <summary>
+        /// 网格布局：占用行数
+        /// </summary>
+        public int H { get; set; } = 4;
+
+        /// <summary>
+        /// 最近一次刷新时间
+        /// </summary>
+        [SugarColumn(IsNullable = true)]
+        public DateTime? LastRefreshTime { get; set; }
+
+        /// <summary>
+        /// 最近一次刷新的错误信息，刷新成功时清空
+        /// </summary>
+        [SugarColumn(ColumnDataType = "text", IsNullable = true)]
+        public string? LastError { get; set; }
+
+        /// <summary>
+        /// 最近一次成功刷新的查询结果（JSON格式持久化），打开看板时先展示这份数据
+        /// </summary>
+        [SugarColumn(ColumnDataType = "text", IsNullable = true)]
+        public string? LastResultJson { get; set; }
+
+        /// <summary>
+        /// 最近一次成功刷新的查询结果（非持久化）
+        /// </summary>
+        [SugarColumn(IsIgnore = true)]
+        public List<Dictionary<string, object>> LastResult
+        {
+            get
+            {
+                if (_lastResult == null && !string.IsNullOrEmpty(LastResultJson))
+                {
+                    try
+                    {
+                        _lastResult = JsonSerializer.Deserialize<List<Dictionary<string, object>>>(LastResultJson);
+                    }
+                    catch
+                    {
+                        _lastResult = new List<Dictionary<string, object>>();
+                    }
+                }
+                return _lastResult ?? new List<Dictionary<string, object>>();
+            }
+            set
+            {
+                _lastResult = value;
+                try
+                {
+                    LastResultJson = value != null && value.Count > 0 ? JsonSerializer.Serialize(value) : null;
+                }
+                catch
+                {
+                    LastResultJson = null;
+                }
+            }
+        }
+
+        private List<Dictionary<string, object>>? _lastResult;
+
+        /// <summary>
+        /// 创建时间
+        /// </summary>
+        public DateTime CreateTime { get; set; } = DateTime.Now;
+    }
+}
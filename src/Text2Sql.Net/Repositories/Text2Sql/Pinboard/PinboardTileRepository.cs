@@ -0,0 +1,49 @@
+using Microsoft.Extensions.DependencyInjection;
+using System;
+using System.Collections.Generic;
+using System.Threading.Tasks;
+using Text2Sql.Net.Base;
+
+namespace Text2Sql.Net.Repositories.Text2Sql.Pinboard
+{
+    /// <summary>
+    /// 看板卡片仓储实现
+    /// </summary>
+    [ServiceDescription(typeof(IPinboardTileRepository), ServiceLifetime.Scoped)]
+    public class PinboardTileRepository : Repository<PinboardTile>, IPinboardTileRepository
+    {
+        /// <inheritdoc/>
+        public async Task<List<PinboardTile>> GetByPinboardIdAsync(string pinboardId)
+        {
+            try
+            {
+                return await GetDB().Queryable<PinboardTile>()
+                    .Where(t => t.PinboardId == pinboardId)
+                    .OrderBy(t => t.Y)
+                    .OrderBy(t => t.X)
+                    .ToListAsync();
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"获取看板卡片时出错：{ex.Message}");
+                return new List<PinboardTile>();
+            }
+        }
+
+        /// <inheritdoc/>
+        public async Task<bool> DeleteByPinboardIdAsync(string pinboardId)
+        {
+            try
+            {
+                return await GetDB().Deleteable<PinboardTile>()
+                    .Where(t => t.PinboardId == pinboardId)
+                    .ExecuteCommandAsync() >= 0;
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"删除看板卡片时出错：{ex.Message}");
+                return false;
+            }
+        }
+    }
+}
@@ -0,0 +1,160 @@
+using System;
+using System.Collections.Generic;
+
+namespace Text2Sql.Net.Utils
+{
+    /// <summary>
+    /// SQL安全检查：判断语句是否为单条只读查询
+    /// </summary>
+    internal static class SqlSafetyUtils
+    {
+        /// <summary>
+        /// 只读语句允许的开头关键字
+        /// </summary>
+        private static readonly HashSet<string> ReadOnlyLeadingKeywords = new HashSet<string>(StringComparer.OrdinalIgnoreCase)
+        {
+            "SELECT", "WITH", "SHOW", "DESC", "DESCRIBE", "EXPLAIN"
+        };
+
+        /// <summary>
+        /// 语句中任意位置出现即视为非只读的关键字：可嵌入查询的写操作（如 WITH d AS (DELETE ... RETURNING *)、SELECT ... INTO）、DDL、权限与过程调用
+        /// </summary>
+        private static readonly HashSet<string> WriteKeywords = new HashSet<string>(StringComparer.OrdinalIgnoreCase)
+        {
+            "INSERT", "UPDATE", "DELETE", "MERGE", "UPSERT", "REPLACE", "INTO",
+            "CREATE", "ALTER", "DROP", "TRUNCATE", "RENAME",
+            "GRANT", "REVOKE", "DENY",
+            "EXEC", "EXECUTE", "CALL",
+            "COPY", "LOAD", "ATTACH", "DETACH", "PRAGMA", "VACUUM", "LOCK",
+            "DBCC", "BACKUP", "RESTORE", "SHUTDOWN", "KILL"
+        };
+
+        /// <summary>
+        /// 与写操作关键字同名的字符串函数，后面紧跟左括号时不视为写操作
+        /// </summary>
+        private static readonly HashSet<string> FunctionNames = new HashSet<string>(StringComparer.OrdinalIgnoreCase)
+        {
+            "REPLACE"
+        };
+
+        /// <summary>
+        /// 是否为单条只读查询：
+        /// 字符串与注释之外不允许出现分号分隔的多条语句（末尾的单个分号除外），
+        /// 且以查询关键字开头、任意位置都不含写操作关键字（SQL Server 等允许不加分号连续书写多条语句，因此不能只看开头）。
+        /// 各数据库对注释与转义的解析不同，遇到有歧义的写法（字符串内的反斜杠、MySQL 可执行注释等）一律判为不安全
+        /// </summary>
+        /// <param name="sql">SQL语句</param>
+        public static bool IsReadOnlyQuery(string? sql)
+        {
+            if (string.IsNullOrWhiteSpace(sql))
+            {
+                return false;
+            }
+
+            var keywords = new List<string>();
+            var statementEnded = false;
+            var i = 0;
+            while (i < sql.Length)
+            {
+                var c = sql[i];
+
+                if (char.IsWhiteSpace(c))
+                {
+                    i++;
+                    continue;
+                }
+
+                // 注释；MySQL 中 -- 后须跟空白才是注释，其余情况按普通字符继续检查
+                if (c == '-' && Peek(sql, i + 1) == '-' && (i + 2 >= sql.Length || char.IsWhiteSpace(sql[i + 2])))
+                {
+                    while (i < sql.Length && sql[i] != '\n') i++;
+                    continue;
+                }
+                if (c == '/' && Peek(sql, i + 1) == '*')
+                {
+                    // MySQL 会执行 /*! ... */ 中的内容
+                    if (Peek(sql, i + 2) == '!') return false;
+                    var end = sql.IndexOf("*/", i + 2, StringComparison.Ordinal);
+                    if (end < 0) return false;
+                    i = end + 2;
+                    continue;
+                }
+
+                // 分号之后只允许空白和注释
+                if (statementEnded)
+                {
+                    return false;
+                }
+                if (c == ';')
+                {
+                    statementEnded = true;
+                    i++;
+                    continue;
+                }
+
+                // 字符串与带引号的标识符，内部内容不参与判断
+                if (c == '\'' || c == '"' || c == '`')
+                {
+                    i++;
+                    while (true)
+                    {
+                        // 未闭合，或含反斜杠（是否为转义因数据库而异）
+                        if (i >= sql.Length || sql[i] == '\\') return false;
+                        if (sql[i] == c)
+                        {
+                            // 连续两个引号为转义
+                            if (Peek(sql, i + 1) == c)
+                            {
+                                i += 2;
+                                continue;
+                            }
+                            i++;
+                            break;
+                        }
+                        i++;
+                    }
+                    continue;
+                }
+
+                if (char.IsLetter(c) || c == '_')
+                {
+                    var start = i;
+                    while (i < sql.Length && (char.IsLetterOrDigit(sql[i]) || sql[i] == '_' || sql[i] == '$')) i++;
+                    var word = sql.Substring(start, i - start);
+
+                    var next = i;
+                    while (next < sql.Length && char.IsWhiteSpace(sql[next])) next++;
+                    var isFunctionCall = Peek(sql, next) == '(' && FunctionNames.Contains(word);
+                    var isQualified = start > 0 && sql[start - 1] == '.';
+                    if (!isFunctionCall && !isQualified)
+                    {
+                        keywords.Add(word);
+                    }
+                    continue;
+                }
+
+                i++;
+            }
+
+            if (keywords.Count == 0 || !ReadOnlyLeadingKeywords.Contains(keywords[0]))
+            {
+                return false;
+            }
+
+            foreach (var keyword in keywords)
+            {
+                if (WriteKeywords.Contains(keyword))
+                {
+                    return false;
+                }
+            }
+
+            return true;
+        }
+
+        private static char Peek(string sql, int index)
+        {
+            return index < sql.Length ? sql[index] : '\0';
+        }
+    }
+}
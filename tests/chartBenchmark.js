@@ -0,0 +1,178 @@
+// Large-dataset chart benchmark for echartsInterop: compares the row-dictionary path without downsampling
+// ("before") against columnar data with downsampling / top-N / large mode ("after") on synthetic data
+// Exposes: generate, toColumnar, run, checkListeners
+
+window.chartBenchmark = (function () {
+  const REGIONS = ['华东', '华南', '华北', '华中', '西南', '西北', '东北', '港澳台'];
+
+  // 场景：图表类型、分类列、数值列与附加选项
+  const SCENARIOS = [
+    { key: 'timeseries', label: '时间序列（不分桶）', type: 'timeseries', category: 'time', values: ['amount'], options: { bucket: 'none' } },
+    { key: 'line', label: '折线图（逐行分类）', type: 'line', category: 'seq', values: ['amount'] },
+    { key: 'scatter', label: '散点图', type: 'scatter', category: null, values: ['x', 'y'] },
+    { key: 'pie', label: '饼图（5000 个客户）', type: 'pie', category: 'customer', values: ['amount'] },
+    { key: 'bar', label: '柱状图（5000 个客户）', type: 'bar', category: 'customer', values: ['amount'] }
+  ];
+
+  // 可复现的伪随机数（mulberry32）
+  function random(seed) {
+    let a = seed >>> 0;
+    return function () {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = Math.imul(a ^ (a >>> 15), 1 | a);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function pad2(n) {
+    return String(n).padStart(2, '0');
+  }
+
+  // 与 .NET 序列化 DateTime 的格式一致（本地时间，无时区）
+  function toIsoLocal(ts) {
+    const d = new Date(ts);
+    return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}T${pad2(d.getHours())}:${pad2(d.getMinutes())}:00`;
+  }
+
+  // 生成 rowCount 行的查询结果（行数组，与 QueryResult 序列化后的形状相同）
+  function generate(rowCount) {
+    const next = random(42);
+    const start = new Date(2023, 0, 1).getTime();
+    const rows = new Array(rowCount);
+    let level = 1000;
+    for (let i = 0; i < rowCount; i++) {
+      level += (next() - 0.5) * 20;
+      const x = next() * 100;
+      rows[i] = {
+        seq: i + 1,
+        time: toIsoLocal(start + i * 60000),
+        region: REGIONS[Math.floor(next() * REGIONS.length)],
+        customer: `C${String(Math.floor(Math.pow(next(), 2) * 5000)).padStart(4, '0')}`,
+        amount: Math.round((level + (next() < 0.001 ? 800 : 0)) * 100) / 100,
+        x: Math.round(x * 100) / 100,
+        y: Math.round((x * 3 + (next() - 0.5) * 60) * 100) / 100
+      };
+    }
+    return rows;
+  }
+
+  // 与 .NET 端 ColumnarResult.FromRows 相同的结构
+  function toColumnar(rows) {
+    const columns = rows.length ? Object.keys(rows[0]) : [];
+    return {
+      columns,
+      values: columns.map(key => rows.map(row => row[key])),
+      rowCount: rows.length
+    };
+  }
+
+  function now() {
+    return window.performance ? performance.now() : Date.now();
+  }
+
+  // 模拟经 Blazor 线路传输：序列化为 JSON 再解析
+  function transfer(payload) {
+    const started = now();
+    const json = JSON.stringify(payload);
+    const parsed = JSON.parse(json);
+    return { data: parsed, bytes: new Blob([json]).size, ms: now() - started };
+  }
+
+  function countPoints(containerId) {
+    const el = document.getElementById(containerId);
+    const chart = el && window.echarts.getInstanceByDom(el);
+    if (!chart) return 0;
+    return (chart.getOption().series || []).reduce((sum, s) => sum + (Array.isArray(s.data) ? s.data.length : 0), 0);
+  }
+
+  // 等待渐进渲染等后续帧完成
+  function settle() {
+    return new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+  }
+
+  async function measure(containerId, scenario, payload, sampling) {
+    const sent = transfer(payload);
+    const started = now();
+    window.echartsInterop.renderCustomChart(containerId, sent.data, scenario.type, scenario.category, scenario.values,
+      Object.assign({ sampling }, scenario.options || {}));
+    const renderMs = now() - started;
+    await settle();
+    const result = { bytes: sent.bytes, transferMs: sent.ms, renderMs, totalMs: now() - started + sent.ms, points: countPoints(containerId) };
+    window.echartsInterop.dispose(containerId);
+    return result;
+  }
+
+  /**
+   * 依次运行各场景的改造前/后对比
+   * options: { rowCount, containerId, onProgress(text) }；返回 [{ scenario, before, after }]
+   */
+  async function run(options) {
+    const opts = options || {};
+    const rowCount = opts.rowCount || 200000;
+    const containerId = opts.containerId || 'benchmarkChart';
+    const progress = opts.onProgress || (() => { });
+
+    progress(`生成 ${rowCount} 行数据…`);
+    await settle();
+    const rows = generate(rowCount);
+    const columnar = toColumnar(rows);
+
+    const results = [];
+    for (const scenario of SCENARIOS) {
+      progress(`${scenario.label}：改造前…`);
+      await settle();
+      const before = await measure(containerId, scenario, rows, 'none');
+      progress(`${scenario.label}：改造后…`);
+      await settle();
+      const after = await measure(containerId, scenario, columnar, 'auto');
+      results.push({ scenario: scenario.label, before, after });
+    }
+    progress('完成');
+    return results;
+  }
+
+  // 反复打开/关闭图表，统计未移除的 window resize 监听与 ResizeObserver
+  function checkListeners(containerId, cycles) {
+    const id = containerId || 'benchmarkChart';
+    let listeners = 0;
+    let observers = 0;
+    const add = window.addEventListener;
+    const remove = window.removeEventListener;
+    const NativeObserver = window.ResizeObserver;
+    window.addEventListener = function (type) {
+      if (type === 'resize') listeners++;
+      return add.apply(this, arguments);
+    };
+    window.removeEventListener = function (type) {
+      if (type === 'resize') listeners--;
+      return remove.apply(this, arguments);
+    };
+    if (NativeObserver) {
+      window.ResizeObserver = class extends NativeObserver {
+        observe() { observers++; return super.observe.apply(this, arguments); }
+        disconnect() { observers--; return super.disconnect(); }
+      };
+    }
+    try {
+      const rows = generate(100);
+      for (let i = 0; i < (cycles || 50); i++) {
+        window.echartsInterop.renderCustomChart(id, rows, 'bar', 'region', ['amount']);
+        window.echartsInterop.dispose(id);
+      }
+    } finally {
+      window.addEventListener = add;
+      window.removeEventListener = remove;
+      if (NativeObserver) window.ResizeObserver = NativeObserver;
+    }
+    return { cycles: cycles || 50, resizeListeners: listeners, resizeObservers: observers };
+  }
+
+  // Public API
+  return {
+    generate,
+    toColumnar,
+    run,
+    checkListeners
+  };
+})();